@@ -1,9 +1,52 @@
-import { useState, useCallback, useRef, useEffect } from 'react'
-import { MapContainer, TileLayer, Marker, Polyline, ImageOverlay, useMapEvents, useMap } from 'react-leaflet'
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react'
+import { MapContainer, TileLayer, Marker, Polyline, CircleMarker, ImageOverlay, useMapEvents, useMap } from 'react-leaflet'
 import L from 'leaflet'
 import 'leaflet/dist/leaflet.css'
 import { Tooltip } from './Tooltip'
 import ResizableImageOverlay from './ResizableImageOverlay'
+import ExportDialog from './ExportDialog'
+import { downloadFile } from './download'
+import ProjectLibrary from './ProjectLibrary'
+import HistoryPanel from './HistoryPanel'
+import { useEditHistory } from './useEditHistory'
+import RoutingSettings from './RoutingSettings'
+import { fetchRoute, matchTrace, supportsMatching, DEFAULT_ROUTING_SETTINGS } from './routing'
+import { loadPreference, savePreference } from './preferences'
+import { loadSession, saveSession, clearSession, sessionHasContent } from './session'
+import { buildShareHash, parseShareHash, MAX_SHARE_HASH_LENGTH } from './shareLink'
+import { parseGPX, EXPORT_FORMATS, findExportFormat, exportFilename } from './exporters'
+import { downsamplePoints, shapeToLocal, placeShape, boundsSize, centroid, toLocal, cumulativeDistances } from './geo'
+import { UNIT_SYSTEMS, DEFAULT_UNITS, findUnitSystem, fromDisplayDistance, formatDistance, toDisplayLength, fromDisplayLength, formatLength } from './units'
+import {
+  SEGMENT_SNAPPED,
+  SEGMENT_FALLBACK,
+  SEGMENT_MANUAL,
+  kindsFor,
+  alignSegmentKinds,
+  joinSections,
+  segmentRuns,
+  fallbackRanges,
+  splicePoints,
+  spliceKinds,
+  moveVertexSection,
+  deleteVertexSection,
+  insertVertexSection
+} from './routeSegments'
+import { shapeFidelity, fidelityHeatmapRuns, DEFAULT_TOLERANCE_METERS } from './shapeFidelity'
+import { searchPlacements, placementBounds } from './placementOptimizer'
+import { isSVGFile, prepareSVG, svgTextFromDataUrl, svgShapes } from './svgShapes'
+import PlacementSearch from './PlacementSearch'
+import { orderContours, markInnerContours } from './contours'
+import ContourPicker, { contourColor } from './ContourPicker'
+import { simplifyPath, DEFAULT_TRACING_OPTIONS } from './imageTracing'
+import { loadImagePixels, runImageJob } from './imageJobs'
+import TracingSettings from './TracingSettings'
+import { fitToDistance } from './fitDistance'
+import FitToDistance from './FitToDistance'
+import { fetchElevationProfile, elevationsAlongRoute, DEFAULT_ELEVATION_SETTINGS } from './elevation'
+import ElevationProfile from './ElevationProfile'
+import { planSplits, DEFAULT_PACE_PLAN } from './pacePlan'
+import PacePlanner from './PacePlanner'
 
 // Fix for default marker icons in React
 delete L.Icon.Default.prototype._getIconUrl
@@ -110,6 +153,17 @@ function MapController({ mapRef, onMapReady }) {
   return null
 }
 
+// Report the map view after every pan/zoom so it can be persisted
+function MapViewTracker({ onViewChange }) {
+  const map = useMapEvents({
+    moveend: () => {
+      const center = map.getCenter()
+      onViewChange({ center: [center.lat, center.lng], zoom: map.getZoom() })
+    },
+  })
+  return null
+}
+
 function ChangeView({ center, zoom }) {
   const map = useMap()
   useEffect(() => {
@@ -120,14 +174,153 @@ function ChangeView({ center, zoom }) {
   return null
 }
 
+// Hold a touch this long on a route point to delete it, unless it moves further than the slop
+const LONG_PRESS_MS = 600
+const LONG_PRESS_SLOP_PX = 10
+
+// Route point marker: drag to move, right-click or long-press to delete. Touch long-presses
+// are timed here because iOS Safari never fires contextmenu for them; on browsers that do,
+// whichever of the two comes first deletes the point.
+function VertexMarker({ position, draggable, onMove, onDelete }) {
+  const markerRef = useRef(null)
+  const timerRef = useRef(null)
+  const lastDeleteRef = useRef(0)
+  const onDeleteRef = useRef(onDelete)
+  onDeleteRef.current = onDelete
+
+  const deleteOnce = () => {
+    clearTimeout(timerRef.current)
+    timerRef.current = null
+    if (Date.now() - lastDeleteRef.current < 1000) return
+    lastDeleteRef.current = Date.now()
+    onDeleteRef.current()
+  }
+
+  useEffect(() => {
+    const element = markerRef.current?.getElement()
+    if (!element) return
+
+    let start = null
+    const cancel = () => {
+      clearTimeout(timerRef.current)
+      timerRef.current = null
+    }
+    const handleTouchStart = (e) => {
+      cancel()
+      if (e.touches.length !== 1) return
+      start = { x: e.touches[0].clientX, y: e.touches[0].clientY }
+      timerRef.current = setTimeout(deleteOnce, LONG_PRESS_MS)
+    }
+    const handleTouchMove = (e) => {
+      const touch = e.touches[0]
+      if (start && Math.hypot(touch.clientX - start.x, touch.clientY - start.y) > LONG_PRESS_SLOP_PX) cancel()
+    }
+
+    element.addEventListener('touchstart', handleTouchStart, { passive: true })
+    element.addEventListener('touchmove', handleTouchMove, { passive: true })
+    element.addEventListener('touchend', cancel)
+    element.addEventListener('touchcancel', cancel)
+    return () => {
+      cancel()
+      element.removeEventListener('touchstart', handleTouchStart)
+      element.removeEventListener('touchmove', handleTouchMove)
+      element.removeEventListener('touchend', cancel)
+      element.removeEventListener('touchcancel', cancel)
+    }
+  }, [])
+
+  return (
+    <Marker
+      ref={markerRef}
+      position={position}
+      draggable={draggable}
+      eventHandlers={{
+        dragstart: () => clearTimeout(timerRef.current),
+        dragend: (e) => onMove(e.target.getLatLng()),
+        contextmenu: deleteOnce
+      }}
+    />
+  )
+}
+
+// Raster formats the tracer reads (SVGs are handled separately)
+const RASTER_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp']
+const isRasterImageFile = (file) =>
+  RASTER_IMAGE_TYPES.includes(file.type) || /\.(png|jpe?g|webp)$/i.test(file.name)
+
+// Read an uploaded image as a data URL. SVGs are normalized so they display at their own
+// aspect ratio; other files must be PNG, JPEG or WebP.
+const readImageFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onerror = () => reject(reader.error)
+  if (isSVGFile(file)) {
+    reader.onload = (event) => {
+      try {
+        resolve(prepareSVG(event.target.result).dataUrl)
+      } catch (error) {
+        reject(error)
+      }
+    }
+    reader.readAsText(file)
+  } else if (isRasterImageFile(file)) {
+    reader.onload = (event) => resolve(event.target.result)
+    reader.readAsDataURL(file)
+  } else {
+    reject(new Error('Please upload a PNG, JPEG, WebP or SVG image'))
+  }
+})
+
+// Contours of SVG artwork, read from its vector shapes instead of traced from pixels
+const svgContours = (svgText) => markInnerContours(svgShapes(svgText).map(shape => {
+  const first = shape[0]
+  const last = shape[shape.length - 1]
+  return {
+    points: simplifyPath(shape, 0.001),
+    closed: Math.hypot(first[0] - last[0], first[1] - last[1]) < 0.001
+  }
+}))
+
+// Most waypoints routed between when snapping a trace, to keep the number of requests manageable
+const MAX_SNAP_WAYPOINTS = 40
+
+// Consecutive [start, end] pairs along a list of waypoints
+const legsBetween = (waypoints) => waypoints.slice(0, -1).map((point, i) => [point, waypoints[i + 1]])
+
+// Decode a design shared through the URL hash, if the page was opened with one
+const readSharedDesign = () => {
+  try {
+    return { design: parseShareHash(window.location.hash), error: null }
+  } catch (error) {
+    console.warn('Invalid share link:', error)
+    return { design: null, error }
+  }
+}
+
 function App() {
-  const [points, setPoints] = useState([])
+  const [sharedDesign] = useState(readSharedDesign)
+  const [points, setPoints] = useState(() => sharedDesign.design?.points || [])
+  // How each route segment was made (see routeSegments.js); always points.length - 1 long
+  const [segmentKinds, setSegmentKinds] = useState(() => kindsFor(sharedDesign.design?.points.length || 0, SEGMENT_MANUAL))
+  // Drawn or traced shape the route was last snapped from, for the shape-fidelity score
+  const [designShape, setDesignShape] = useState(null)
+  const [fidelityTolerance, setFidelityTolerance] = useState(DEFAULT_TOLERANCE_METERS)
+  // Tolerance as typed, in feet or meters; converted to meters only once the edit is done
+  const [toleranceDraft, setToleranceDraft] = useState(null)
+  const [showFidelityHeatmap, setShowFidelityHeatmap] = useState(false)
   const [searchQuery, setSearchQuery] = useState('')
   const [imageOverlay, setImageOverlay] = useState(null)
   const [imageOpacity, setImageOpacity] = useState(0.5)
   const [imageBounds, setImageBounds] = useState(null)
   const [snapToRoads, setSnapToRoads] = useState(false)
-  const [mapCenter, setMapCenter] = useState([37.7749, -122.4194]) // San Francisco
+  // Parts of the last map-matched trace the engine could not match, shown on the map
+  const [unmatchedSections, setUnmatchedSections] = useState([])
+  const [routingSettings, setRoutingSettings] = useState(() => ({
+    ...DEFAULT_ROUTING_SETTINGS,
+    ...loadPreference('routing', {})
+  }))
+  const [mapCenter, setMapCenter] = useState(() => sharedDesign.design?.center || [37.7749, -122.4194]) // San Francisco
+  const [mapZoom, setMapZoom] = useState(() => sharedDesign.design?.zoom || 13)
+  const [mapView, setMapView] = useState(null) // Last view reported by the map, for autosave
   const [mapReady, setMapReady] = useState(false)
   const [isRouting, setIsRouting] = useState(false)
   const [isProcessingImage, setIsProcessingImage] = useState(false)
@@ -137,122 +330,349 @@ function App() {
   const [referenceBounds, setReferenceBounds] = useState(null)
   const [referenceOpacity, setReferenceOpacity] = useState(0.5)
   const [referenceAspectRatio, setReferenceAspectRatio] = useState(null)
+  const [referenceRotation, setReferenceRotation] = useState(0) // Degrees clockwise around the overlay center
   // Drawing mode state
   const [isDrawingMode, setIsDrawingMode] = useState(false)
-  const [drawnLines, setDrawnLines] = useState([]) // Array of completed lines
+  const [drawnLines, setDrawnLines] = useState(() => sharedDesign.design?.drawnLines || []) // Array of completed lines
   const [currentLine, setCurrentLine] = useState([]) // Line currently being drawn
-  const [undoStack, setUndoStack] = useState([]) // For undo functionality
-  const [redoStack, setRedoStack] = useState([]) // For redo functionality
+  // Undo/redo history covering the route, drawings and reference overlay (image and position)
+  const editHistory = useEditHistory(
+    () => ({ points, segmentKinds, designShape, drawnLines, referenceOverlay, referenceAspectRatio, referenceBounds, referenceRotation }),
+    (snapshot) => {
+      setPoints(snapshot.points)
+      setSegmentKinds(snapshot.segmentKinds)
+      setDesignShape(snapshot.designShape)
+      setDrawnLines(snapshot.drawnLines)
+      setReferenceOverlay(snapshot.referenceOverlay)
+      setReferenceAspectRatio(snapshot.referenceAspectRatio)
+      setReferenceBounds(snapshot.referenceBounds)
+      setReferenceRotation(snapshot.referenceRotation)
+    }
+  )
+  const { record: recordEdit, clear: clearHistory } = editHistory
   const currentLineRef = useRef([]) // Ref for tracking current line during draw
   const [isSnappingRoads, setIsSnappingRoads] = useState(false)
-  const [routeDistance, setRouteDistance] = useState(null) // Distance in miles
+  const [snapProgress, setSnapProgress] = useState(null) // { done, total } routing requests while snapping
+  // Automatic placement search for the reference shape
+  const [isSearchingPlacements, setIsSearchingPlacements] = useState(false)
+  const [placementResults, setPlacementResults] = useState([])
+  const [previewPlacementIndex, setPreviewPlacementIndex] = useState(null)
+  const placementAbortRef = useRef(null)
+  // Fit-to-distance attempts for the route or drawings, and the request they belong to
+  const [isFitting, setIsFitting] = useState(false)
+  const [fitRequest, setFitRequest] = useState(null) // { target, miles, center, snapped }
+  const [fitAttempts, setFitAttempts] = useState([])
+  const [previewFitIndex, setPreviewFitIndex] = useState(null)
+  const fitAbortRef = useRef(null)
+  // Contours found in the reference image, waiting for the user to pick which to snap
+  const [tracedContours, setTracedContours] = useState(null)
+  const [contourSelection, setContourSelection] = useState([])
+  // Image tracing parameters, and the open settings panel that previews them live
+  const [tracingOptions, setTracingOptions] = useState(() => ({
+    ...DEFAULT_TRACING_OPTIONS,
+    ...loadPreference('tracing', {})
+  }))
+  const [showTracingSettings, setShowTracingSettings] = useState(false)
+  const [isTracingPreview, setIsTracingPreview] = useState(false)
+  const [previewProgress, setPreviewProgress] = useState(null)
+  const [traceProgress, setTraceProgress] = useState(null) // Fraction done while the image worker traces
+  const traceAbortRef = useRef(null)
+  const [tracingPreviewError, setTracingPreviewError] = useState(null)
+  // Cumulative miles at each route point; the last one is the route distance
+  const routeDistances = useMemo(() => cumulativeDistances(points), [points])
+  const routeDistance = points.length >= 2 ? routeDistances[routeDistances.length - 1] : null
+  const [units, setUnits] = useState(() => loadPreference('units', DEFAULT_UNITS)) // 'imperial' or 'metric'
+  // Elevation profile of the route, looked up once the route stops changing while the chart is on
+  const [showElevation, setShowElevation] = useState(() => loadPreference('showElevation', false))
+  const [elevationSettings, setElevationSettings] = useState(() => ({
+    ...DEFAULT_ELEVATION_SETTINGS,
+    ...loadPreference('elevation', {})
+  }))
+  const [elevationProfile, setElevationProfile] = useState(null) // { points, samples, stats }
+  const [isLoadingElevation, setIsLoadingElevation] = useState(false)
+  const [elevationError, setElevationError] = useState(null)
+  const [hoveredElevationIndex, setHoveredElevationIndex] = useState(null)
+  // Activity and pace for the duration estimate and split times
+  const [pacePlan, setPacePlan] = useState(() => {
+    const saved = loadPreference('pacePlan', {})
+    return { ...DEFAULT_PACE_PLAN, ...saved, paces: { ...DEFAULT_PACE_PLAN.paces, ...saved.paces } }
+  })
+  const [showSplits, setShowSplits] = useState(() => loadPreference('showSplits', false))
   const mapRef = useRef(null)
   const pngFileInputRef = useRef(null)
+  const routeImageInputRef = useRef(null)
+  const gpxFileInputRef = useRef(null)
+  const [gpxImportMode, setGpxImportMode] = useState('route') // 'route' or 'drawing'
+  const [showExportDialog, setShowExportDialog] = useState(false)
+  // Saved session waiting for the user to restore or discard it; autosave is paused until then
+  // A design opened from a share link takes precedence over the saved session
+  const [pendingSession, setPendingSession] = useState(() => {
+    if (sharedDesign.design) return null
+    const saved = loadSession()
+    return saved && sessionHasContent(saved.state) ? saved : null
+  })
+  const [autosaveStatus, setAutosaveStatus] = useState(null)
+  const [shareLinkError, setShareLinkError] = useState(sharedDesign.error ? sharedDesign.error.message : null)
+  const [linkCopied, setLinkCopied] = useState(false)
+  const [exportFormat, setExportFormat] = useState('gpx')
 
-  // Calculate route distance whenever points change
+  // Look up the elevation profile shortly after the route stops changing
   useEffect(() => {
-    if (points.length >= 2) {
-      let totalDistance = 0
-      for (let i = 1; i < points.length; i++) {
-        const R = 3959 // Earth's radius in miles
-        const lat1 = points[i - 1][0] * Math.PI / 180
-        const lat2 = points[i][0] * Math.PI / 180
-        const deltaLat = (points[i][0] - points[i - 1][0]) * Math.PI / 180
-        const deltaLng = (points[i][1] - points[i - 1][1]) * Math.PI / 180
-        
-        const a = Math.sin(deltaLat / 2) * Math.sin(deltaLat / 2) +
-                  Math.cos(lat1) * Math.cos(lat2) *
-                  Math.sin(deltaLng / 2) * Math.sin(deltaLng / 2)
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
-        
-        totalDistance += R * c
+    if (!showElevation || points.length < 2) {
+      setElevationProfile(null)
+      setElevationError(null)
+      setIsLoadingElevation(false)
+      return
+    }
+
+    // Superseded lookups are aborted before their next request
+    const controller = new AbortController()
+    const timer = setTimeout(async () => {
+      setIsLoadingElevation(true)
+      try {
+        const profile = await fetchElevationProfile(elevationSettings, points, { signal: controller.signal })
+        setElevationProfile({ ...profile, points })
+        setHoveredElevationIndex(null)
+        setElevationError(null)
+      } catch (err) {
+        if (!controller.signal.aborted) {
+          console.error('Elevation lookup error:', err)
+          setElevationProfile(null)
+          setElevationError(err.message)
+        }
+      } finally {
+        if (!controller.signal.aborted) setIsLoadingElevation(false)
       }
-      setRouteDistance(totalDistance)
-    } else {
-      setRouteDistance(null)
+    }, 800)
+    return () => {
+      controller.abort()
+      clearTimeout(timer)
+    }
+  }, [showElevation, elevationSettings, points])
+
+  // Elevation at every route point, when the profile is for the current route
+  const routeElevations = useMemo(
+    () => (elevationProfile?.points === points ? elevationsAlongRoute(elevationProfile.samples, points) : null),
+    [elevationProfile, points]
+  )
+
+  // Snapshot of everything the session autosave and project library persist
+  const getEditorState = useCallback(() => ({
+    points,
+    segmentKinds,
+    designShape,
+    drawnLines,
+    referenceOverlay,
+    referenceBounds,
+    referenceOpacity,
+    referenceAspectRatio,
+    referenceRotation,
+    snapToRoads,
+    mapView
+  }), [points, segmentKinds, designShape, drawnLines, referenceOverlay, referenceBounds, referenceOpacity, referenceAspectRatio, referenceRotation, snapToRoads, mapView])
+
+  // Replace the editor contents with a saved state (session restore or project open)
+  const applyEditorState = useCallback((state) => {
+    setPoints(state.points || [])
+    setSegmentKinds(alignSegmentKinds(state.segmentKinds, (state.points || []).length))
+    setDesignShape(state.designShape || null)
+    setDrawnLines(state.drawnLines || [])
+    setReferenceOverlay(state.referenceOverlay || null)
+    setReferenceBounds(state.referenceBounds || null)
+    setReferenceOpacity(state.referenceOpacity ?? 0.5)
+    setReferenceAspectRatio(state.referenceAspectRatio || null)
+    setReferenceRotation(state.referenceRotation || 0)
+    setSnapToRoads(Boolean(state.snapToRoads))
+    clearHistory()
+    if (state.mapView) {
+      setMapCenter(state.mapView.center)
+      setMapZoom(state.mapView.zoom)
+    }
+  }, [clearHistory])
+
+  // Autosave the editor state, debounced so drags and drawing don't hammer storage
+  useEffect(() => {
+    if (pendingSession) return
+
+    const timer = setTimeout(() => {
+      setAutosaveStatus(saveSession(getEditorState()))
+    }, 1000)
+    return () => clearTimeout(timer)
+  }, [pendingSession, getEditorState])
+
+  // Restore the saved session offered on load
+  const restoreSession = () => {
+    if (!pendingSession) return
+    applyEditorState(pendingSession.state)
+    setPendingSession(null)
+  }
+
+  // Load designs from share links pasted into an already open tab, then clear the hash
+  // so a refresh falls back to the autosaved session
+  useEffect(() => {
+    const clearHash = () => {
+      if (window.location.hash) {
+        window.history.replaceState(null, '', window.location.pathname + window.location.search)
+      }
+    }
+
+    const handleHashChange = () => {
+      let design
+      try {
+        design = parseShareHash(window.location.hash)
+      } catch (error) {
+        console.warn('Invalid share link:', error)
+        setShareLinkError(error.message)
+        clearHash()
+        return
+      }
+      if (!design) return
+
+      setPoints(design.points)
+      setSegmentKinds(kindsFor(design.points.length, SEGMENT_MANUAL))
+      setDesignShape(null)
+      setDrawnLines(design.drawnLines)
+      clearHistory()
+      if (design.center) {
+        setMapCenter(design.center)
+        setMapZoom(design.zoom)
+      }
+      setPendingSession(null)
+      setShareLinkError(null)
+      clearHash()
+    }
+
+    clearHash()
+    window.addEventListener('hashchange', handleHashChange)
+    return () => window.removeEventListener('hashchange', handleHashChange)
+  }, [clearHistory])
+
+  // Copy a link that opens the current design
+  const copyShareLink = async () => {
+    const view = mapView || { center: mapCenter, zoom: mapZoom }
+    let hash = buildShareHash({ points, drawnLines, center: view.center, zoom: view.zoom })
+
+    if (hash.length > MAX_SHARE_HASH_LENGTH && drawnLines.length > 0) {
+      // Drop the drawing layer before giving up; the route is what matters most
+      hash = buildShareHash({ points, center: view.center, zoom: view.zoom })
+      if (hash.length <= MAX_SHARE_HASH_LENGTH) {
+        alert('The design is too large to share with its drawings, so the link only includes the route.')
+      }
+    }
+    if (hash.length > MAX_SHARE_HASH_LENGTH) {
+      alert('This route has too many points to fit in a link. Export a GPX file to share it instead.')
+      return
+    }
+
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${hash}`
+    try {
+      await navigator.clipboard.writeText(url)
+      setLinkCopied(true)
+      setTimeout(() => setLinkCopied(false), 2000)
+    } catch (error) {
+      // Clipboard access can be blocked (e.g. non-HTTPS pages), so let the user copy by hand
+      prompt('Copy this link to share your design:', url)
     }
-  }, [points])
+  }
+
+  // Discard the saved session and start with an empty editor
+  const discardSession = () => {
+    clearSession()
+    setPendingSession(null)
+  }
 
   // Handle line completion (called when mouse is released after drawing)
   const handleLineComplete = useCallback((line) => {
     if (line && line.length > 1) {
-      setDrawnLines(prev => {
-        // Save current state to undo stack
-        setUndoStack(undoPrev => [...undoPrev, { type: 'add', lines: prev }])
-        setRedoStack([]) // Clear redo stack on new action
-        return [...prev, line]
-      })
+      recordEdit('Draw line')
+      setDrawnLines(prev => [...prev, line])
     }
-  }, [])
+  }, [recordEdit])
 
   // Delete last drawn line
   const deleteLastLine = useCallback(() => {
     if (drawnLines.length === 0) return
     
-    setUndoStack(prev => [...prev, { type: 'delete', lines: drawnLines }])
-    setRedoStack([])
+    recordEdit('Delete last line')
     setDrawnLines(prev => prev.slice(0, -1))
-  }, [drawnLines])
-
-  // Undo action
-  const handleUndo = useCallback(() => {
-    if (undoStack.length === 0) return
-    
-    const lastAction = undoStack[undoStack.length - 1]
-    setRedoStack(prev => [...prev, { type: 'undo', lines: drawnLines }])
-    setDrawnLines(lastAction.lines)
-    setUndoStack(prev => prev.slice(0, -1))
-  }, [undoStack, drawnLines])
-
-  // Redo action
-  const handleRedo = useCallback(() => {
-    if (redoStack.length === 0) return
-    
-    const lastRedo = redoStack[redoStack.length - 1]
-    setUndoStack(prev => [...prev, { type: 'redo', lines: drawnLines }])
-    setDrawnLines(lastRedo.lines)
-    setRedoStack(prev => prev.slice(0, -1))
-  }, [redoStack, drawnLines])
+  }, [drawnLines, recordEdit])
 
   // Clear all drawings
   const clearAllDrawings = useCallback(() => {
     if (drawnLines.length === 0) return
     
-    setUndoStack(prev => [...prev, { type: 'clear', lines: drawnLines }])
-    setRedoStack([])
+    recordEdit('Clear drawings')
     setDrawnLines([])
-  }, [drawnLines])
+  }, [drawnLines, recordEdit])
+
+  // Record overlay moves and resizes from the reference image handles
+  const handleReferenceBoundsChange = useCallback((bounds) => {
+    recordEdit('Move/resize overlay')
+    setReferenceBounds(bounds)
+  }, [recordEdit])
+
+  // Record overlay rotation from the rotate handle or the angle input
+  const handleReferenceRotationChange = useCallback((rotation) => {
+    recordEdit('Rotate overlay')
+    setReferenceRotation(rotation)
+  }, [recordEdit])
+
+  // Keyboard shortcuts: Ctrl+Z undo, Ctrl+Shift+Z / Ctrl+Y redo (Cmd on Mac)
+  const { undo, redo } = editHistory
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return
+      // Leave text fields their native undo
+      const tag = e.target.tagName
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || e.target.isContentEditable) return
+
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        undo()
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault()
+        redo()
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [undo, redo])
 
-  // Get OSRM route between two points
-  const getOSRMRoute = useCallback(async (start, end) => {
-    // Use HTTPS and the public OSRM instance
-    // Format: lon,lat (OSRM uses [longitude, latitude] order)
-    const url = `https://router.project-osrm.org/route/v1/driving/${start[1]},${start[0]};${end[1]},${end[0]}?overview=full&geometries=geojson`
-    
+  // Get a road route between two points from the configured routing engine.
+  // Resolves with a route section: { points, kinds } with one kind per segment.
+  const getRoute = useCallback(async (start, end) => {
     try {
-      const response = await fetch(url)
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`)
-      }
-      const data = await response.json()
-      
-      if (data.code === 'Ok' && data.routes && data.routes.length > 0) {
-        const coordinates = data.routes[0].geometry.coordinates
-        // Convert from [lng, lat] to [lat, lng] format for Leaflet
-        return coordinates.map(coord => [coord[1], coord[0]])
-      } else {
-        console.warn('OSRM returned error code:', data.code)
-      }
+      const route = await fetchRoute(routingSettings, [start, end])
+      return { points: route, kinds: kindsFor(route.length, SEGMENT_SNAPPED) }
     } catch (error) {
-      console.error('OSRM API error:', error)
+      console.error('Routing error:', error)
     }
     
-    // Fallback to straight line if OSRM fails
-    return [[start[0], start[1]], [end[0], end[1]]]
-  }, [])
+    // Fallback to straight line if routing fails, marked so it can be retried later
+    return { points: [[start[0], start[1]], [end[0], end[1]]], kinds: [SEGMENT_FALLBACK] }
+  }, [routingSettings])
+
+  // Route every [start, end] leg in parallel (the routing queue limits how many actually
+  // run at once), reporting progress as legs finish. Resolves with one section per leg.
+  const routeLegs = useCallback(async (legs) => {
+    let done = 0
+    setSnapProgress({ done, total: legs.length })
+    try {
+      return await Promise.all(legs.map(async ([start, end]) => {
+        const section = await getRoute(start, end)
+        done += 1
+        setSnapProgress({ done, total: legs.length })
+        return section
+      }))
+    } finally {
+      setSnapProgress(null)
+    }
+  }, [getRoute])
 
-  // Convert normalized points to map coordinates based on current bounds
-  const normalizedToMapCoords = useCallback((normalizedPoints, bounds) => {
+  // Convert normalized points to map coordinates based on current bounds, turned clockwise
+  // by `rotation` degrees around the bounds center the same way as the reference overlay
+  const normalizedToMapCoords = useCallback((normalizedPoints, bounds, rotation = 0) => {
     if (!bounds || normalizedPoints.length === 0) return []
     
     const south = bounds[0][0]
@@ -261,9 +681,15 @@ function App() {
     const east = bounds[1][1]
     const height = north - south
     const width = east - west
+    const validPoints = normalizedPoints.filter(p => !isNaN(p[0]) && !isNaN(p[1]))
     
-    return normalizedPoints
-      .filter(p => !isNaN(p[0]) && !isNaN(p[1]))
+    if (rotation) {
+      const center = [(south + north) / 2, (west + east) / 2]
+      return placeShape(shapeToLocal(validPoints, bounds), { center, rotation })
+        .filter(p => !isNaN(p[0]) && !isNaN(p[1]))
+    }
+    
+    return validPoints
       .map(p => {
         // SVG y increases downward, lat increases upward, so invert y
         const lat = north - p[1] * height
@@ -273,48 +699,36 @@ function App() {
       .filter(p => !isNaN(p[0]) && !isNaN(p[1]))
   }, [])
 
-  // Snap points to roads using OSRM
-  const snapToRoadsOSRM = useCallback(async (mapPoints) => {
-    if (mapPoints.length < 2) return mapPoints
+  // Snap points to roads using the routing engine.
+  // Resolves with the snapped points, their segment kinds and the number of trace sections
+  // that failed to match.
+  const snapPointsToRoads = useCallback(async (mapPoints) => {
+    if (mapPoints.length < 2) return { points: mapPoints, kinds: kindsFor(mapPoints.length, SEGMENT_MANUAL), unmatchedCount: 0 }
     
-    // Reduce waypoints for OSRM (max ~100 per request)
-    const MAX_WAYPOINTS = 40
-    let waypoints = mapPoints
-    if (mapPoints.length > MAX_WAYPOINTS) {
-      const step = Math.ceil(mapPoints.length / MAX_WAYPOINTS)
-      waypoints = []
-      for (let i = 0; i < mapPoints.length; i += step) {
-        waypoints.push(mapPoints[i])
-      }
-      if (waypoints[waypoints.length - 1] !== mapPoints[mapPoints.length - 1]) {
-        waypoints.push(mapPoints[mapPoints.length - 1])
-      }
-    }
-    
-    const snappedPoints = []
-    
-    for (let i = 0; i < waypoints.length - 1; i++) {
+    if (routingSettings.snapMode === 'match' && supportsMatching(routingSettings)) {
+      // Map-match the whole trace and keep the sections that couldn't be matched for display
       try {
-        const segment = await getOSRMRoute(waypoints[i], waypoints[i + 1])
-        if (segment && segment.length > 0) {
-          if (i === 0) {
-            snappedPoints.push(...segment)
-          } else {
-            snappedPoints.push(...segment.slice(1))
-          }
-        } else {
-          if (i === 0) snappedPoints.push(waypoints[i])
-          snappedPoints.push(waypoints[i + 1])
-        }
-      } catch (err) {
-        console.warn('OSRM segment error:', err)
-        if (i === 0) snappedPoints.push(waypoints[i])
-        snappedPoints.push(waypoints[i + 1])
+        const { points: matchedPoints, kinds, failedSections } = await matchTrace(
+          routingSettings,
+          mapPoints,
+          (done, total) => setSnapProgress({ done, total })
+        )
+        setUnmatchedSections(failedSections.map(([start, end]) =>
+          mapPoints.slice(Math.max(0, start - 1), Math.min(mapPoints.length, end + 2))
+        ))
+        return { points: matchedPoints, kinds, unmatchedCount: failedSections.length }
+      } finally {
+        setSnapProgress(null)
       }
     }
+    setUnmatchedSections([])
     
-    return snappedPoints
-  }, [getOSRMRoute])
+    // Reduce waypoints to keep the number of routing requests manageable
+    const waypoints = downsamplePoints(mapPoints, MAX_SNAP_WAYPOINTS)
+    const { points: snappedPoints, kinds } = joinSections(await routeLegs(legsBetween(waypoints)))
+    
+    return { points: snappedPoints, kinds, unmatchedCount: 0 }
+  }, [routeLegs, routingSettings])
 
   // Convert drawings to route points (with optional road snapping)
   const convertDrawingsToRoute = useCallback(async () => {
@@ -327,25 +741,34 @@ function App() {
     const allPoints = drawnLines.flat()
     
     if (snapToRoads && allPoints.length >= 2) {
-      // Snap to roads using OSRM
+      // Snap to roads using the routing engine
       setIsSnappingRoads(true)
       try {
-        const snappedPoints = await snapToRoadsOSRM(allPoints)
+        const { points: snappedPoints, kinds, unmatchedCount } = await snapPointsToRoads(allPoints)
+        recordEdit('Convert drawings to route')
         setPoints(snappedPoints)
-        alert(`Converted ${drawnLines.length} line(s) to road-snapped route with ${snappedPoints.length} points`)
+        setSegmentKinds(kinds)
+        setDesignShape(allPoints)
+        alert(`Converted ${drawnLines.length} line(s) to road-snapped route with ${snappedPoints.length} points${unmatchedCount > 0 ? ` (${unmatchedCount} section(s) could not be matched to roads and are marked on the map)` : ''}`)
       } catch (err) {
         console.error('Road snapping error:', err)
         // Fall back to direct points
+        recordEdit('Convert drawings to route')
         setPoints(allPoints)
+        setSegmentKinds(kindsFor(allPoints.length, SEGMENT_FALLBACK))
+        setDesignShape(allPoints)
         alert(`Road snapping failed. Converted to ${allPoints.length} points without snapping.`)
       } finally {
         setIsSnappingRoads(false)
       }
     } else {
+      recordEdit('Convert drawings to route')
       setPoints(allPoints)
+      setSegmentKinds(kindsFor(allPoints.length, SEGMENT_MANUAL))
+      setDesignShape(null)
       alert(`Converted ${drawnLines.length} line(s) to route with ${allPoints.length} points`)
     }
-  }, [drawnLines, snapToRoads, snapToRoadsOSRM])
+  }, [drawnLines, snapToRoads, snapPointsToRoads, recordEdit])
 
   // Handle map click to add points
   const handleMapClick = useCallback(async (e) => {
@@ -356,23 +779,180 @@ function App() {
       setIsRouting(true)
       const lastPoint = points[points.length - 1]
       try {
-        const route = await getOSRMRoute([lastPoint[0], lastPoint[1]], [newPoint[0], newPoint[1]])
-        if (route && route.length > 1) {
+        const route = await getRoute([lastPoint[0], lastPoint[1]], [newPoint[0], newPoint[1]])
+        if (route.points.length > 1) {
           // Add route points excluding the first one (since it's the same as the last point)
-          setPoints(prev => [...prev, ...route.slice(1)])
+          recordEdit('Add point')
+          setPoints(prev => [...prev, ...route.points.slice(1)])
+          setSegmentKinds(prev => [...prev, ...route.kinds])
           setIsRouting(false)
           return
         }
       } catch (error) {
-        console.error('OSRM route error:', error)
+        console.error('Routing error:', error)
         // Fall through to add the point normally
       } finally {
         setIsRouting(false)
       }
     }
     
+    recordEdit('Add point')
     setPoints(prev => [...prev, newPoint])
-  }, [points, snapToRoads, getOSRMRoute])
+    if (points.length > 0) setSegmentKinds(prev => [...prev, SEGMENT_MANUAL])
+  }, [points, snapToRoads, getRoute, recordEdit])
+
+  // Connect consecutive anchor points, routing along roads when snapping is on.
+  // Resolves with a route section: { points, kinds }.
+  const connectAnchors = useCallback(async (anchors) => {
+    if (!snapToRoads || anchors.length < 2) {
+      return { points: anchors, kinds: kindsFor(anchors.length, SEGMENT_MANUAL) }
+    }
+
+    const sections = await Promise.all(legsBetween(anchors).map(([start, end]) => getRoute(start, end)))
+    return joinSections(sections)
+  }, [snapToRoads, getRoute])
+
+  // Replace points[start..end] (inclusive) with a path through the given anchors.
+  // Only the segments touching the edited vertex get re-snapped.
+  const replaceRouteSection = useCallback(async (start, end, anchors, label) => {
+    setIsRouting(true)
+    try {
+      const section = await connectAnchors(anchors)
+      recordEdit(label)
+      setPoints(prev => splicePoints(prev, start, end, section))
+      setSegmentKinds(prev => spliceKinds(prev, start, end, section))
+    } catch (error) {
+      console.error('Vertex edit error:', error)
+    } finally {
+      setIsRouting(false)
+    }
+  }, [connectAnchors, recordEdit])
+
+  // Drag a vertex to a new position
+  const moveVertex = useCallback((index, latlng) => {
+    const { start, end, anchors } = moveVertexSection(points, index, [latlng.lat, latlng.lng])
+    replaceRouteSection(start, end, anchors, 'Move point')
+  }, [points, replaceRouteSection])
+
+  // Remove a vertex, reconnecting its neighbours
+  const deleteVertex = useCallback((index) => {
+    const { start, end, anchors } = deleteVertexSection(points, index)
+    if (anchors.length < 2) {
+      // End points have nothing to reconnect
+      const section = { points: anchors, kinds: [] }
+      recordEdit('Delete point')
+      setPoints(prev => splicePoints(prev, start, end, section))
+      setSegmentKinds(prev => spliceKinds(prev, start, end, section))
+      return
+    }
+    replaceRouteSection(start, end, anchors, 'Delete point')
+  }, [points, recordEdit, replaceRouteSection])
+
+  // Insert a vertex on the route segment closest to the clicked position
+  const insertVertex = useCallback((latlng) => {
+    const map = mapRef.current
+    if (!map || points.length < 2) return
+
+    const clicked = map.latLngToLayerPoint(latlng)
+    let bestIndex = 0
+    let bestDistance = Infinity
+    for (let i = 0; i < points.length - 1; i++) {
+      const distance = L.LineUtil.pointToSegmentDistance(
+        clicked,
+        map.latLngToLayerPoint(points[i]),
+        map.latLngToLayerPoint(points[i + 1])
+      )
+      if (distance < bestDistance) {
+        bestDistance = distance
+        bestIndex = i
+      }
+    }
+
+    const { start, end, anchors } = insertVertexSection(points, bestIndex, [latlng.lat, latlng.lng])
+    replaceRouteSection(start, end, anchors, 'Insert point')
+  }, [points, replaceRouteSection])
+
+  // Re-route every run of straight fallback segments; legs that fail again stay as fallbacks
+  const retryFailedSegments = useCallback(async () => {
+    const ranges = fallbackRanges(segmentKinds)
+    if (ranges.length === 0) return
+
+    setIsSnappingRoads(true)
+    try {
+      const waypointLists = ranges.map(([start, end]) => downsamplePoints(points.slice(start, end + 1), MAX_SNAP_WAYPOINTS))
+      const sections = await routeLegs(waypointLists.flatMap(legsBetween))
+
+      // Regroup the legs by range, then splice from the end so earlier indices stay valid
+      let nextPoints = points
+      let nextKinds = segmentKinds
+      let legIndex = sections.length
+      for (let r = ranges.length - 1; r >= 0; r--) {
+        const legCount = waypointLists[r].length - 1
+        legIndex -= legCount
+        const section = joinSections(sections.slice(legIndex, legIndex + legCount))
+        const [start, end] = ranges[r]
+        nextPoints = splicePoints(nextPoints, start, end, section)
+        nextKinds = spliceKinds(nextKinds, start, end, section)
+      }
+
+      recordEdit('Retry failed segments')
+      setPoints(nextPoints)
+      setSegmentKinds(nextKinds)
+
+      const stillFailed = nextKinds.filter(kind => kind === SEGMENT_FALLBACK).length
+      if (stillFailed > 0) {
+        alert(`${stillFailed} segment(s) still could not be snapped to roads`)
+      }
+    } catch (error) {
+      console.error('Retry snapping error:', error)
+      alert(`Retry failed: ${error.message}`)
+    } finally {
+      setIsSnappingRoads(false)
+    }
+  }, [points, segmentKinds, routeLegs, recordEdit])
+
+  // Persist routing settings across visits
+  const handleRoutingSettingsChange = (settings) => {
+    setRoutingSettings(settings)
+    savePreference('routing', settings)
+  }
+
+  const handleTracingOptionsChange = (options) => {
+    setTracingOptions(options)
+    savePreference('tracing', options)
+  }
+
+  const handleUnitsChange = (value) => {
+    setUnits(value)
+    savePreference('units', value)
+  }
+
+  // Apply a typed fidelity tolerance; empty or invalid input keeps the previous one
+  const commitToleranceDraft = () => {
+    const value = parseFloat(toleranceDraft)
+    if (value > 0) setFidelityTolerance(Math.max(1, fromDisplayLength(value, units)))
+    setToleranceDraft(null)
+  }
+
+  const handleShowElevationChange = (value) => {
+    setShowElevation(value)
+    savePreference('showElevation', value)
+  }
+
+  const handleElevationSettingsChange = (settings) => {
+    setElevationSettings(settings)
+    savePreference('elevation', settings)
+  }
+
+  const handlePacePlanChange = (plan) => {
+    setPacePlan(plan)
+    savePreference('pacePlan', plan)
+  }
+
+  const handleShowSplitsChange = (value) => {
+    setShowSplits(value)
+    savePreference('showSplits', value)
+  }
 
   // Center map on user's current location
   const centerOnMyLocation = () => {
@@ -437,334 +1017,173 @@ function App() {
     }
   }
 
-  // Calculate distance between two points in miles using Haversine formula
-  const calculateDistance = (point1, point2) => {
-    const R = 3959 // Earth's radius in miles
-    const lat1 = point1[0] * Math.PI / 180
-    const lat2 = point2[0] * Math.PI / 180
-    const deltaLat = (point2[0] - point1[0]) * Math.PI / 180
-    const deltaLng = (point2[1] - point1[1]) * Math.PI / 180
-    
-    const a = Math.sin(deltaLat / 2) * Math.sin(deltaLat / 2) +
-              Math.cos(lat1) * Math.cos(lat2) *
-              Math.sin(deltaLng / 2) * Math.sin(deltaLng / 2)
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
-    
-    return R * c
-  }
-
-  // Calculate total route distance
-  const calculateRouteDistance = (routePoints) => {
-    let totalDistance = 0
-    for (let i = 1; i < routePoints.length; i++) {
-      totalDistance += calculateDistance(routePoints[i - 1], routePoints[i])
-    }
-    return totalDistance
-  }
-
-
-  // Handle PNG reference overlay upload
-  const handlePNGUpload = (e) => {
+  // Handle reference overlay upload (PNG, JPEG, WebP or SVG)
+  const handleReferenceUpload = (e) => {
     const file = e.target.files[0]
+    // Reset the input so the same file can be uploaded again
+    e.target.value = ''
     if (!file) return
 
-    if (file.type === 'image/png' || file.name.toLowerCase().endsWith('.png')) {
-      const reader = new FileReader()
-      reader.onload = (event) => {
-        const imageUrl = event.target.result
+    readImageFile(file).then((imageUrl) => {
+      // Load image to get dimensions and calculate proper aspect ratio
+      const img = new Image()
+      img.onload = () => {
+        recordEdit('Upload overlay')
+        setReferenceOverlay(imageUrl)
         
-        // Load image to get dimensions and calculate proper aspect ratio
-        const img = new Image()
-        img.onload = () => {
-          setReferenceOverlay(imageUrl)
+        // Store aspect ratio for use in resize operations
+        const imageAspectRatio = img.width / img.height
+        setReferenceAspectRatio(imageAspectRatio)
+        setReferenceRotation(0)
+        
+        // Set initial bounds preserving aspect ratio
+        if (mapRef.current) {
+          const mapBounds = mapRef.current.getBounds()
+          const center = mapBounds.getCenter()
+          const mapWidth = mapBounds.getEast() - mapBounds.getWest()
+          const mapHeight = mapBounds.getNorth() - mapBounds.getSouth()
           
-          // Store aspect ratio for use in resize operations
-          const imageAspectRatio = img.width / img.height
-          setReferenceAspectRatio(imageAspectRatio)
+          const mapAspectRatio = mapWidth / mapHeight
           
-          // Set initial bounds preserving aspect ratio
-          if (mapRef.current) {
-            const mapBounds = mapRef.current.getBounds()
-            const center = mapBounds.getCenter()
-            const mapWidth = mapBounds.getEast() - mapBounds.getWest()
-            const mapHeight = mapBounds.getNorth() - mapBounds.getSouth()
-            
-            const mapAspectRatio = mapWidth / mapHeight
-            
-            let overlayWidth, overlayHeight
-            
-            // Fit image to map view while preserving aspect ratio
-            if (imageAspectRatio > mapAspectRatio) {
-              // Image is wider - fit to map width
-              overlayWidth = mapWidth * 0.8 // Use 80% of map width
-              overlayHeight = overlayWidth / imageAspectRatio
-            } else {
-              // Image is taller - fit to map height
-              overlayHeight = mapHeight * 0.8 // Use 80% of map height
-              overlayWidth = overlayHeight * imageAspectRatio
-            }
-            
-            const initialBounds = [
-              [center.lat - overlayHeight / 2, center.lng - overlayWidth / 2],
-              [center.lat + overlayHeight / 2, center.lng + overlayWidth / 2]
-            ]
-            setReferenceBounds(initialBounds)
+          let overlayWidth, overlayHeight
+          
+          // Fit image to map view while preserving aspect ratio
+          if (imageAspectRatio > mapAspectRatio) {
+            // Image is wider - fit to map width
+            overlayWidth = mapWidth * 0.8 // Use 80% of map width
+            overlayHeight = overlayWidth / imageAspectRatio
+          } else {
+            // Image is taller - fit to map height
+            overlayHeight = mapHeight * 0.8 // Use 80% of map height
+            overlayWidth = overlayHeight * imageAspectRatio
           }
+          
+          const initialBounds = [
+            [center.lat - overlayHeight / 2, center.lng - overlayWidth / 2],
+            [center.lat + overlayHeight / 2, center.lng + overlayWidth / 2]
+          ]
+          setReferenceBounds(initialBounds)
         }
-        img.src = imageUrl
       }
-      reader.readAsDataURL(file)
-    } else {
-      alert('Please upload a PNG file')
-    }
+      img.src = imageUrl
+    }).catch((error) => {
+      console.error('Reference image error:', error)
+      alert(`Could not load image: ${error.message}`)
+    })
   }
 
-  // Edge detection using Sobel operator
-  const detectEdges = useCallback((grayscale, width, height) => {
-    const edges = new Float32Array(width * height)
-    
-    // Sobel kernels
-    const sobelX = [-1, 0, 1, -2, 0, 2, -1, 0, 1]
-    const sobelY = [-1, -2, -1, 0, 0, 0, 1, 2, 1]
-    
-    for (let y = 1; y < height - 1; y++) {
-      for (let x = 1; x < width - 1; x++) {
-        let gx = 0, gy = 0
-        
-        for (let ky = -1; ky <= 1; ky++) {
-          for (let kx = -1; kx <= 1; kx++) {
-            const idx = (y + ky) * width + (x + kx)
-            const kidx = (ky + 1) * 3 + (kx + 1)
-            gx += grayscale[idx] * sobelX[kidx]
-            gy += grayscale[idx] * sobelY[kidx]
-          }
-        }
-        
-        edges[y * width + x] = Math.sqrt(gx * gx + gy * gy)
-      }
-    }
-    
-    return edges
-  }, [])
-
-  // Trace contour from edge-detected image
-  const traceContour = useCallback((edges, width, height, threshold) => {
-    const visited = new Set()
-    const contourPoints = []
-    
-    // Find starting point (first edge pixel from top-left)
-    let startX = -1, startY = -1
-    for (let y = 0; y < height && startX === -1; y++) {
-      for (let x = 0; x < width; x++) {
-        if (edges[y * width + x] > threshold) {
-          startX = x
-          startY = y
-          break
-        }
-      }
-    }
-    
-    if (startX === -1) return []
-    
-    // 8-directional neighbor offsets (clockwise from right)
-    const dx = [1, 1, 0, -1, -1, -1, 0, 1]
-    const dy = [0, 1, 1, 1, 0, -1, -1, -1]
-    
-    let x = startX, y = startY
-    let lastDir = 0
-    const maxPoints = 5000
-    
-    // Trace the contour
-    do {
-      const key = `${x},${y}`
-      if (!visited.has(key)) {
-        visited.add(key)
-        contourPoints.push([x / width, y / height]) // Normalize to 0-1
-      }
-      
-      // Find next edge pixel (start search from last direction - 2)
-      let found = false
-      const startDir = (lastDir + 6) % 8
-      
-      for (let i = 0; i < 8; i++) {
-        const dir = (startDir + i) % 8
-        const nx = x + dx[dir]
-        const ny = y + dy[dir]
-        
-        if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-          if (edges[ny * width + nx] > threshold && !visited.has(`${nx},${ny}`)) {
-            x = nx
-            y = ny
-            lastDir = dir
-            found = true
-            break
-          }
-        }
-      }
-      
-      if (!found) break
-      
-    } while ((x !== startX || y !== startY) && contourPoints.length < maxPoints)
-    
-    return contourPoints
-  }, [])
+  // Trace every outline of the reference image, or in centerline mode the middle of each
+  // stroke, with the current tracing options. Runs in the image worker; resolves with
+  // simplified contours ({ points, closed, inner }, points normalized 0-1, y down),
+  // longest first, and throws if no usable outline is found or `signal` aborts.
+  const traceReferenceContours = useCallback(async ({ signal, onProgress } = {}) => {
+    const image = await loadImagePixels(referenceOverlay, tracingOptions.resolution)
+    return runImageJob('trace', { ...image, options: tracingOptions }, { signal, onProgress })
+  }, [referenceOverlay, tracingOptions])
+
+  // Contours of the reference image: SVG artwork uses its vector shapes directly, everything
+  // else goes through edge detection
+  const referenceContours = useCallback(async (jobOptions) => {
+    const svgText = svgTextFromDataUrl(referenceOverlay)
+    const contours = svgText ? svgContours(svgText) : []
+    if (contours.length > 0) return contours
+    return traceReferenceContours(jobOptions)
+  }, [referenceOverlay, traceReferenceContours])
+
+  // Contours the user kept in the picker, or all of them when the picker isn't open
+  const chosenContours = useCallback(async (jobOptions) => {
+    if (tracedContours) return tracedContours.filter((_, index) => contourSelection[index])
+    return referenceContours(jobOptions)
+  }, [tracedContours, contourSelection, referenceContours])
+
+  // A picked contour list changes meaning with a different image or tracing options
+  useEffect(() => {
+    setTracedContours(null)
+  }, [referenceOverlay, tracingOptions])
 
-  // Simplify path using Douglas-Peucker algorithm
-  const simplifyPath = useCallback((points, tolerance) => {
-    if (points.length < 3) return points
-    
-    const sqDist = (p1, p2) => {
-      const dx = p1[0] - p2[0]
-      const dy = p1[1] - p2[1]
-      return dx * dx + dy * dy
-    }
-    
-    const pointToLineDistance = (point, lineStart, lineEnd) => {
-      const A = point[0] - lineStart[0]
-      const B = point[1] - lineStart[1]
-      const C = lineEnd[0] - lineStart[0]
-      const D = lineEnd[1] - lineStart[1]
-      
-      const dot = A * C + B * D
-      const lenSq = C * C + D * D
-      let param = lenSq !== 0 ? dot / lenSq : -1
-      
-      let xx, yy
-      if (param < 0) {
-        xx = lineStart[0]
-        yy = lineStart[1]
-      } else if (param > 1) {
-        xx = lineEnd[0]
-        yy = lineEnd[1]
-      } else {
-        xx = lineStart[0] + param * C
-        yy = lineStart[1] + param * D
-      }
-      
-      return sqDist(point, [xx, yy])
-    }
+  // Live preview: re-trace shortly after the tracing options change while the panel is open
+  useEffect(() => {
+    if (!showTracingSettings || !referenceOverlay || referenceOverlay.startsWith('data:image/svg+xml')) return
     
-    const simplifySegment = (start, end) => {
-      let maxDist = 0
-      let maxIdx = 0
-      
-      for (let i = start + 1; i < end; i++) {
-        const dist = pointToLineDistance(points[i], points[start], points[end])
-        if (dist > maxDist) {
-          maxDist = dist
-          maxIdx = i
+    // Superseded previews are aborted, which stops their worker
+    const controller = new AbortController()
+    const timer = setTimeout(async () => {
+      setIsTracingPreview(true)
+      try {
+        const contours = await referenceContours({ signal: controller.signal, onProgress: setPreviewProgress })
+        setTracedContours(contours)
+        setContourSelection(contours.map(() => true))
+        setTracingPreviewError(null)
+      } catch (err) {
+        if (!controller.signal.aborted) setTracingPreviewError(err.message)
+      } finally {
+        if (!controller.signal.aborted) {
+          setIsTracingPreview(false)
+          setPreviewProgress(null)
         }
       }
-      
-      if (maxDist > tolerance * tolerance) {
-        const left = simplifySegment(start, maxIdx)
-        const right = simplifySegment(maxIdx, end)
-        return [...left.slice(0, -1), ...right]
-      } else {
-        return [points[start], points[end]]
-      }
+    }, 300)
+    return () => {
+      controller.abort()
+      clearTimeout(timer)
     }
-    
-    return simplifySegment(0, points.length - 1)
-  }, [])
+  }, [showTracingSettings, referenceOverlay, referenceContours])
 
   // Trace PNG and snap to roads
   const tracePNGAndSnap = useCallback(async () => {
     if (!referenceOverlay || !referenceBounds) {
-      alert('Please upload a PNG image first')
+      alert('Please upload a reference image first')
       return
     }
     
     setIsSnappingRoads(true)
+    const controller = new AbortController()
+    traceAbortRef.current = controller
     
     try {
-      // Load image
-      const img = new Image()
-      await new Promise((resolve, reject) => {
-        img.onload = resolve
-        img.onerror = reject
-        img.src = referenceOverlay
-      })
-      
-      // Create canvas and draw image
-      const canvas = document.createElement('canvas')
-      const ctx = canvas.getContext('2d')
-      const maxSize = 300 // Resolution for edge detection
-      const scale = Math.min(maxSize / img.width, maxSize / img.height)
-      canvas.width = Math.floor(img.width * scale)
-      canvas.height = Math.floor(img.height * scale)
-      ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
-      
-      // Get image data and convert to grayscale
-      const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height)
-      const data = imageData.data
-      const grayscale = new Uint8Array(canvas.width * canvas.height)
-      
-      for (let i = 0; i < data.length; i += 4) {
-        const r = data[i]
-        const g = data[i + 1]
-        const b = data[i + 2]
-        const alpha = data[i + 3]
-        // Consider transparency
-        if (alpha < 128) {
-          grayscale[i / 4] = 255
-        } else {
-          grayscale[i / 4] = Math.floor((r + g + b) / 3)
-        }
+      let contours
+      setTraceProgress(0)
+      try {
+        contours = await chosenContours({ signal: controller.signal, onProgress: setTraceProgress })
+      } catch (err) {
+        if (!controller.signal.aborted) alert(err.message)
+        return
+      } finally {
+        traceAbortRef.current = null
+        setTraceProgress(null)
       }
       
-      // Detect edges
-      const edges = detectEdges(grayscale, canvas.width, canvas.height)
-      
-      // Find edge threshold (adaptive)
-      const edgeValues = Array.from(edges).filter(v => v > 0).sort((a, b) => b - a)
-      const edgeThreshold = edgeValues.length > 0 ? edgeValues[Math.floor(edgeValues.length * 0.1)] : 50
-      
-      // Trace contour
-      let contourPoints = traceContour(edges, canvas.width, canvas.height, edgeThreshold)
-      
-      if (contourPoints.length < 3) {
-        // Fallback: try lower threshold
-        const lowerThreshold = edgeThreshold * 0.5
-        contourPoints = traceContour(edges, canvas.width, canvas.height, lowerThreshold)
+      // Several outlines (holes, separate pieces): let the user choose before snapping
+      if (!tracedContours && contours.length > 1) {
+        setTracedContours(contours)
+        setContourSelection(contours.map(() => true))
+        return
       }
-      
-      if (contourPoints.length < 3) {
-        alert('Could not detect outline in the image. Try an image with clearer edges.')
-        setIsSnappingRoads(false)
+      if (contours.length === 0) {
+        alert('Select at least one outline to snap')
         return
       }
       
-      // Simplify path
-      const simplifiedPoints = simplifyPath(contourPoints, 0.005)
+      // Join the outlines in the order with the shortest connections
+      const simplifiedPoints = orderContours(contours)
       
       // Convert to map coordinates
-      const bounds = referenceBounds
-      const south = bounds[0][0]
-      const west = bounds[0][1]
-      const north = bounds[1][0]
-      const east = bounds[1][1]
-      const height = north - south
-      const width = east - west
-      
-      const mapPoints = simplifiedPoints.map(p => {
-        // Invert Y (image Y goes down, lat goes up)
-        const lat = north - p[1] * height
-        const lng = west + p[0] * width
-        return [lat, lng]
-      }).filter(p => !isNaN(p[0]) && !isNaN(p[1]))
+      const mapPoints = normalizedToMapCoords(simplifiedPoints, referenceBounds, referenceRotation)
       
       if (mapPoints.length < 2) {
         alert('Not enough points extracted from image')
-        setIsSnappingRoads(false)
         return
       }
       
       // Snap to roads
-      const snappedPoints = await snapToRoadsOSRM(mapPoints)
+      const { points: snappedPoints, kinds, unmatchedCount } = await snapPointsToRoads(mapPoints)
+      recordEdit('Trace & snap image')
       setPoints(snappedPoints)
+      setSegmentKinds(kinds)
+      setDesignShape(mapPoints)
+      setTracedContours(null)
       
-      alert(`Traced ${simplifiedPoints.length} waypoints, snapped to ${snappedPoints.length} road points!`)
+      alert(`Traced ${simplifiedPoints.length} waypoints, snapped to ${snappedPoints.length} road points!${unmatchedCount > 0 ? ` (${unmatchedCount} section(s) could not be matched to roads and are marked on the map)` : ''}`)
       
     } catch (err) {
       console.error('Trace error:', err)
@@ -772,165 +1191,208 @@ function App() {
     } finally {
       setIsSnappingRoads(false)
     }
-  }, [referenceOverlay, referenceBounds, detectEdges, traceContour, simplifyPath, snapToRoadsOSRM])
+  }, [referenceOverlay, referenceBounds, referenceRotation, tracedContours, chosenContours, normalizedToMapCoords, snapPointsToRoads, recordEdit])
 
-  // Process image to extract route points
-  const imageToRoute = async (imageDataUrl, desiredMiles) => {
-    return new Promise((resolve) => {
-      const img = new Image()
-      img.onload = () => {
-        if (!mapRef.current) {
-          resolve([])
-          return
-        }
+  // Search the visible map for placements of the traced reference shape that fit the streets
+  const findBestPlacements = useCallback(async () => {
+    if (!referenceOverlay || !referenceBounds || !mapRef.current) return
+    
+    const controller = new AbortController()
+    placementAbortRef.current = controller
+    setIsSearchingPlacements(true)
+    setPlacementResults([])
+    setPreviewPlacementIndex(null)
+    
+    try {
+      const contour = orderContours(await chosenContours({ signal: controller.signal }))
+      const view = mapRef.current.getBounds()
+      const results = await searchPlacements({
+        contour,
+        overlayBounds: referenceBounds,
+        overlayRotation: referenceRotation,
+        viewBounds: [[view.getSouth(), view.getWest()], [view.getNorth(), view.getEast()]],
+        settings: routingSettings,
+        tolerance: fidelityTolerance,
+        signal: controller.signal,
+        onProgress: (done, total) => setSnapProgress({ done, total })
+      })
+      if (results.length === 0) {
+        alert('No placement could be routed. Check your routing settings or zoom out and try again.')
+      }
+      setPlacementResults(results)
+      setPreviewPlacementIndex(results.length > 0 ? 0 : null)
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        console.error('Placement search error:', err)
+        alert(`Placement search failed: ${err.message}`)
+      }
+    } finally {
+      placementAbortRef.current = null
+      setSnapProgress(null)
+      setIsSearchingPlacements(false)
+    }
+  }, [referenceOverlay, referenceBounds, referenceRotation, chosenContours, routingSettings, fidelityTolerance])
 
-        const bounds = mapRef.current.getBounds()
-        const center = bounds.getCenter()
-        const ne = bounds.getNorthEast()
-        const sw = bounds.getSouthWest()
-        
-        // Create canvas to process image
-        const canvas = document.createElement('canvas')
-        const ctx = canvas.getContext('2d')
-        const maxSize = 200 // Higher resolution for better route quality
-        const scale = Math.min(maxSize / img.width, maxSize / img.height)
-        canvas.width = img.width * scale
-        canvas.height = img.height * scale
-        ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
-
-        // Convert to grayscale
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height)
-        const data = imageData.data
-        const grayscale = new Uint8Array(canvas.width * canvas.height)
-        
-        for (let i = 0; i < data.length; i += 4) {
-          const r = data[i]
-          const g = data[i + 1]
-          const b = data[i + 2]
-          const alpha = data[i + 3]
-          // Consider transparency - if alpha is low, treat as background
-          if (alpha < 128) {
-            grayscale[i / 4] = 255 // Treat transparent as white
-          } else {
-            grayscale[i / 4] = (r + g + b) / 3
-          }
-        }
+  const cancelTracing = () => {
+    if (traceAbortRef.current) traceAbortRef.current.abort()
+  }
 
-        // Find threshold (use adaptive threshold)
-        const sorted = Array.from(grayscale).sort((a, b) => a - b)
-        const threshold = sorted[Math.floor(sorted.length * 0.25)] // 25th percentile for dark pixels
+  const cancelPlacementSearch = () => {
+    if (placementAbortRef.current) placementAbortRef.current.abort()
+  }
 
-        // Extract route points by sampling dark pixels
-        const route = []
-        const step = Math.max(1, Math.floor(Math.min(canvas.width, canvas.height) / 300)) // Adaptive step size
-        
-        for (let y = 0; y < canvas.height; y += step) {
-          for (let x = 0; x < canvas.width; x += step) {
-            const idx = y * canvas.width + x
-            if (grayscale[idx] < threshold) {
-              // Map image coordinates to map coordinates (centered on current view)
-              const normalizedX = (x / canvas.width - 0.5)
-              const normalizedY = (y / canvas.height - 0.5)
-              
-              const lat = center.lat + normalizedY * (ne.lat - sw.lat)
-              const lng = center.lng + normalizedX * (ne.lng - sw.lng)
-              route.push([lat, lng])
-            }
-          }
-        }
+  // Move the overlay to a found placement and use its routed path as the route
+  const applyPlacement = (result) => {
+    recordEdit('Apply placement')
+    setReferenceBounds(placementBounds(referenceBounds, result.placement))
+    setReferenceRotation(result.placement.rotation)
+    setPoints(result.route)
+    setSegmentKinds(kindsFor(result.route.length, SEGMENT_SNAPPED))
+    setDesignShape(result.shape)
+    setUnmatchedSections([])
+    setPlacementResults([])
+    setPreviewPlacementIndex(null)
+  }
 
-        // If not enough points, try finer sampling
-        if (route.length < 50 && step > 1) {
-          route.length = 0
-          for (let y = 0; y < canvas.height; y += 1) {
-            for (let x = 0; x < canvas.width; x += 1) {
-              const idx = y * canvas.width + x
-              if (grayscale[idx] < threshold) {
-                const normalizedX = (x / canvas.width - 0.5)
-                const normalizedY = (y / canvas.height - 0.5)
-                const lat = center.lat + normalizedY * (ne.lat - sw.lat)
-                const lng = center.lng + normalizedX * (ne.lng - sw.lng)
-                route.push([lat, lng])
-              }
-            }
-          }
+  // Scale the route or the drawings about their centroid to `miles`. With snapping on, each
+  // scaled shape is snapped and the scale corrected until the snapped length is within
+  // tolerance; every attempt is kept so the closest can be previewed and applied.
+  const fitToTargetDistance = useCallback(async ({ target, miles }) => {
+    // A snapped route is rescaled from the shape it was snapped from, when there is one.
+    // Drawings are measured stroke by stroke, not across the gaps between strokes.
+    const lines = target === 'drawings'
+      ? drawnLines
+      : [snapToRoads && designShape ? designShape : points]
+    const source = lines.flat()
+    if (source.length < 2) return
+    
+    const center = centroid(source)
+    const controller = new AbortController()
+    fitAbortRef.current = controller
+    setIsFitting(true)
+    setFitRequest({ target, miles, center, snapped: snapToRoads })
+    setFitAttempts([])
+    setPreviewFitIndex(null)
+    
+    try {
+      const { best, attempts } = await fitToDistance({
+        localLines: lines.map(line => toLocal(line, center)),
+        center,
+        targetMiles: miles,
+        route: snapToRoads ? snapPointsToRoads : undefined,
+        signal: controller.signal,
+        onAttempt: (attempt, all) => {
+          setFitAttempts([...all])
+          setPreviewFitIndex(all.length - 1)
         }
+      })
+      setPreviewFitIndex(attempts.indexOf(best))
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        console.error('Fit to distance error:', err)
+        alert(`Fit to distance failed: ${err.message}`)
+      }
+    } finally {
+      fitAbortRef.current = null
+      setIsFitting(false)
+    }
+  }, [drawnLines, points, designShape, snapToRoads, snapPointsToRoads])
 
-        // Optimize route - remove points that are too close together
-        if (route.length > 1) {
-          const optimized = [route[0]]
-          const minDistance = 0.0001 // Minimum distance between points in degrees
-          
-          for (let i = 1; i < route.length; i++) {
-            const lastPoint = optimized[optimized.length - 1]
-            const currentPoint = route[i]
-            const dist = Math.sqrt(
-              Math.pow(currentPoint[0] - lastPoint[0], 2) +
-              Math.pow(currentPoint[1] - lastPoint[1], 2)
-            )
-            if (dist > minDistance) {
-              optimized.push(currentPoint)
-            }
-          }
+  const cancelFit = () => {
+    if (fitAbortRef.current) fitAbortRef.current.abort()
+  }
 
-          // Calculate actual route distance
-          const actualDistance = calculateRouteDistance(optimized)
-          
-          if (actualDistance > 0 && desiredMiles > 0) {
-            // Scale the route to match desired mileage - scale from center to preserve shape
-            const scaleFactor = desiredMiles / actualDistance
-            
-            // Find center of route
-            const centerLat = optimized.reduce((sum, p) => sum + p[0], 0) / optimized.length
-            const centerLng = optimized.reduce((sum, p) => sum + p[1], 0) / optimized.length
-            
-            const scaledRoute = optimized.map((point) => {
-              const deltaLat = (point[0] - centerLat) * scaleFactor
-              const deltaLng = (point[1] - centerLng) * scaleFactor
-              return [centerLat + deltaLat, centerLng + deltaLng]
-            })
-            resolve(scaledRoute)
-          } else {
-            resolve(optimized)
-          }
-        } else {
-          resolve([])
-        }
-      }
-      img.src = imageDataUrl
+  const dismissFit = () => {
+    setFitRequest(null)
+    setFitAttempts([])
+    setPreviewFitIndex(null)
+  }
+
+  // Use one fit attempt: rescale the drawings or the route by its scale, and take its
+  // snapped route when snapping was on
+  const applyFitAttempt = (attempt) => {
+    const { target, center, snapped } = fitRequest
+    const rescale = (linePoints) => placeShape(toLocal(linePoints, center), { center, scale: attempt.scale })
+    
+    recordEdit('Fit to distance')
+    if (target === 'drawings') {
+      setDrawnLines(drawnLines.map(rescale))
+    }
+    if (snapped) {
+      setPoints(attempt.section.points)
+      setSegmentKinds(attempt.section.kinds)
+      setDesignShape(attempt.shape)
+      // Unmatched sections on the map belong to the last attempt
+      if (attempt !== fitAttempts[fitAttempts.length - 1]) setUnmatchedSections([])
+    } else if (target === 'route') {
+      setPoints(attempt.shape)
+      setDesignShape(designShape ? rescale(designShape) : null)
+    }
+    dismissFit()
+  }
+
+  // Turn an image into a route of `desiredMiles`: trace its outlines (or centerlines, per
+  // the tracing options) or read an SVG's shapes, join them in order and lay the shape over the current view. The
+  // shape is then scaled until the route made from it - snapped to roads when snapping is
+  // on - is within tolerance of the target. Resolves with the distance fit plus the bounds
+  // the image ends up covering, or null when there's no map yet.
+  const imageToRoute = async (imageDataUrl, desiredMiles) => {
+    if (!mapRef.current) return null
+    
+    // SVG artwork without drawable shapes falls back to tracing its pixels
+    const svgText = svgTextFromDataUrl(imageDataUrl)
+    let contours = svgText ? svgContours(svgText) : []
+    let aspectRatio
+    if (contours.length > 0) {
+      aspectRatio = prepareSVG(svgText).aspectRatio
+    } else {
+      const image = await loadImagePixels(imageDataUrl, tracingOptions.resolution)
+      contours = await runImageJob('trace', { ...image, options: tracingOptions })
+      aspectRatio = image.width / image.height
+    }
+    const outline = orderContours(contours)
+    
+    // Fit the image inside the current view, keeping its aspect ratio
+    const view = mapRef.current.getBounds()
+    const center = [view.getCenter().lat, view.getCenter().lng]
+    const [viewWidth, viewHeight] = boundsSize([[view.getSouth(), view.getWest()], [view.getNorth(), view.getEast()]])
+    const boxWidth = Math.min(viewWidth, viewHeight * aspectRatio)
+    const boxHeight = boxWidth / aspectRatio
+    const localShape = outline.map(([x, y]) => [(x - 0.5) * boxWidth, (0.5 - y) * boxHeight])
+    
+    const fit = await fitToDistance({
+      localShape,
+      center,
+      targetMiles: desiredMiles,
+      route: snapToRoads ? snapPointsToRoads : undefined
     })
+    const [sw, ne] = placeShape([[-boxWidth / 2, -boxHeight / 2], [boxWidth / 2, boxHeight / 2]], { center, scale: fit.best.scale })
+    return { ...fit, imageBounds: [sw, ne] }
   }
 
   // Handle image upload
   const handleImageUpload = (e) => {
     const file = e.target.files[0]
+    // Reset the input so the same file can be uploaded again
+    e.target.value = ''
     if (!file) return
 
-    // Check if it's a PNG
-    if (file.type === 'image/png' || file.name.toLowerCase().endsWith('.png')) {
-      const reader = new FileReader()
-      reader.onload = (event) => {
-        setPendingImage(event.target.result)
-        setShowMileagePrompt(true)
-      }
-      reader.readAsDataURL(file)
-    } else {
-      // For non-PNG images, just overlay them
-      const reader = new FileReader()
-      reader.onload = (event) => {
-        setImageOverlay(event.target.result)
-      }
-      reader.readAsDataURL(file)
-    }
+    readImageFile(file).then((imageUrl) => {
+      setPendingImage(imageUrl)
+      setShowMileagePrompt(true)
+    }).catch((error) => {
+      console.error('Route image error:', error)
+      alert(`Could not load image: ${error.message}`)
+    })
   }
 
   // Process image with mileage
   const processImageWithMileage = async (miles) => {
     if (!pendingImage) return
     
-    const mileage = parseFloat(miles)
+    const mileage = fromDisplayDistance(parseFloat(miles), units)
     if (isNaN(mileage) || mileage <= 0) {
-      alert('Please enter a valid mileage greater than 0')
+      alert('Please enter a valid distance greater than 0')
       return
     }
 
@@ -938,26 +1400,24 @@ function App() {
     setShowMileagePrompt(false)
 
     try {
-      const routePoints = await imageToRoute(pendingImage, mileage)
+      const result = await imageToRoute(pendingImage, mileage)
+      const routePoints = result ? result.best.section.points : []
       
-      if (routePoints && routePoints.length > 0) {
+      if (routePoints.length > 1) {
+        const { best, attempts, withinTolerance, imageBounds: coveredBounds } = result
+        
         // Set the points on the map
+        recordEdit('Generate route from image')
         setPoints(routePoints)
+        setSegmentKinds(best.section.kinds || kindsFor(routePoints.length, SEGMENT_MANUAL))
+        setDesignShape(snapToRoads ? best.shape : null)
         
-        // Also overlay the image for reference
+        // Also overlay the image for reference, over the area the shape was scaled to
         setImageOverlay(pendingImage)
+        setImageBounds(coveredBounds)
         
-        // Set image bounds based on route bounds
-        if (mapRef.current && routePoints.length > 0) {
-          const firstPoint = routePoints[0]
-          const bounds = L.latLngBounds([firstPoint, firstPoint])
-          routePoints.forEach(point => bounds.extend(point))
-          
-          // Set image bounds to match route bounds
-          setImageBounds([
-            [bounds.getSouth(), bounds.getWest()],
-            [bounds.getNorth(), bounds.getEast()]
-          ])
+        if (mapRef.current) {
+          const bounds = L.latLngBounds(routePoints)
           
           // Fit map to route bounds
           setTimeout(() => {
@@ -967,22 +1427,24 @@ function App() {
           }, 100)
         }
         
-        alert(`Route generated! Created ${routePoints.length} points for approximately ${mileage.toFixed(1)} miles.`)
+        alert(withinTolerance
+          ? `Route generated! ${routePoints.length} points, ${formatDistance(best.miles, units)} (target ${formatDistance(mileage, units, 1)}).`
+          : `Route generated with ${routePoints.length} points, but the closest fit after ${attempts.length} attempts is ${formatDistance(best.miles, units)} (target ${formatDistance(mileage, units, 1)}).`)
       } else {
         alert('Could not extract route from image. Make sure the image has a clear dark path/shape.')
       }
     } catch (error) {
       console.error('Error processing image:', error)
-      alert('Error processing image. Please try again.')
+      alert(`Error processing image: ${error.message}`)
     } finally {
       setIsProcessingImage(false)
       setPendingImage(null)
     }
   }
 
-  // Set image bounds when image is uploaded (use current map center as bounds)
+  // Set image bounds when an image is uploaded without any (use the current map view)
   useEffect(() => {
-    if (imageOverlay && mapRef.current) {
+    if (imageOverlay && !imageBounds && mapRef.current) {
       // Small delay to ensure map is fully initialized
       const timer = setTimeout(() => {
         if (mapRef.current) {
@@ -1000,48 +1462,110 @@ function App() {
 
   // Delete last point
   const deleteLastPoint = () => {
+    recordEdit('Delete last point')
     setPoints(prev => prev.slice(0, -1))
+    setSegmentKinds(prev => prev.slice(0, -1))
   }
 
   // Clear all points
   const clearAll = () => {
+    recordEdit('Clear route')
     setPoints([])
+    setSegmentKinds([])
+    setDesignShape(null)
+    setUnmatchedSections([])
+  }
+
+  // Import a GPX file as route points or as editable drawn lines
+  const handleGPXImport = (e) => {
+    const file = e.target.files[0]
+    // Reset the input so the same file can be imported again
+    e.target.value = ''
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = (event) => {
+      let parsed
+      try {
+        parsed = parseGPX(event.target.result)
+      } catch (error) {
+        console.error('GPX import error:', error)
+        alert(`Could not read GPX file: ${error.message}`)
+        return
+      }
+
+      // Files with only waypoints are treated as a single ordered segment
+      const segments = parsed.segments.length > 0
+        ? parsed.segments
+        : (parsed.waypoints.length > 0 ? [parsed.waypoints] : [])
+
+      if (segments.length === 0) {
+        alert('No tracks, routes or waypoints found in this GPX file')
+        return
+      }
+
+      const allPoints = segments.flat()
+
+      if (gpxImportMode === 'drawing') {
+        const lines = segments.filter(segment => segment.length > 1)
+        if (lines.length === 0) {
+          alert('GPX segments need at least two points to import as drawings')
+          return
+        }
+        recordEdit('Import GPX as drawing')
+        setDrawnLines(prev => [...prev, ...lines])
+      } else {
+        recordEdit('Import GPX route')
+        setPoints(allPoints)
+        setSegmentKinds(kindsFor(allPoints.length, SEGMENT_MANUAL))
+        setDesignShape(null)
+      }
+
+      // Fit map to the imported geometry
+      if (mapRef.current) {
+        const bounds = L.latLngBounds(allPoints)
+        mapRef.current.fitBounds(bounds, { padding: [50, 50] })
+      }
+    }
+    reader.readAsText(file)
   }
 
-  // Export GPX
-  const exportGPX = () => {
+  // Open the export dialog
+  const exportRoute = () => {
     if (points.length === 0) {
       alert('No points to export')
       return
     }
+    setShowExportDialog(true)
+  }
 
-    let gpx = `<?xml version="1.0" encoding="UTF-8"?>
-<gpx version="1.1" creator="Strava Art Creator">
-  <trk>
-    <name>Strava Art Route</name>
-    <trkseg>
-`
-
-    points.forEach(coord => {
-      gpx += `      <trkpt lat="${coord[0]}" lon="${coord[1]}"></trkpt>\n`
-    })
+  // Serialize the route in the selected format and download it
+  const downloadExport = (options) => {
+    const format = findExportFormat(exportFormat)
+    const content = format.serialize(points, { ...options, elevations: routeElevations })
 
-    gpx += `    </trkseg>
-  </trk>
-</gpx>`
-
-    // Download file
-    const blob = new Blob([gpx], { type: 'application/gpx+xml' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = 'strava-art-route.gpx'
-    document.body.appendChild(a)
-    a.click()
-    document.body.removeChild(a)
-    URL.revokeObjectURL(url)
+    downloadFile(content, exportFilename(options.name, format.extension), format.mimeType)
+    setShowExportDialog(false)
   }
 
+  // How closely the snapped route follows the shape it was made from
+  const fidelity = useMemo(
+    () => (designShape ? shapeFidelity(points, designShape, fidelityTolerance) : null),
+    [points, designShape, fidelityTolerance]
+  )
+
+  // Split times along the route at the planned pace, per mile or kilometer, allowing for
+  // climbs when the route's elevations are known
+  const splits = useMemo(
+    () => planSplits(points, routeDistances, pacePlan.paces[pacePlan.activity], units, {
+      elevations: routeElevations,
+      activity: pacePlan.activity
+    }),
+    [points, routeDistances, pacePlan, units, routeElevations]
+  )
+
+  const failedSegmentCount = segmentKinds.filter(kind => kind === SEGMENT_FALLBACK).length
+  const snapProgressLabel = snapProgress ? ` (${snapProgress.done}/${snapProgress.total} segments)` : ''
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-600 to-indigo-700">
@@ -1089,32 +1613,34 @@ function App() {
               <div className="border-2 border-indigo-200 rounded-lg p-4 bg-indigo-50">
                 <h3 className="text-lg font-bold text-indigo-900 mb-4">Design Tools</h3>
                 
-                {/* PNG Reference Overlay */}
+                {/* Reference Overlay (PNG, JPEG, WebP or SVG) */}
                 <div className="flex flex-col gap-2">
                   <label className="font-semibold text-gray-700 flex items-center">
-                    Reference Overlay (PNG)
-                    <Tooltip position="bottom-right" content="Upload a reference image or sketch. PNGs support transparency, allowing you to see the map underneath so you can manually trace your route." />
+                    Reference Overlay
+                    <Tooltip position="bottom-right" content="Upload a reference image or sketch (PNG, JPEG, WebP or SVG). PNGs support transparency, allowing you to see the map underneath so you can manually trace your route. SVG paths are used exactly as drawn when tracing." />
                   </label>
                   <div className="flex gap-2">
                     <input
                       ref={pngFileInputRef}
                       type="file"
-                      accept="image/png"
-                      onChange={handlePNGUpload}
+                      accept="image/png,image/jpeg,image/webp,image/svg+xml,.svg"
+                      onChange={handleReferenceUpload}
                       className="hidden"
                     />
                     <button
                       onClick={() => pngFileInputRef.current?.click()}
                       className="flex-1 px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition-colors"
                     >
-                      {referenceOverlay ? 'Re-upload PNG' : 'Upload PNG'}
+                      {referenceOverlay ? 'Re-upload Image' : 'Upload Image'}
                     </button>
                     {referenceOverlay && (
                       <button
                         onClick={() => {
+                          recordEdit('Remove overlay')
                           setReferenceOverlay(null)
                           setReferenceBounds(null)
                           setReferenceAspectRatio(null)
+                          setReferenceRotation(0)
                         }}
                         className="px-4 py-2 bg-red-500 text-white rounded-lg font-semibold hover:bg-red-600 transition-colors"
                       >
@@ -1137,20 +1663,133 @@ function App() {
                         />
                         <span className="text-sm text-gray-600 w-12">{Math.round(referenceOpacity * 100)}%</span>
                       </div>
-                      <button
-                        onClick={tracePNGAndSnap}
-                        disabled={isSnappingRoads}
-                        className="w-full px-4 py-2 bg-purple-600 text-white rounded-lg font-semibold hover:bg-purple-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                      >
-                        {isSnappingRoads ? '🔄 Tracing & Snapping...' : '✨ Trace & Snap to Roads'}
-                      </button>
+                      <div className="flex items-center gap-2">
+                        <label className="text-sm text-gray-600">Rotation:</label>
+                        <input
+                          type="number"
+                          min="-180"
+                          max="180"
+                          step="1"
+                          value={referenceRotation}
+                          onChange={(e) => {
+                            const angle = parseFloat(e.target.value)
+                            if (!isNaN(angle)) handleReferenceRotationChange(Math.max(-180, Math.min(180, angle)))
+                          }}
+                          className="w-20 px-2 py-1 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+                        />
+                        <span className="text-sm text-gray-600">°</span>
+                        {referenceRotation !== 0 && (
+                          <button
+                            onClick={() => handleReferenceRotationChange(0)}
+                            className="text-xs text-gray-600 hover:underline"
+                          >
+                            Reset
+                          </button>
+                        )}
+                      </div>
+                      {!referenceOverlay.startsWith('data:image/svg+xml') && (
+                        <TracingSettings
+                          options={tracingOptions}
+                          isOpen={showTracingSettings}
+                          isTracing={isTracingPreview}
+                          progress={previewProgress}
+                          error={tracingPreviewError}
+                          onToggle={() => setShowTracingSettings(!showTracingSettings)}
+                          onChange={handleTracingOptionsChange}
+                        />
+                      )}
+                      <div className="flex gap-2">
+                        <button
+                          onClick={tracePNGAndSnap}
+                          disabled={isSnappingRoads}
+                          className="flex-1 px-4 py-2 bg-purple-600 text-white rounded-lg font-semibold hover:bg-purple-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          {isSnappingRoads
+                            ? (traceProgress !== null ? `🔄 Tracing... ${Math.round(traceProgress * 100)}%` : `🔄 Tracing & Snapping...${snapProgressLabel}`)
+                            : '✨ Trace & Snap to Roads'}
+                        </button>
+                        {isSnappingRoads && traceProgress !== null && (
+                          <button
+                            onClick={cancelTracing}
+                            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+                          >
+                            Cancel
+                          </button>
+                        )}
+                      </div>
+                      {tracedContours && (
+                        <ContourPicker
+                          contours={tracedContours}
+                          selection={contourSelection}
+                          isSnapping={isSnappingRoads}
+                          onToggle={(index) => setContourSelection(prev => prev.map((selected, i) => (i === index ? !selected : selected)))}
+                          onSnap={tracePNGAndSnap}
+                          onCancel={() => setTracedContours(null)}
+                        />
+                      )}
                       <p className="text-xs text-gray-500">
                         💡 Position and resize your image, then click to auto-trace the outline and snap to roads!
                       </p>
+                      <PlacementSearch
+                        results={placementResults}
+                        previewIndex={previewPlacementIndex}
+                        isSearching={isSearchingPlacements}
+                        progress={isSearchingPlacements ? snapProgress : null}
+                        disabled={isSnappingRoads}
+                        onSearch={findBestPlacements}
+                        onCancel={cancelPlacementSearch}
+                        onPreview={setPreviewPlacementIndex}
+                        onApply={applyPlacement}
+                        onDismiss={() => {
+                          setPlacementResults([])
+                          setPreviewPlacementIndex(null)
+                        }}
+                      />
                     </>
                   )}
                 </div>
 
+                {/* Fit to Distance */}
+                <div className="mt-4 pt-4 border-t border-indigo-200">
+                  <FitToDistance
+                    hasRoute={points.length > 1}
+                    hasDrawings={drawnLines.length > 0}
+                    snapToRoads={snapToRoads}
+                    units={units}
+                    isFitting={isFitting}
+                    attempts={fitAttempts}
+                    targetMiles={fitRequest?.miles}
+                    previewIndex={previewFitIndex}
+                    onFit={fitToTargetDistance}
+                    onCancel={cancelFit}
+                    onPreview={setPreviewFitIndex}
+                    onApply={applyFitAttempt}
+                    onDismiss={dismissFit}
+                  />
+                </div>
+
+                {/* Image to Route */}
+                <div className="flex flex-col gap-2 mt-4 pt-4 border-t border-indigo-200">
+                  <label className="font-semibold text-gray-700 flex items-center">
+                    Image to Route
+                    <Tooltip position="bottom-right" content="Upload a PNG, JPEG, WebP or SVG and enter a distance. The image is traced with the current tracing settings (SVG shapes are used directly), laid over the visible map and sized so the route comes out at that distance, including after snapping to roads." />
+                  </label>
+                  <input
+                    ref={routeImageInputRef}
+                    type="file"
+                    accept="image/png,image/jpeg,image/webp,image/svg+xml,.svg"
+                    onChange={handleImageUpload}
+                    className="hidden"
+                  />
+                  <button
+                    onClick={() => routeImageInputRef.current?.click()}
+                    disabled={isProcessingImage}
+                    className="w-full px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {isProcessingImage ? `🔄 Generating Route...${snapProgressLabel}` : '🖼️ Generate Route from Image'}
+                  </button>
+                </div>
+
               </div>
             </div>
             
@@ -1160,7 +1799,7 @@ function App() {
                 <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
                   <h3 className="text-xl font-bold mb-4">Enter Desired Route Distance</h3>
                   <p className="text-gray-600 mb-4">
-                    How many miles would you like your route to be?
+                    How many {findUnitSystem(units).distanceName} would you like your route to be?
                   </p>
                   <input
                     type="number"
@@ -1169,7 +1808,7 @@ function App() {
                     step="0.1"
                     placeholder="e.g., 5.0"
                     id="mileage-input"
-                    className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500 mb-4"
+                    className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500 mb-2"
                     autoFocus
                     onKeyPress={(e) => {
                       if (e.key === 'Enter') {
@@ -1178,6 +1817,14 @@ function App() {
                       }
                     }}
                   />
+                  <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+                    <input
+                      type="checkbox"
+                      checked={snapToRoads}
+                      onChange={(e) => setSnapToRoads(e.target.checked)}
+                    />
+                    Snap to roads (the shape is resized until the snapped route matches the distance)
+                  </label>
                   <div className="flex gap-2">
                     <button
                       onClick={() => {
@@ -1202,6 +1849,46 @@ function App() {
               </div>
             )}
 
+            {/* Restore Session Prompt */}
+            {pendingSession && (
+              <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+                <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+                  <h3 className="text-xl font-bold mb-4">Restore Previous Session?</h3>
+                  <p className="text-gray-600 mb-4">
+                    You have an unsaved design from {new Date(pendingSession.savedAt).toLocaleString()}
+                    {' '}({(pendingSession.state.points || []).length} route points, {(pendingSession.state.drawnLines || []).length} drawn lines).
+                  </p>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={restoreSession}
+                      className="flex-1 px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition-colors"
+                    >
+                      Restore
+                    </button>
+                    <button
+                      onClick={discardSession}
+                      className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+                    >
+                      Start Fresh
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* Export Dialog */}
+            {showExportDialog && (
+              <ExportDialog
+                format={findExportFormat(exportFormat)}
+                routeDistance={routeDistance}
+                units={units}
+                plan={pacePlan}
+                hasElevations={routeElevations !== null}
+                onExport={downloadExport}
+                onCancel={() => setShowExportDialog(false)}
+              />
+            )}
+
             {/* Drawing Tools */}
             <div className="lg:col-span-3 md:col-span-2">
               <div className={`border-2 rounded-lg p-4 ${isDrawingMode ? 'border-red-400 bg-red-50' : 'border-orange-200 bg-orange-50'}`}>
@@ -1223,24 +1910,6 @@ function App() {
                     {isDrawingMode ? '⏹ Stop Drawing' : '✏️ Start Drawing'}
                   </button>
 
-                  {/* Undo Button */}
-                  <button
-                    onClick={handleUndo}
-                    disabled={undoStack.length === 0}
-                    className="px-4 py-3 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                  >
-                    ↩️ Undo
-                  </button>
-
-                  {/* Redo Button */}
-                  <button
-                    onClick={handleRedo}
-                    disabled={redoStack.length === 0}
-                    className="px-4 py-3 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                  >
-                    ↪️ Redo
-                  </button>
-
                   {/* Delete Last Line */}
                   <button
                     onClick={deleteLastLine}
@@ -1265,7 +1934,7 @@ function App() {
                     disabled={drawnLines.length === 0 || isSnappingRoads}
                     className="px-4 py-3 bg-green-500 text-white rounded-lg font-semibold hover:bg-green-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed md:col-span-2"
                   >
-                    {isSnappingRoads ? 'Snapping to Roads...' : `Convert to Route (${drawnLines.length} lines)${snapToRoads ? ' + Snap' : ''}`}
+                    {isSnappingRoads ? `Snapping to Roads...${snapProgressLabel}` : `Convert to Route (${drawnLines.length} lines)${snapToRoads ? ' + Snap' : ''}`}
                   </button>
                 </div>
 
@@ -1286,13 +1955,23 @@ function App() {
               </div>
             </div>
 
+            {/* Project Library */}
+            <div className="lg:col-span-3 md:col-span-2">
+              <ProjectLibrary
+                getState={getEditorState}
+                routeDistance={routeDistance}
+                units={units}
+                onOpen={applyEditorState}
+              />
+            </div>
+
             {/* Snap to Roads Toggle */}
             <div className="flex flex-col gap-2">
               <label className="font-semibold text-gray-700">
                 Route Options
                 <Tooltip content={
                   <>
-                    When enabled, this uses the Open Source Routing Machine (OSRM) to automatically align your drawing with real-world streets and paths. This ensures your Strava art follows runnable roads rather than cutting through buildings or water, making your route safe and accurate to navigate! You should enable this for every route unless it's in an open field or body of water.
+                    When enabled, this uses a routing engine (OSRM by default, or GraphHopper/Valhalla) to automatically align your drawing with real-world streets and paths. This ensures your Strava art follows runnable roads rather than cutting through buildings or water, making your route safe and accurate to navigate! You should enable this for every route unless it's in an open field or body of water.
                   </>
                 } />
               </label>
@@ -1303,8 +1982,9 @@ function App() {
                   onChange={(e) => setSnapToRoads(e.target.checked)}
                   className="w-5 h-5 text-indigo-600 rounded focus:ring-indigo-500"
                 />
-                <span className="text-gray-700">Snap to Roads (OSRM)</span>
+                <span className="text-gray-700">Snap to Roads</span>
               </label>
+              <RoutingSettings settings={routingSettings} onChange={handleRoutingSettingsChange} />
               {isRouting && (
                 <p className="text-sm text-indigo-600">Routing...</p>
               )}
@@ -1331,47 +2011,202 @@ function App() {
               </div>
             </div>
 
+            {/* Edit History */}
+            <HistoryPanel history={editHistory} />
+
+            {/* Import GPX */}
+            <div className="flex flex-col gap-2">
+              <label className="font-semibold text-gray-700">
+                Import
+                <Tooltip content={
+                  <>
+                    Load a .gpx file (tracks, routes or waypoints) from a previous design or a recorded activity. Import it as route points to keep editing the route, or as drawing lines to rework the shape and convert it again.
+                  </>
+                } />
+              </label>
+              <div className="flex gap-2">
+                <input
+                  ref={gpxFileInputRef}
+                  type="file"
+                  accept=".gpx,application/gpx+xml"
+                  onChange={handleGPXImport}
+                  className="hidden"
+                />
+                <select
+                  value={gpxImportMode}
+                  onChange={(e) => setGpxImportMode(e.target.value)}
+                  className="px-2 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+                >
+                  <option value="route">As route</option>
+                  <option value="drawing">As drawing</option>
+                </select>
+                <button
+                  onClick={() => gpxFileInputRef.current?.click()}
+                  className="flex-1 px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition-colors"
+                >
+                  Import GPX
+                </button>
+              </div>
+            </div>
+
             {/* Export Button */}
             <div className="flex flex-col gap-2">
               <label className="font-semibold text-gray-700">
                 Export
                 <Tooltip position="top-left" content={
                   <>
-                    This button converts your design into a GPS Exchange Format (.gpx) file. You can upload this file directly to Strava, Garmin, Organic Maps, or other fitness apps to follow your custom artwork as a guided route during your next run or ride!
+                    Download your design as a route file. GPX works with Strava, Organic Maps and most fitness apps; TCX and FIT courses load onto Garmin devices; KML opens in Google Earth; GeoJSON is for GIS tools. Follow your custom artwork as a guided route during your next run or ride!
                   </>
                 } />
               </label>
+              <div className="flex gap-2">
+                <select
+                  value={exportFormat}
+                  onChange={(e) => setExportFormat(e.target.value)}
+                  className="px-2 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+                >
+                  {EXPORT_FORMATS.map(format => (
+                    <option key={format.id} value={format.id}>{format.label}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={exportRoute}
+                  disabled={points.length === 0}
+                  className="flex-1 px-4 py-2 bg-gradient-to-r from-purple-600 to-indigo-600 text-white rounded-lg font-semibold hover:from-purple-700 hover:to-indigo-700 transition-colors shadow-lg disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Export {findExportFormat(exportFormat).label}
+                </button>
+              </div>
               <button
-                onClick={exportGPX}
-                disabled={points.length === 0}
-                className="px-4 py-2 bg-gradient-to-r from-purple-600 to-indigo-600 text-white rounded-lg font-semibold hover:from-purple-700 hover:to-indigo-700 transition-colors shadow-lg disabled:opacity-50 disabled:cursor-not-allowed"
+                onClick={copyShareLink}
+                disabled={points.length === 0 && drawnLines.length === 0}
+                className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
               >
-                Export GPX
+                {linkCopied ? '✅ Link Copied!' : '🔗 Copy Link'}
               </button>
             </div>
 
             {/* Points Counter */}
             <div className="flex flex-col gap-2">
-              <label className="font-semibold text-gray-700">Route Info</label>
+              <div className="flex items-center justify-between">
+                <label className="font-semibold text-gray-700">Route Info</label>
+                <select
+                  value={units}
+                  onChange={(e) => handleUnitsChange(e.target.value)}
+                  aria-label="Units"
+                  className="px-2 py-1 text-sm border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+                >
+                  {UNIT_SYSTEMS.map(system => (
+                    <option key={system.value} value={system.value}>{system.label}</option>
+                  ))}
+                </select>
+              </div>
               <div className="px-4 py-2 bg-gray-100 rounded-lg">
                 <p className="text-gray-700">
                   Points: <span className="font-bold">{points.length}</span>
                 </p>
+                {elevationProfile && (
+                  <p className="text-gray-700">
+                    Climb: <span className="font-bold">↗ {formatLength(elevationProfile.stats.ascent, units)} ↘ {formatLength(elevationProfile.stats.descent, units)}</span>
+                    {' '}· max grade <span className="font-bold">{(elevationProfile.stats.maxGrade * 100).toFixed(1)}%</span>
+                  </p>
+                )}
+                {failedSegmentCount > 0 && (
+                  <p className="text-xs text-amber-700">
+                    {failedSegmentCount} segment(s) couldn't be snapped and use straight lines (amber dashed on map){' '}
+                    <button
+                      onClick={retryFailedSegments}
+                      disabled={isSnappingRoads || isRouting}
+                      className="underline disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {isSnappingRoads ? `Retrying...${snapProgressLabel}` : 'Retry snapping'}
+                    </button>
+                  </p>
+                )}
+                {fidelity && (
+                  <div className="flex flex-col gap-1 text-xs text-gray-700">
+                    <p className="flex items-center">
+                      Shape fidelity:&nbsp;<span className="font-bold">{Math.round(fidelity.withinTolerance * 100)}%</span>&nbsp;within
+                      <input
+                        type="number"
+                        min="5"
+                        step="5"
+                        value={toleranceDraft ?? Math.round(toDisplayLength(fidelityTolerance, units))}
+                        onChange={(e) => setToleranceDraft(e.target.value)}
+                        onBlur={commitToleranceDraft}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') e.currentTarget.blur()
+                        }}
+                        className="w-14 mx-1 px-1 border border-gray-300 rounded"
+                      />
+                      {findUnitSystem(units).length}
+                      <Tooltip content="Compares the snapped route with the shape you drew or traced. Max deviation (Hausdorff) is the furthest the route strays from the shape; Fréchet also penalises following the shape out of order." />
+                    </p>
+                    <p>
+                      Max deviation {formatLength(fidelity.hausdorff, units)} · Fréchet {formatLength(fidelity.frechet, units)}
+                    </p>
+                    <label className="flex items-center gap-1">
+                      <input
+                        type="checkbox"
+                        checked={showFidelityHeatmap}
+                        onChange={(e) => setShowFidelityHeatmap(e.target.checked)}
+                      />
+                      Show heatmap on route
+                    </label>
+                  </div>
+                )}
+                {unmatchedSections.length > 0 && (
+                  <p className="text-xs text-red-600">
+                    {unmatchedSections.length} section(s) failed to match (red dotted on map){' '}
+                    <button onClick={() => setUnmatchedSections([])} className="underline">Hide</button>
+                  </p>
+                )}
+                {autosaveStatus === 'partial' && (
+                  <p className="text-xs text-amber-600">Autosaved without the reference image (too large for browser storage)</p>
+                )}
+                {autosaveStatus === 'failed' && (
+                  <p className="text-xs text-red-600">Autosave failed: browser storage is unavailable</p>
+                )}
               </div>
             </div>
+
+            {/* Pace Plan */}
+            <PacePlanner
+              plan={pacePlan}
+              units={units}
+              routeDistance={routeDistance}
+              splits={splits}
+              gradeAdjusted={routeElevations !== null}
+              showSplits={showSplits}
+              onChange={handlePacePlanChange}
+              onShowSplitsChange={handleShowSplitsChange}
+            />
           </div>
         </div>
 
+        {/* Share Link Error */}
+        {shareLinkError && (
+          <div className="bg-red-50 border-2 border-red-200 text-red-700 rounded-2xl p-4 mb-4 shadow-xl flex items-center justify-between gap-4">
+            <span>This share link could not be opened ({shareLinkError}). Ask for a new link or a GPX file.</span>
+            <button
+              onClick={() => setShareLinkError(null)}
+              className="px-3 py-1 bg-red-100 rounded-lg font-semibold hover:bg-red-200 transition-colors"
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+
         {/* Route Distance Display */}
         {routeDistance !== null && (
           <div className="bg-gradient-to-r from-indigo-600 to-purple-600 rounded-2xl p-4 mb-4 shadow-xl">
             <div className="flex items-center justify-center gap-4 text-white">
               <span className="text-lg font-medium">Route Distance:</span>
               <span className="text-3xl font-bold">
-                {routeDistance.toFixed(2)} mi
+                {formatDistance(routeDistance, units)}
               </span>
               <span className="text-xl opacity-80">
-                ({(routeDistance * 1.60934).toFixed(2)} km)
+                ({formatDistance(routeDistance, units === 'metric' ? 'imperial' : 'metric')})
               </span>
             </div>
           </div>
@@ -1381,24 +2216,27 @@ function App() {
         <div className="bg-white rounded-2xl shadow-xl overflow-hidden" style={{ minHeight: '600px' }}>
           <MapContainer
             center={mapCenter}
-            zoom={13}
+            zoom={mapZoom}
             style={{ height: '600px', width: '100%' }}
           >
             <MapController mapRef={mapRef} onMapReady={() => setMapReady(true)} />
-            <ChangeView center={mapCenter} zoom={13} />
+            <ChangeView center={mapCenter} zoom={mapZoom} />
+            <MapViewTracker onViewChange={setMapView} />
             <TileLayer
               attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
               url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
             />
             
-            {/* Reference Overlay (PNG) */}
+            {/* Reference Overlay */}
             {referenceOverlay && referenceBounds && (
               <ResizableImageOverlay
                 url={referenceOverlay}
                 bounds={referenceBounds}
                 opacity={referenceOpacity}
+                rotation={referenceRotation}
                 aspectRatio={referenceAspectRatio}
-                onBoundsChange={setReferenceBounds}
+                onBoundsChange={handleReferenceBoundsChange}
+                onRotationChange={handleReferenceRotationChange}
               />
             )}
             
@@ -1412,21 +2250,145 @@ function App() {
               />
             )}
 
-            {/* Markers */}
+            {/* Markers - drag to move, right-click or long-press to delete */}
             {points.map((point, index) => (
-              <Marker key={index} position={point} />
+              <VertexMarker
+                key={index}
+                position={point}
+                draggable={!isRouting}
+                onMove={(latlng) => moveVertex(index, latlng)}
+                onDelete={() => {
+                  if (!isRouting) deleteVertex(index)
+                }}
+              />
             ))}
 
-            {/* Route Polyline */}
-            {points.length > 1 && (
+            {/* Route Polylines, one per run of same-kind segments (straight fallbacks dashed) -
+                click a segment to insert a point */}
+            {segmentRuns(points, segmentKinds).map(run => (
               <Polyline
-                positions={points}
-                color="#667eea"
+                key={`route-${run.start}-${run.kind}`}
+                positions={run.points}
+                color={run.kind === SEGMENT_FALLBACK ? '#f59e0b' : '#667eea'}
                 weight={4}
                 opacity={0.8}
+                dashArray={run.kind === SEGMENT_FALLBACK ? '8, 8' : undefined}
+                eventHandlers={{
+                  click: (e) => {
+                    if (isDrawingMode) return
+                    // Don't let the map handler also append a point
+                    L.DomEvent.stopPropagation(e)
+                    if (!isRouting) insertVertex(e.latlng)
+                  }
+                }}
               />
+            ))}
+
+            {/* Shape-fidelity heatmap: green on the intended shape, red far off it.
+                Not interactive so clicks still reach the route underneath */}
+            {showFidelityHeatmap && fidelity && fidelityHeatmapRuns(points, fidelity.segmentDeviations, fidelityTolerance).map(run => (
+              <Polyline
+                key={`fidelity-${run.start}-${run.color}`}
+                positions={run.points}
+                color={run.color}
+                weight={6}
+                opacity={0.9}
+                interactive={false}
+              />
+            ))}
+
+            {/* Split markers at every mile or kilometer (the finish already has a route marker) */}
+            {showSplits && splits.filter(split => !split.partial).map(split => (
+              <Marker
+                key={`split-${split.number}-${units}`}
+                position={split.point}
+                icon={L.divIcon({ className: 'split-marker', html: String(split.number), iconSize: [22, 22], iconAnchor: [11, 11] })}
+                interactive={false}
+              />
+            ))}
+
+            {/* Spot on the route under the pointer in the elevation chart */}
+            {elevationProfile && hoveredElevationIndex !== null && elevationProfile.samples[hoveredElevationIndex] && (
+              <CircleMarker
+                center={elevationProfile.samples[hoveredElevationIndex].point}
+                radius={7}
+                color="#ffffff"
+                weight={2}
+                fillColor="#4338ca"
+                fillOpacity={1}
+                interactive={false}
+              />
+            )}
+
+            {/* Contours waiting in the picker, in their list colors; unselected ones dashed */}
+            {tracedContours && referenceBounds && tracedContours.map((contour, index) => (
+              <Polyline
+                key={`contour-${index}-${contourSelection[index]}`}
+                positions={normalizedToMapCoords(contour.points, referenceBounds, referenceRotation)}
+                color={contourColor(index)}
+                weight={3}
+                opacity={contourSelection[index] ? 0.9 : 0.4}
+                dashArray={contourSelection[index] ? null : '4, 6'}
+                interactive={false}
+              />
+            ))}
+
+            {/* Previewed placement from the placement search: intended shape and its routed path */}
+            {previewPlacementIndex !== null && placementResults[previewPlacementIndex] && (
+              <>
+                <Polyline
+                  positions={placementResults[previewPlacementIndex].shape}
+                  color="#a855f7"
+                  weight={2}
+                  opacity={0.8}
+                  dashArray="4, 6"
+                  interactive={false}
+                />
+                <Polyline
+                  positions={placementResults[previewPlacementIndex].route}
+                  color="#7c3aed"
+                  weight={4}
+                  opacity={0.7}
+                  interactive={false}
+                />
+              </>
+            )}
+
+            {/* Previewed fit-to-distance attempt: scaled shape and, when snapped, its route */}
+            {previewFitIndex !== null && fitAttempts[previewFitIndex] && (
+              <>
+                <Polyline
+                  positions={fitAttempts[previewFitIndex].lines}
+                  color="#818cf8"
+                  weight={2}
+                  opacity={0.8}
+                  dashArray="4, 6"
+                  interactive={false}
+                />
+                {fitRequest?.snapped && (
+                  <Polyline
+                    positions={fitAttempts[previewFitIndex].section.points}
+                    color="#4f46e5"
+                    weight={4}
+                    opacity={0.7}
+                    interactive={false}
+                  />
+                )}
+              </>
             )}
 
+            {/* Trace sections that map matching could not place on roads */}
+            {unmatchedSections.map((section, index) => (
+              <Polyline
+                key={`unmatched-${index}`}
+                positions={section}
+                color="#dc2626"
+                weight={5}
+                opacity={0.7}
+                dashArray="2, 8"
+              />
+            ))}
+
             {/* Drawn Lines */}
             {drawnLines.map((line, index) => (
               <Polyline
@@ -1464,6 +2426,20 @@ function App() {
           </MapContainer>
         </div>
 
+        {/* Elevation Profile */}
+        <ElevationProfile
+          enabled={showElevation}
+          onToggle={handleShowElevationChange}
+          settings={elevationSettings}
+          onSettingsChange={handleElevationSettingsChange}
+          profile={elevationProfile}
+          isLoading={isLoadingElevation}
+          error={elevationError}
+          units={units}
+          hoveredIndex={hoveredElevationIndex}
+          onHover={setHoveredElevationIndex}
+        />
+
         {/* Instructions */}
         <div className="bg-white rounded-2xl p-6 mt-6 shadow-xl">
           <h3 className="text-xl font-bold text-indigo-600 mb-4">Instructions</h3>
@@ -1472,17 +2448,21 @@ function App() {
               <span className="text-indigo-600">→</span>
               <span>Click on the map to add points and create your route</span>
             </li>
+            <li className="flex items-start gap-2">
+              <span className="text-indigo-600">→</span>
+              <span>Drag a point to move it, click the route line to insert a point, and right-click (or long-press) a point to delete it</span>
+            </li>
             <li className="flex items-start gap-2">
               <span className="text-indigo-600">→</span>
               <span>Use the search bar to quickly navigate to any location</span>
             </li>
             <li className="flex items-start gap-2">
               <span className="text-indigo-600">→</span>
-              <span>Upload a transparent PNG image to overlay and trace over</span>
+              <span>Upload a transparent PNG (or a JPEG, WebP or SVG) to overlay and trace over</span>
             </li>
             <li className="flex items-start gap-2">
               <span className="text-indigo-600">→</span>
-              <span><strong>Trace & Snap:</strong> Position your PNG, then click to auto-trace outline and snap to roads</span>
+              <span><strong>Trace & Snap:</strong> Position your image, then click to auto-trace outline and snap to roads (SVG paths are used exactly)</span>
             </li>
             <li className="flex items-start gap-2">
               <span className="text-indigo-600">→</span>
@@ -1490,7 +2470,7 @@ function App() {
             </li>
             <li className="flex items-start gap-2">
               <span className="text-indigo-600">→</span>
-              <span>Use Undo/Redo to correct mistakes, and "Convert to Route" when done</span>
+              <span>Use Undo/Redo (Ctrl+Z / Ctrl+Shift+Z) or the History list to step back through any edit, and "Convert to Route" when done</span>
             </li>
             <li className="flex items-start gap-2">
               <span className="text-indigo-600">→</span>
@@ -1498,7 +2478,11 @@ function App() {
             </li>
             <li className="flex items-start gap-2">
               <span className="text-indigo-600">→</span>
-              <span>Export your route as GPX for use in Strava Premium or Organic Maps (free)</span>
+              <span>Import a GPX file to keep editing an earlier design or rework a recorded run</span>
+            </li>
+            <li className="flex items-start gap-2">
+              <span className="text-indigo-600">→</span>
+              <span>Export your route as GPX for use in Strava Premium or Organic Maps (free), or as TCX/FIT courses, KML or GeoJSON</span>
             </li>
           </ul>
         </div>
@@ -0,0 +1,52 @@
+// Colors for telling the traced contours apart in the list and on the map
+export const CONTOUR_COLORS = ['#9333ea', '#0891b2', '#db2777', '#65a30d', '#ea580c', '#2563eb']
+
+export const contourColor = (index) => CONTOUR_COLORS[index % CONTOUR_COLORS.length]
+
+// Checklist of the contours found in the reference image; the chosen ones are joined into one route
+function ContourPicker({ contours, selection, isSnapping, onToggle, onSnap, onCancel }) {
+  const selectedCount = selection.filter(Boolean).length
+
+  return (
+    <div className="bg-white rounded-lg p-2 text-sm flex flex-col gap-2">
+      <p className="text-gray-700">
+        Found {contours.length} outlines. Choose which to include; they're joined by the shortest connections.
+      </p>
+      <ul className="flex flex-col gap-1">
+        {contours.map((contour, index) => (
+          <li key={index}>
+            <label className="flex items-center gap-2 text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={selection[index]}
+                onChange={() => onToggle(index)}
+              />
+              <span className="w-3 h-3 rounded-full" style={{ backgroundColor: contourColor(index) }} />
+              Outline {index + 1}
+              <span className="text-xs text-gray-500">
+                {contour.inner ? 'inner' : 'outer'} · {contour.closed ? 'closed' : 'open'}
+              </span>
+            </label>
+          </li>
+        ))}
+      </ul>
+      <div className="flex gap-2">
+        <button
+          onClick={onSnap}
+          disabled={isSnapping || selectedCount === 0}
+          className="flex-1 px-3 py-1 bg-purple-600 text-white rounded-lg font-semibold hover:bg-purple-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Snap {selectedCount} to Roads
+        </button>
+        <button
+          onClick={onCancel}
+          className="px-3 py-1 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ContourPicker
@@ -0,0 +1,115 @@
+import { Tooltip } from './Tooltip'
+import ElevationSettings from './ElevationSettings'
+import { formatDistance, formatLength } from './units'
+
+const CHART_WIDTH = 1000
+const CHART_HEIGHT = 160
+const CHART_PADDING = 10
+
+// Index of the sample closest to `miles` along the route
+const nearestSample = (samples, miles) => samples.reduce(
+  (best, sample, index) => (Math.abs(sample.miles - miles) < Math.abs(samples[best].miles - miles) ? index : best),
+  0
+)
+
+// Elevation profile of the route under the map. Hovering the chart reports the sample
+// under the pointer so the map can highlight the same spot on the route.
+function ElevationProfile({ enabled, onToggle, settings, onSettingsChange, profile, isLoading, error, units, hoveredIndex, onHover }) {
+  const samples = profile?.samples || []
+  const totalMiles = samples.length > 0 ? samples[samples.length - 1].miles : 0
+  const minElevation = profile?.stats.minElevation ?? 0
+  // Flat routes still get a few meters of vertical range so the line sits mid-chart
+  const range = Math.max((profile?.stats.maxElevation ?? 0) - minElevation, 10)
+
+  const toX = (miles) => (totalMiles > 0 ? miles / totalMiles : 0) * CHART_WIDTH
+  const toY = (elevation) => CHART_HEIGHT - CHART_PADDING - ((elevation - minElevation) / range) * (CHART_HEIGHT - 2 * CHART_PADDING)
+  const line = samples.map((sample, i) => `${i === 0 ? 'M' : 'L'}${toX(sample.miles).toFixed(1)},${toY(sample.elevation).toFixed(1)}`).join(' ')
+  const hovered = hoveredIndex !== null ? samples[hoveredIndex] : null
+
+  const handlePointerMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const fraction = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1)
+    onHover(nearestSample(samples, fraction * totalMiles))
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-4 mt-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <label className="flex items-center gap-2 font-semibold text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => onToggle(e.target.checked)}
+            className="w-5 h-5 text-indigo-600 rounded focus:ring-indigo-500"
+          />
+          Elevation Profile
+          <Tooltip content="Looks up ground elevation along the route and charts it. Ascent and descent ignore rises and drops under 3 m, and grades are measured over at least 100 m, so DEM noise doesn't inflate them. Hover the chart to find the spot on the map." />
+        </label>
+        {enabled && <ElevationSettings settings={settings} onChange={onSettingsChange} />}
+      </div>
+
+      {enabled && (
+        <>
+          {isLoading && <p className="text-sm text-gray-500">Loading elevation...</p>}
+          {error && <p className="text-sm text-red-600">Elevation lookup failed: {error}</p>}
+          {!profile && !isLoading && !error && (
+            <p className="text-sm text-gray-500">Add at least two points to see the route's elevation.</p>
+          )}
+
+          {profile && (
+            <div className={isLoading ? 'opacity-50' : ''}>
+              <p className="text-sm text-gray-700 mb-2">
+                ↗ {formatLength(profile.stats.ascent, units)} · ↘ {formatLength(profile.stats.descent, units)} ·
+                Max grade {(profile.stats.maxGrade * 100).toFixed(1)}% / {(profile.stats.minGrade * 100).toFixed(1)}%
+                {hovered && (
+                  <span className="ml-2 text-indigo-700 font-semibold">
+                    {formatDistance(hovered.miles, units)}: {formatLength(hovered.elevation, units)}
+                  </span>
+                )}
+              </p>
+              <div className="flex gap-2">
+                <div className="flex flex-col justify-between text-xs text-gray-500 text-right py-1">
+                  <span>{formatLength(minElevation + range, units)}</span>
+                  <span>{formatLength(minElevation, units)}</span>
+                </div>
+                <div className="flex-1">
+                  <svg
+                    viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+                    preserveAspectRatio="none"
+                    className="w-full h-40 bg-gray-50 rounded cursor-crosshair touch-none"
+                    onPointerMove={handlePointerMove}
+                    onPointerLeave={() => onHover(null)}
+                  >
+                    <path
+                      d={`${line} L${CHART_WIDTH},${CHART_HEIGHT} L0,${CHART_HEIGHT} Z`}
+                      fill="#c7d2fe"
+                      stroke="none"
+                    />
+                    <path d={line} fill="none" stroke="#667eea" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+                    {hovered && (
+                      <line
+                        x1={toX(hovered.miles)}
+                        x2={toX(hovered.miles)}
+                        y1={0}
+                        y2={CHART_HEIGHT}
+                        stroke="#4338ca"
+                        strokeWidth="1"
+                        vectorEffect="non-scaling-stroke"
+                      />
+                    )}
+                  </svg>
+                  <div className="flex justify-between text-xs text-gray-500">
+                    <span>{formatDistance(0, units, 1)}</span>
+                    <span>{formatDistance(totalMiles, units)}</span>
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ElevationProfile
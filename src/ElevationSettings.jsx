@@ -0,0 +1,58 @@
+import { useState } from 'react'
+import { ELEVATION_PROVIDERS, findElevationProvider } from './elevation'
+
+// Collapsible panel for picking where elevations come from
+function ElevationSettings({ settings, onChange }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const provider = findElevationProvider(settings.provider)
+
+  const update = (changes) => onChange({ ...settings, ...changes })
+
+  return (
+    <div className="text-sm">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="text-indigo-600 font-semibold hover:underline"
+      >
+        ⚙️ Source: {provider.label} {isOpen ? '▲' : '▼'}
+      </button>
+
+      {isOpen && (
+        <div className="mt-2 flex flex-col gap-2 p-3 bg-gray-100 rounded-lg">
+          <label className="flex flex-col gap-1 text-gray-700">
+            Provider
+            <select
+              value={settings.provider}
+              onChange={(e) => update({ provider: e.target.value, baseUrl: findElevationProvider(e.target.value).defaultBaseUrl })}
+              className="px-2 py-1 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+            >
+              {ELEVATION_PROVIDERS.map(p => (
+                <option key={p.id} value={p.id}>{p.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex flex-col gap-1 text-gray-700">
+            {provider.urlLabel}
+            <input
+              type="text"
+              value={settings.baseUrl}
+              onChange={(e) => update({ baseUrl: e.target.value })}
+              placeholder={provider.defaultBaseUrl}
+              className="px-2 py-1 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+            />
+          </label>
+
+          <button
+            onClick={() => update({ baseUrl: provider.defaultBaseUrl })}
+            className="self-start text-xs text-gray-600 hover:underline"
+          >
+            Reset URL
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ElevationSettings
@@ -0,0 +1,169 @@
+import { useState } from 'react'
+import { ACTIVITY_TYPES } from './exporters'
+import { findUnitSystem, formatDistance } from './units'
+import { parsePace, formatPace, paceInUnits, pacePerMile } from './pacePlan'
+
+// Format a Date as the local "YYYY-MM-DDTHH:mm" value used by datetime-local inputs
+const toLocalInputValue = (date) => {
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`
+}
+
+// Course formats always carry timestamps, so the toggle is hidden for them
+const TIMED_FORMATS = ['tcx', 'fit']
+
+// Activity type and pace start out as the ones in the pace plan
+function ExportDialog({ format, routeDistance, units, plan, hasElevations, onExport, onCancel }) {
+  const planPace = formatPace(paceInUnits(plan.paces[plan.activity], units))
+  const [name, setName] = useState('Strava Art Route')
+  const [description, setDescription] = useState('')
+  const [activityType, setActivityType] = useState(plan.activity)
+  const [addTimestamps, setAddTimestamps] = useState(true)
+  const [pace, setPace] = useState(planPace)
+  const [startTime, setStartTime] = useState(() => toLocalInputValue(new Date()))
+
+  const timesRequired = TIMED_FORMATS.includes(format.id)
+  const includeTimes = timesRequired || addTimestamps
+  const unitSystem = findUnitSystem(units)
+  const paceSeconds = parsePace(pace)
+  // The pace is entered per mile or per kilometer; the exporters take it per mile
+  const paceSecondsPerMile = paceSeconds ? pacePerMile(paceSeconds, units) : null
+  const estimatedMinutes = routeDistance && paceSecondsPerMile ? Math.round((routeDistance * paceSecondsPerMile) / 60) : null
+
+  const handleExport = () => {
+    if (!name.trim()) {
+      alert('Please enter a route name')
+      return
+    }
+
+    let start = null
+    if (includeTimes) {
+      start = new Date(startTime)
+      if (isNaN(start)) {
+        alert('Please enter a valid start time')
+        return
+      }
+      if (!paceSeconds) {
+        alert(`Please enter a pace as minutes:seconds per ${unitSystem.value === 'metric' ? 'kilometer' : 'mile'}, e.g. ${planPace}`)
+        return
+      }
+    }
+
+    onExport({
+      name: name.trim(),
+      description: description.trim(),
+      activityType,
+      startTime: start,
+      paceSecondsPerMile: includeTimes ? paceSecondsPerMile : null
+    })
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+        <h3 className="text-xl font-bold mb-4">Export {format.label}</h3>
+
+        <div className="flex flex-col gap-3 mb-4">
+          <label className="flex flex-col gap-1 text-sm text-gray-700">
+            Route name
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="px-4 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+              autoFocus
+            />
+          </label>
+
+          <label className="flex flex-col gap-1 text-sm text-gray-700">
+            Description
+            <textarea
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              rows={2}
+              className="px-4 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+            />
+          </label>
+
+          <label className="flex flex-col gap-1 text-sm text-gray-700">
+            Activity type
+            <select
+              value={activityType}
+              onChange={(e) => setActivityType(e.target.value)}
+              className="px-4 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+            >
+              {ACTIVITY_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </label>
+
+          {!timesRequired && (
+            <label className="flex items-center gap-2 cursor-pointer text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={addTimestamps}
+                onChange={(e) => setAddTimestamps(e.target.checked)}
+                className="w-5 h-5 text-indigo-600 rounded focus:ring-indigo-500"
+              />
+              Add timestamps (needed to upload as an activity)
+            </label>
+          )}
+
+          {includeTimes && (
+            <div className="grid grid-cols-2 gap-2">
+              <label className="flex flex-col gap-1 text-sm text-gray-700">
+                Start time
+                <input
+                  type="datetime-local"
+                  value={startTime}
+                  onChange={(e) => setStartTime(e.target.value)}
+                  className="px-2 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+                />
+              </label>
+              <label className="flex flex-col gap-1 text-sm text-gray-700">
+                Pace (min/{unitSystem.distance})
+                <input
+                  type="text"
+                  value={pace}
+                  onChange={(e) => setPace(e.target.value)}
+                  placeholder={`e.g., ${planPace}`}
+                  className="px-2 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+                />
+              </label>
+            </div>
+          )}
+
+          {includeTimes && estimatedMinutes !== null && (
+            <p className="text-xs text-gray-500">
+              {formatDistance(routeDistance, units)} · estimated moving time: {Math.floor(estimatedMinutes / 60)}h {estimatedMinutes % 60}m
+            </p>
+          )}
+
+          <p className="text-xs text-gray-500">
+            {hasElevations
+              ? 'Elevations from the elevation profile are included.'
+              : 'No elevations: turn on "Elevation Profile" under the map to include them.'}
+          </p>
+        </div>
+
+        <div className="flex gap-2">
+          <button
+            onClick={handleExport}
+            className="flex-1 px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition-colors"
+          >
+            Download {format.label}
+          </button>
+          <button
+            onClick={onCancel}
+            className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ExportDialog
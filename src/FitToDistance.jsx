@@ -0,0 +1,97 @@
+import { useState, useEffect } from 'react'
+import { Tooltip } from './Tooltip'
+import { DISTANCE_TOLERANCE } from './fitDistance'
+import { findUnitSystem, fromDisplayDistance, formatDistance } from './units'
+
+// Scale the route or the drawings to a target distance, with every attempt listed to preview and apply
+function FitToDistance({ hasRoute, hasDrawings, snapToRoads, units, isFitting, attempts, targetMiles, previewIndex, onFit, onCancel, onPreview, onApply, onDismiss }) {
+  const [target, setTarget] = useState(hasRoute ? 'route' : 'drawings')
+  const [distance, setDistance] = useState('')
+
+  // Follow what's available: a route disappearing switches to the drawings and vice versa
+  useEffect(() => {
+    if (target === 'route' && !hasRoute && hasDrawings) setTarget('drawings')
+    if (target === 'drawings' && !hasDrawings && hasRoute) setTarget('route')
+  }, [target, hasRoute, hasDrawings])
+
+  const value = parseFloat(distance)
+  const isValid = !isNaN(value) && value > 0
+  const closest = attempts.length > 0
+    ? attempts.reduce((best, attempt, index) => (Math.abs(attempt.miles - targetMiles) < Math.abs(attempts[best].miles - targetMiles) ? index : best), 0)
+    : null
+
+  return (
+    <div className="flex flex-col gap-2">
+      <label className="font-semibold text-gray-700 flex items-center">
+        Fit to Distance
+        <Tooltip position="bottom-right" content={`Scales the route or the drawings about their center to a target distance. With "Snap to Roads" on, each size is snapped and measured, and the scale is corrected until the snapped route is within ${Math.round(DISTANCE_TOLERANCE * 100)}% of the target. Every attempt is listed so you can pick the closest.`} />
+      </label>
+      <div className="flex gap-2">
+        <select
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          className="flex-1 px-2 py-1 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+        >
+          <option value="route" disabled={!hasRoute}>Route</option>
+          <option value="drawings" disabled={!hasDrawings}>Drawings</option>
+        </select>
+        <input
+          type="number"
+          min="0.1"
+          step="0.1"
+          value={distance}
+          onChange={(e) => setDistance(e.target.value)}
+          placeholder="e.g., 5.0"
+          className="w-20 px-2 py-1 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+        />
+        <span className="self-center text-gray-700">{findUnitSystem(units).distance}</span>
+      </div>
+      <div className="flex gap-2">
+        <button
+          onClick={() => onFit({ target, miles: fromDisplayDistance(value, units) })}
+          disabled={isFitting || !isValid || (target === 'route' ? !hasRoute : !hasDrawings)}
+          className="flex-1 px-4 py-2 bg-indigo-100 text-indigo-800 rounded-lg font-semibold hover:bg-indigo-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isFitting ? `📏 Fitting... (attempt ${attempts.length + 1})` : `📏 Fit${snapToRoads ? ' + Snap' : ''}`}
+        </button>
+        {isFitting && (
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+          >
+            Stop
+          </button>
+        )}
+      </div>
+
+      {attempts.length > 0 && (
+        <div className="bg-white rounded-lg p-2 text-sm">
+          <ol className="flex flex-col gap-1">
+            {attempts.map((attempt, index) => (
+              <li
+                key={index}
+                className={`flex items-center justify-between gap-2 px-2 py-1 rounded ${index === previewIndex ? 'bg-indigo-100' : ''}`}
+              >
+                <button onClick={() => onPreview(index)} className="flex-1 text-left text-gray-700 hover:underline">
+                  #{index + 1}: ×{attempt.scale.toFixed(2)} → {formatDistance(attempt.miles, units)}
+                  {' '}({attempt.miles >= targetMiles ? '+' : ''}{Math.round((attempt.miles / targetMiles - 1) * 100)}%)
+                  {index === closest && ' ✓'}
+                </button>
+                <button onClick={() => onApply(attempt)} disabled={isFitting} className="text-indigo-700 font-semibold hover:underline disabled:opacity-50">
+                  Use
+                </button>
+              </li>
+            ))}
+          </ol>
+          {!isFitting && (
+            <button onClick={onDismiss} className="mt-1 text-xs text-gray-500 hover:underline">
+              Dismiss
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FitToDistance
@@ -0,0 +1,59 @@
+import { Tooltip } from './Tooltip'
+
+// Undo/redo controls plus the list of recorded editing actions
+function HistoryPanel({ history }) {
+  const { entries, position, undo, redo, jumpTo, canUndo, canRedo } = history
+
+  return (
+    <div className="flex flex-col gap-2">
+      <label className="font-semibold text-gray-700 flex items-center">
+        History
+        <Tooltip content="Every edit to the route, drawings and reference overlay is recorded here. Use Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac) or click an entry to jump back to it." />
+      </label>
+      <div className="flex gap-2">
+        <button
+          onClick={undo}
+          disabled={!canUndo}
+          title="Undo (Ctrl+Z)"
+          className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          ↩️ Undo
+        </button>
+        <button
+          onClick={redo}
+          disabled={!canRedo}
+          title="Redo (Ctrl+Shift+Z)"
+          className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          ↪️ Redo
+        </button>
+      </div>
+      <ol className="max-h-40 overflow-y-auto bg-gray-100 rounded-lg text-sm">
+        <li>
+          <button
+            onClick={() => jumpTo(-1)}
+            className={`w-full text-left px-3 py-1 hover:bg-gray-200 ${position === 0 ? 'font-bold text-indigo-700' : 'text-gray-600'}`}
+          >
+            Start
+          </button>
+        </li>
+        {entries.map((entry, index) => (
+          <li key={`${entry.time}-${index}`}>
+            <button
+              onClick={() => jumpTo(index)}
+              className={`w-full text-left px-3 py-1 hover:bg-gray-200 ${
+                index === position - 1
+                  ? 'font-bold text-indigo-700'
+                  : index < position ? 'text-gray-700' : 'text-gray-400 italic'
+              }`}
+            >
+              {entry.label}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+}
+
+export default HistoryPanel
@@ -0,0 +1,90 @@
+import { useState, useEffect } from 'react'
+import { Tooltip } from './Tooltip'
+import { PLAN_ACTIVITIES, findPlanActivity, paceLabel, paceInputValue, parsePaceInput, formatDuration, paceInUnits, formatPace } from './pacePlan'
+import { findUnitSystem, formatDistance } from './units'
+
+// Activity and pace (or speed) for the route, with the estimated duration and split times.
+// `gradeAdjusted` says the splits allow for the route's climbs and descents.
+function PacePlanner({ plan, units, routeDistance, splits, gradeAdjusted, showSplits, onChange, onShowSplitsChange }) {
+  const secondsPerMile = plan.paces[plan.activity]
+  const [draft, setDraft] = useState(() => paceInputValue(secondsPerMile, plan.activity, units))
+  const isValid = parsePaceInput(draft, plan.activity, units) !== null
+
+  // Re-show the stored pace when the activity or units change what the input means
+  useEffect(() => {
+    // Not on every keystroke that updates the pace, which would reformat the input mid-edit
+    setDraft(paceInputValue(secondsPerMile, plan.activity, units))
+  }, [plan.activity, units])
+
+  const handlePaceChange = (value) => {
+    setDraft(value)
+    const parsed = parsePaceInput(value, plan.activity, units)
+    if (parsed) onChange({ ...plan, paces: { ...plan.paces, [plan.activity]: parsed } })
+  }
+
+  const activity = findPlanActivity(plan.activity)
+  // The last split ends at the finish, so it has the climb-adjusted total
+  const duration = splits.length > 0 ? splits[splits.length - 1].elapsed : routeDistance * secondsPerMile
+
+  return (
+    <div className="flex flex-col gap-2">
+      <label className="font-semibold text-gray-700 flex items-center">
+        Pace Plan
+        <Tooltip content="Estimates how long the route takes at a steady pace, with the time at every split. Splits are per mile or kilometer, following the units setting. While the elevation profile is on, climbs slow the estimate down and descents speed it up." />
+      </label>
+      <div className="flex gap-2">
+        <select
+          value={plan.activity}
+          onChange={(e) => onChange({ ...plan, activity: e.target.value })}
+          className="flex-1 px-2 py-1 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+        >
+          {PLAN_ACTIVITIES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          inputMode="decimal"
+          value={draft}
+          onChange={(e) => handlePaceChange(e.target.value)}
+          aria-label={activity.input === 'pace' ? 'Pace' : 'Speed'}
+          className={`w-20 px-2 py-1 border-2 rounded-lg focus:outline-none focus:border-indigo-500 ${isValid ? 'border-gray-300' : 'border-red-400'}`}
+        />
+        <span className="self-center text-gray-700">{paceLabel(plan.activity, units)}</span>
+      </div>
+
+      {routeDistance !== null && (
+        <div className="px-4 py-2 bg-gray-100 rounded-lg text-sm text-gray-700">
+          <p>
+            Estimated time: <span className="font-bold">{formatDuration(duration)}</span>
+            {activity.input === 'speed' && ` (${formatPace(paceInUnits(secondsPerMile, units))} min/${findUnitSystem(units).distance})`}
+            {gradeAdjusted && ' · adjusted for climbs'}
+          </p>
+          {splits.length > 0 && (
+            <>
+              <ol className="mt-1 max-h-40 overflow-y-auto text-xs">
+                {splits.map(split => (
+                  <li key={split.number} className="flex justify-between gap-2">
+                    <span>{split.partial ? formatDistance(split.miles, units) : `${split.number} ${findUnitSystem(units).distance}`}</span>
+                    <span>{formatDuration(split.seconds)}</span>
+                    <span className="font-semibold">{formatDuration(split.elapsed)}</span>
+                  </li>
+                ))}
+              </ol>
+              <label className="flex items-center gap-2 mt-1 text-xs cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={showSplits}
+                  onChange={(e) => onShowSplitsChange(e.target.checked)}
+                />
+                Show splits on map
+              </label>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PacePlanner
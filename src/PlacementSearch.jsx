@@ -0,0 +1,54 @@
+import { Tooltip } from './Tooltip'
+
+// Find-best-placement controls and the ranked placements to preview and apply
+function PlacementSearch({ results, previewIndex, isSearching, progress, disabled, onSearch, onCancel, onPreview, onApply, onDismiss }) {
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex gap-2">
+        <button
+          onClick={onSearch}
+          disabled={isSearching || disabled}
+          className="flex-1 px-4 py-2 bg-purple-100 text-purple-800 rounded-lg font-semibold hover:bg-purple-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSearching
+            ? `🧭 Searching...${progress ? ` (${progress.done}/${progress.total})` : ''}`
+            : '🧭 Find Best Placement'}
+        </button>
+        {isSearching && (
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+        <Tooltip position="bottom-right" content="Tries the traced outline at different positions, rotations and sizes across the visible map, routes each one and ranks them by how well the route keeps the shape and how little it detours. Zoom the map to the area you want to search first." />
+      </div>
+
+      {results.length > 0 && (
+        <div className="bg-white rounded-lg p-2 text-sm">
+          <ol className="flex flex-col gap-1">
+            {results.map((result, index) => (
+              <li
+                key={index}
+                className={`flex items-center justify-between gap-2 px-2 py-1 rounded ${index === previewIndex ? 'bg-purple-100' : ''}`}
+              >
+                <button onClick={() => onPreview(index)} className="flex-1 text-left text-gray-700 hover:underline">
+                  #{index + 1}: {Math.round(result.withinTolerance * 100)}% on shape · {Math.round((result.detour - 1) * 100)}% detour · {Math.round(result.placement.rotation)}° · ×{result.placement.scale.toFixed(2)}
+                </button>
+                <button onClick={() => onApply(result)} className="text-purple-700 font-semibold hover:underline">
+                  Apply
+                </button>
+              </li>
+            ))}
+          </ol>
+          <button onClick={onDismiss} className="mt-1 text-xs text-gray-500 hover:underline">
+            Dismiss
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PlacementSearch
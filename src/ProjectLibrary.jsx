@@ -0,0 +1,214 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { Tooltip } from './Tooltip'
+import { downloadFile } from './download'
+import { formatDistance } from './units'
+import {
+  listProjects,
+  getProject,
+  saveProject,
+  renameProject,
+  duplicateProject,
+  deleteProject,
+  exportLibrary,
+  importLibrary
+} from './projectStore'
+
+function ProjectLibrary({ getState, routeDistance, units, onOpen }) {
+  const [projects, setProjects] = useState([])
+  const [activeProjectId, setActiveProjectId] = useState(null)
+  const [newName, setNewName] = useState('')
+  const [isBusy, setIsBusy] = useState(false)
+  const [error, setError] = useState(null)
+  const importInputRef = useRef(null)
+
+  const refresh = useCallback(async () => {
+    try {
+      setProjects(await listProjects())
+      setError(null)
+    } catch (err) {
+      console.error('Project library error:', err)
+      setError(err.message)
+    }
+  }, [])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  // Wrap a library action with busy state, error reporting and a list refresh
+  const run = async (action) => {
+    setIsBusy(true)
+    try {
+      await action()
+    } catch (err) {
+      console.error('Project library error:', err)
+      alert(`Project library error: ${err.message}`)
+    } finally {
+      setIsBusy(false)
+      refresh()
+    }
+  }
+
+  const activeProject = projects.find(project => project.id === activeProjectId) || null
+
+  const handleSaveNew = () => {
+    const name = newName.trim()
+    if (!name) {
+      alert('Please enter a project name')
+      return
+    }
+    run(async () => {
+      const project = await saveProject({ name, state: getState(), distance: routeDistance })
+      setActiveProjectId(project.id)
+      setNewName('')
+    })
+  }
+
+  const handleSaveActive = () => {
+    if (!activeProject) return
+    run(() => saveProject({ id: activeProject.id, name: activeProject.name, state: getState(), distance: routeDistance }))
+  }
+
+  const handleOpen = (id) => {
+    run(async () => {
+      const project = await getProject(id)
+      onOpen(project.state)
+      setActiveProjectId(id)
+    })
+  }
+
+  const handleRename = (project) => {
+    const name = prompt('Rename project', project.name)
+    if (!name || !name.trim() || name.trim() === project.name) return
+    run(() => renameProject(project.id, name.trim()))
+  }
+
+  const handleDuplicate = (id) => {
+    run(() => duplicateProject(id))
+  }
+
+  const handleDelete = (project) => {
+    if (!confirm(`Delete "${project.name}"? This cannot be undone.`)) return
+    run(async () => {
+      await deleteProject(project.id)
+      if (project.id === activeProjectId) setActiveProjectId(null)
+    })
+  }
+
+  const handleExportLibrary = () => {
+    run(async () => {
+      const bundle = await exportLibrary()
+      downloadFile(bundle, 'strava-art-library.json', 'application/json')
+    })
+  }
+
+  const handleImportLibrary = (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = (event) => {
+      run(async () => {
+        const count = await importLibrary(event.target.result)
+        alert(`Imported ${count} project(s)`)
+      })
+    }
+    reader.readAsText(file)
+  }
+
+  return (
+    <div className="border-2 border-emerald-200 rounded-lg p-4 bg-emerald-50">
+      <h3 className="text-lg font-bold text-emerald-900 mb-4 flex items-center">
+        📁 Projects
+        <Tooltip content="Save designs by name in this browser, reopen or duplicate them later, and back up the whole library as a JSON file." />
+      </h3>
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyPress={(e) => e.key === 'Enter' && handleSaveNew()}
+          placeholder="New project name..."
+          className="flex-1 min-w-[12rem] px-4 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-emerald-500"
+        />
+        <button
+          onClick={handleSaveNew}
+          disabled={isBusy}
+          className="px-4 py-2 bg-emerald-600 text-white rounded-lg font-semibold hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Save As New
+        </button>
+        {activeProject && (
+          <button
+            onClick={handleSaveActive}
+            disabled={isBusy}
+            className="px-4 py-2 bg-emerald-500 text-white rounded-lg font-semibold hover:bg-emerald-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Save "{activeProject.name}"
+          </button>
+        )}
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImportLibrary}
+          className="hidden"
+        />
+        <button
+          onClick={() => importInputRef.current?.click()}
+          disabled={isBusy}
+          className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Import Library
+        </button>
+        <button
+          onClick={handleExportLibrary}
+          disabled={isBusy || projects.length === 0}
+          className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Export Library
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600">Project library unavailable: {error}</p>}
+
+      {!error && projects.length === 0 && (
+        <p className="text-sm text-gray-500">No saved projects yet.</p>
+      )}
+
+      {projects.length > 0 && (
+        <ul className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
+          {projects.map(project => (
+            <li
+              key={project.id}
+              className={`flex gap-3 p-2 bg-white rounded-lg border-2 ${project.id === activeProjectId ? 'border-emerald-500' : 'border-transparent'}`}
+            >
+              {project.thumbnail ? (
+                <img src={project.thumbnail} alt="" className="w-16 h-16 rounded" />
+              ) : (
+                <div className="w-16 h-16 rounded bg-gray-100" />
+              )}
+              <div className="flex-1 min-w-0">
+                <p className="font-semibold text-gray-800 truncate" title={project.name}>{project.name}</p>
+                <p className="text-xs text-gray-500">
+                  {project.distance ? `${formatDistance(project.distance, units)} · ` : ''}
+                  {new Date(project.updatedAt).toLocaleDateString()}
+                </p>
+                <div className="flex flex-wrap gap-2 mt-1 text-xs">
+                  <button onClick={() => handleOpen(project.id)} disabled={isBusy} className="text-emerald-700 font-semibold hover:underline">Open</button>
+                  <button onClick={() => handleDuplicate(project.id)} disabled={isBusy} className="text-gray-600 hover:underline">Duplicate</button>
+                  <button onClick={() => handleRename(project)} disabled={isBusy} className="text-gray-600 hover:underline">Rename</button>
+                  <button onClick={() => handleDelete(project)} disabled={isBusy} className="text-red-600 hover:underline">Delete</button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default ProjectLibrary
@@ -1,18 +1,39 @@
 import { useEffect, useRef } from 'react'
 import { useMap } from 'react-leaflet'
 import L from 'leaflet'
+import { normalizeAngle } from './geo'
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+const ROTATE_HANDLE_OFFSET = 30 // Pixels above the top edge
+const MIN_HALF_SIZE = 2 // Pixels
+
+// Rotate a pixel offset clockwise by `degrees` (screen y points down)
+const rotatePoint = (point, degrees) => {
+  const angle = degrees * Math.PI / 180
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  return L.point(point.x * cos - point.y * sin, point.x * sin + point.y * cos)
+}
 
-function ResizableImageOverlay({ url, bounds, opacity, aspectRatio, onBoundsChange }) {
+// `bounds` is the image's box before rotation; `rotation` turns it clockwise (degrees)
+// around its center. Handles follow the rotated box.
+function ResizableImageOverlay({ url, bounds, rotation = 0, opacity, aspectRatio, onBoundsChange, onRotationChange }) {
   const map = useMap()
   const overlayRef = useRef(null)
   const markersRef = useRef([])
   const groupRef = useRef(null)
   const currentBoundsRef = useRef(bounds)
+  const rotationRef = useRef(rotation)
+  const applyBoundsRef = useRef(null)
 
-  // Keep currentBoundsRef in sync
+  // Keep the refs in sync, and move the overlay when bounds or rotation change from outside (e.g. undo)
   useEffect(() => {
+    rotationRef.current = rotation
+    if (bounds && applyBoundsRef.current) {
+      applyBoundsRef.current(bounds)
+    }
     currentBoundsRef.current = bounds
-  }, [bounds])
+  }, [bounds, rotation])
 
   useEffect(() => {
     if (!bounds || !map || !url) return
@@ -25,35 +46,71 @@ function ResizableImageOverlay({ url, bounds, opacity, aspectRatio, onBoundsChan
       groupRef.current.clearLayers()
       map.removeLayer(groupRef.current)
     }
-    
-    // Create native Leaflet ImageOverlay for direct manipulation
+
+    // Box geometry in layer pixels: center plus half width/height before rotation
+    const boxFrame = (b) => {
+      const sw = map.latLngToLayerPoint(b[0])
+      const ne = map.latLngToLayerPoint(b[1])
+      return { center: sw.add(ne).divideBy(2), halfWidth: (ne.x - sw.x) / 2, halfHeight: (sw.y - ne.y) / 2 }
+    }
+
+    const frameBounds = ({ center, halfWidth, halfHeight }) => {
+      const sw = map.layerPointToLatLng(center.add([-halfWidth, halfHeight]))
+      const ne = map.layerPointToLatLng(center.add([halfWidth, -halfHeight]))
+      return [[sw.lat, sw.lng], [ne.lat, ne.lng]]
+    }
+
+    // Convert between map positions and pixel offsets in the box's own (unrotated) frame
+    const toMap = (frame, local) => map.layerPointToLatLng(frame.center.add(rotatePoint(local, rotationRef.current)))
+    const toLocal = (frame, latlng) => rotatePoint(map.latLngToLayerPoint(latlng).subtract(frame.center), -rotationRef.current)
+
+    // The image lives in an SVG overlay so it can be rotated inside the overlay's box
+    const svg = document.createElementNS(SVG_NS, 'svg')
+    svg.setAttribute('preserveAspectRatio', 'none')
+    svg.style.overflow = 'visible'
+    const image = document.createElementNS(SVG_NS, 'image')
+    image.setAttribute('href', url)
+    image.setAttribute('preserveAspectRatio', 'none')
+    svg.appendChild(image)
+
+    // The box keeps its pixel aspect ratio across zoom levels, so the viewBox only
+    // needs updating when the bounds or rotation change
+    const layoutImage = (newBounds) => {
+      const { halfWidth, halfHeight } = boxFrame(newBounds)
+      const width = halfWidth * 2
+      const height = halfHeight * 2
+      svg.setAttribute('viewBox', `0 0 ${width} ${height}`)
+      image.setAttribute('width', width)
+      image.setAttribute('height', height)
+      image.setAttribute('transform', `rotate(${rotationRef.current} ${width / 2} ${height / 2})`)
+    }
+    layoutImage(bounds)
+
     const leafletBounds = L.latLngBounds(bounds[0], bounds[1])
-    const imageOverlay = L.imageOverlay(url, leafletBounds, {
+    const imageOverlay = L.svgOverlay(svg, leafletBounds, {
       opacity: opacity,
       interactive: true,
       zIndex: 500
     }).addTo(map)
-    
+
     overlayRef.current = imageOverlay
-    
+
     // Make image draggable
     const imageElement = imageOverlay.getElement()
     if (imageElement) {
       imageElement.style.cursor = 'move'
     }
-    
+
     // Create a new layer group for all markers
     groupRef.current = L.layerGroup().addTo(map)
     markersRef.current = []
 
-    const centerLat = (bounds[0][0] + bounds[1][0]) / 2
-    const centerLng = (bounds[0][1] + bounds[1][1]) / 2
-
     // Update overlay bounds directly for real-time visual feedback
     const updateOverlayBoundsVisually = (newBounds) => {
       if (overlayRef.current) {
         const leafletBounds = L.latLngBounds(newBounds[0], newBounds[1])
         overlayRef.current.setBounds(leafletBounds)
+        layoutImage(newBounds)
         currentBoundsRef.current = newBounds
       }
     }
@@ -65,35 +122,27 @@ function ResizableImageOverlay({ url, bounds, opacity, aspectRatio, onBoundsChan
       }
     }
 
+    // Handle positions in the box frame: 4 corners (SW, SE, NE, NW), 4 edges (W, E, S, N),
+    // the center and the rotation handle above the top edge
+    const handleOffsets = ({ halfWidth: w, halfHeight: h }) => [
+      [-w, h], [w, h], [w, -h], [-w, -h],
+      [-w, 0], [w, 0], [0, h], [0, -h],
+      [0, 0],
+      [0, -h - ROTATE_HANDLE_OFFSET]
+    ]
+
     // Update marker positions without triggering re-render
     const updateMarkerPositions = (newBounds) => {
-      if (markersRef.current.length < 9) return
-      
-      // Use Leaflet bounds to get exact corner positions
-      const leafletBounds = L.latLngBounds(newBounds[0], newBounds[1])
-      const sw = leafletBounds.getSouthWest()
-      const ne = leafletBounds.getNorthEast()
-      // Construct other corners from SW and NE
-      const se = L.latLng(sw.lat, ne.lng) // Southeast: south lat, east lng
-      const nw = L.latLng(ne.lat, sw.lng) // Northwest: north lat, west lng
-      
-      const newCenterLat = (newBounds[0][0] + newBounds[1][0]) / 2
-      const newCenterLng = (newBounds[0][1] + newBounds[1][1]) / 2
-      
-      // Update corner markers using exact corner positions
-      markersRef.current[0].setLatLng([sw.lat, sw.lng]) // SW
-      markersRef.current[1].setLatLng([se.lat, se.lng]) // SE
-      markersRef.current[2].setLatLng([ne.lat, ne.lng]) // NE
-      markersRef.current[3].setLatLng([nw.lat, nw.lng]) // NW
-      
-      // Update edge markers
-      markersRef.current[4].setLatLng([newCenterLat, newBounds[0][1]]) // West
-      markersRef.current[5].setLatLng([newCenterLat, newBounds[1][1]]) // East
-      markersRef.current[6].setLatLng([newBounds[0][0], newCenterLng]) // South
-      markersRef.current[7].setLatLng([newBounds[1][0], newCenterLng]) // North
-      
-      // Update center marker
-      markersRef.current[8].setLatLng([newCenterLat, newCenterLng])
+      if (markersRef.current.length < 10) return
+      const frame = boxFrame(newBounds)
+      handleOffsets(frame).forEach((offset, index) => {
+        markersRef.current[index].setLatLng(toMap(frame, L.point(offset)))
+      })
+    }
+
+    applyBoundsRef.current = (newBounds) => {
+      updateOverlayBoundsVisually(newBounds)
+      updateMarkerPositions(newBounds)
     }
 
     // Setup image dragging (click and drag anywhere on the image)
@@ -103,67 +152,68 @@ function ResizableImageOverlay({ url, bounds, opacity, aspectRatio, onBoundsChan
     const onImageMouseDown = (e) => {
       // Check if clicking on a handle
       const target = e.originalEvent?.target || e.target
-      if (target.classList?.contains('resize-handle-corner') || 
+      if (target.classList?.contains('resize-handle-corner') ||
           target.classList?.contains('resize-handle-edge') ||
-          target.classList?.contains('drag-handle')) {
+          target.classList?.contains('drag-handle') ||
+          target.classList?.contains('rotate-handle')) {
         return
       }
-      
+
       isDraggingImage = true
       dragStartPos = {
         latlng: e.latlng,
         bounds: [...currentBoundsRef.current]
       }
-      
+
       if (imageElement) {
         imageElement.style.cursor = 'grabbing'
       }
-      
+
       // Disable map dragging while dragging image
       map.dragging.disable()
-      
+
       L.DomEvent.stop(e)
     }
 
     const onMouseMove = (e) => {
       if (!isDraggingImage || !dragStartPos) return
-      
+
       const startBounds = dragStartPos.bounds
       const deltaLat = e.latlng.lat - dragStartPos.latlng.lat
       const deltaLng = e.latlng.lng - dragStartPos.latlng.lng
-      
+
       const newBounds = [
         [startBounds[0][0] + deltaLat, startBounds[0][1] + deltaLng],
         [startBounds[1][0] + deltaLat, startBounds[1][1] + deltaLng]
       ]
-      
+
       updateOverlayBoundsVisually(newBounds)
       updateMarkerPositions(newBounds)
     }
 
     const onMouseUp = (e) => {
       if (!isDraggingImage) return
-      
+
       // Re-enable map dragging
       map.dragging.enable()
-      
+
       if (imageElement) {
         imageElement.style.cursor = 'move'
       }
-      
+
       if (dragStartPos) {
         const startBounds = dragStartPos.bounds
         const deltaLat = e.latlng.lat - dragStartPos.latlng.lat
         const deltaLng = e.latlng.lng - dragStartPos.latlng.lng
-        
+
         const newBounds = [
           [startBounds[0][0] + deltaLat, startBounds[0][1] + deltaLng],
           [startBounds[1][0] + deltaLat, startBounds[1][1] + deltaLng]
         ]
-        
+
         commitBoundsChange(newBounds)
       }
-      
+
       isDraggingImage = false
       dragStartPos = null
     }
@@ -173,42 +223,21 @@ function ResizableImageOverlay({ url, bounds, opacity, aspectRatio, onBoundsChan
     map.on('mousemove', onMouseMove)
     map.on('mouseup', onMouseUp)
 
-    // Corner handles (diagonal resize - preserve aspect ratio)
-    // Ensure we use the exact bounds from the overlay for precise positioning
-    const overlayBounds = imageOverlay.getBounds()
-    const sw = overlayBounds.getSouthWest()
-    const ne = overlayBounds.getNorthEast()
-    // Construct other corners from SW and NE
-    const se = L.latLng(sw.lat, ne.lng) // Southeast: south lat, east lng
-    const nw = L.latLng(ne.lat, sw.lng) // Northwest: north lat, west lng
-    
-    const cornerPositions = [
-      [sw.lat, sw.lng], // Southwest (index 0)
-      [se.lat, se.lng], // Southeast (index 1)
-      [ne.lat, ne.lng], // Northeast (index 2)
-      [nw.lat, nw.lng]  // Northwest (index 3)
-    ]
-
-    const cornerCursors = ['nesw-resize', 'nwse-resize', 'nesw-resize', 'nwse-resize']
-    const cornerClasses = ['resize-handle-corner-sw', 'resize-handle-corner-se', 'resize-handle-corner-ne', 'resize-handle-corner-nw']
-
-    cornerPositions.forEach((corner, index) => {
-      const icon = L.divIcon({
-        className: `resize-handle-corner ${cornerClasses[index]}`,
-        iconSize: [14, 14],
-        iconAnchor: [7, 7]
-      })
-
-      const marker = L.marker(corner, {
+    // Add a draggable handle. `boundsForDrag(startBounds, latlng)` returns the new bounds
+    // for a drag position, or null if the position would make the box invalid.
+    const addHandle = (icon, cursor, boundsForDrag) => {
+      const marker = L.marker([0, 0], {
         icon,
         draggable: true,
         zIndexOffset: 1000
       })
-      
-      setTimeout(() => {
-        const el = marker.getElement()
-        if (el) el.style.cursor = cornerCursors[index]
-      }, 0)
+
+      if (cursor) {
+        setTimeout(() => {
+          const el = marker.getElement()
+          if (el) el.style.cursor = cursor
+        }, 0)
+      }
 
       let dragStartBounds = null
 
@@ -218,30 +247,9 @@ function ResizableImageOverlay({ url, bounds, opacity, aspectRatio, onBoundsChan
       })
 
       marker.on('drag', () => {
-        if (!aspectRatio || !dragStartBounds) return
-        
-        const draggedPos = marker.getLatLng()
-        const startCenter = {
-          lat: (dragStartBounds[0][0] + dragStartBounds[1][0]) / 2,
-          lng: (dragStartBounds[0][1] + dragStartBounds[1][1]) / 2
-        }
-        const startHeight = dragStartBounds[1][0] - dragStartBounds[0][0]
-        const startWidth = dragStartBounds[1][1] - dragStartBounds[0][1]
-        
-        const deltaLat = draggedPos.lat - startCenter.lat
-        const deltaLng = draggedPos.lng - startCenter.lng
-        const diagonalDistance = Math.sqrt(deltaLat * deltaLat + deltaLng * deltaLng)
-        const startDiagonal = Math.sqrt((startHeight / 2) ** 2 + (startWidth / 2) ** 2)
-        const scaleFactor = startDiagonal > 0 ? diagonalDistance / startDiagonal : 1
-        const newHeight = Math.max(startHeight * scaleFactor, 0.0001)
-        const newWidth = newHeight * aspectRatio
-        
-        const newBounds = [
-          [startCenter.lat - newHeight / 2, startCenter.lng - newWidth / 2],
-          [startCenter.lat + newHeight / 2, startCenter.lng + newWidth / 2]
-        ]
-        
-        if (newHeight > 0.0001 && newWidth > 0.0001) {
+        if (!dragStartBounds) return
+        const newBounds = boundsForDrag(dragStartBounds, marker.getLatLng())
+        if (newBounds) {
           updateOverlayBoundsVisually(newBounds)
           updateMarkerPositions(newBounds)
         }
@@ -249,50 +257,48 @@ function ResizableImageOverlay({ url, bounds, opacity, aspectRatio, onBoundsChan
 
       marker.on('dragend', () => {
         map.dragging.enable()
-        if (!aspectRatio || !dragStartBounds) return
-        
-        const draggedPos = marker.getLatLng()
-        const startCenter = {
-          lat: (dragStartBounds[0][0] + dragStartBounds[1][0]) / 2,
-          lng: (dragStartBounds[0][1] + dragStartBounds[1][1]) / 2
-        }
-        const startHeight = dragStartBounds[1][0] - dragStartBounds[0][0]
-        const startWidth = dragStartBounds[1][1] - dragStartBounds[0][1]
-        
-        const deltaLat = draggedPos.lat - startCenter.lat
-        const deltaLng = draggedPos.lng - startCenter.lng
-        const diagonalDistance = Math.sqrt(deltaLat * deltaLat + deltaLng * deltaLng)
-        const startDiagonal = Math.sqrt((startHeight / 2) ** 2 + (startWidth / 2) ** 2)
-        const scaleFactor = startDiagonal > 0 ? diagonalDistance / startDiagonal : 1
-        const newHeight = Math.max(startHeight * scaleFactor, 0.0001)
-        const newWidth = newHeight * aspectRatio
-        
-        const newBounds = [
-          [startCenter.lat - newHeight / 2, startCenter.lng - newWidth / 2],
-          [startCenter.lat + newHeight / 2, startCenter.lng + newWidth / 2]
-        ]
-        
-        if (newHeight > 0.0001 && newWidth > 0.0001) {
+        if (!dragStartBounds) return
+        const newBounds = boundsForDrag(dragStartBounds, marker.getLatLng())
+        if (newBounds) {
           commitBoundsChange(newBounds)
+        } else {
+          updateMarkerPositions(currentBoundsRef.current)
         }
         dragStartBounds = null
       })
 
       marker.addTo(groupRef.current)
       markersRef.current.push(marker)
-    })
+    }
 
-    // Edge handles (horizontal/vertical stretch)
-    const edgePositions = [
-      [centerLat, bounds[0][1]], // West (index 4)
-      [centerLat, bounds[1][1]], // East (index 5)
-      [bounds[0][0], centerLng], // South (index 6)
-      [bounds[1][0], centerLng]  // North (index 7)
-    ]
+    // Corner handles (diagonal resize - preserve aspect ratio)
+    const cornerCursors = ['nesw-resize', 'nwse-resize', 'nesw-resize', 'nwse-resize']
+    const cornerClasses = ['resize-handle-corner-sw', 'resize-handle-corner-se', 'resize-handle-corner-ne', 'resize-handle-corner-nw']
+
+    cornerClasses.forEach((cornerClass, index) => {
+      const icon = L.divIcon({
+        className: `resize-handle-corner ${cornerClass}`,
+        iconSize: [14, 14],
+        iconAnchor: [7, 7]
+      })
 
+      addHandle(icon, cornerCursors[index], (startBounds, latlng) => {
+        if (!aspectRatio) return null
+        // Scale the box around its center by how far the corner moved from it
+        const frame = boxFrame(startBounds)
+        const scaleFactor = toLocal(frame, latlng).distanceTo([0, 0]) / Math.hypot(frame.halfWidth, frame.halfHeight)
+        const halfWidth = frame.halfWidth * scaleFactor
+        const halfHeight = frame.halfHeight * scaleFactor
+        if (halfWidth < MIN_HALF_SIZE || halfHeight < MIN_HALF_SIZE) return null
+        return frameBounds({ center: frame.center, halfWidth, halfHeight })
+      })
+    })
+
+    // Edge handles (horizontal/vertical stretch). The opposite edge stays put, so the
+    // center moves along the box's own (rotated) axis.
     const edgeCursors = ['ew-resize', 'ew-resize', 'ns-resize', 'ns-resize']
 
-    edgePositions.forEach((edge, index) => {
+    edgeCursors.forEach((cursor, index) => {
       const isHorizontal = index < 2
       const icon = L.divIcon({
         className: 'resize-handle-edge',
@@ -300,158 +306,87 @@ function ResizableImageOverlay({ url, bounds, opacity, aspectRatio, onBoundsChan
         iconAnchor: isHorizontal ? [4, 10] : [10, 4]
       })
 
-      const marker = L.marker(edge, {
-        icon,
-        draggable: true,
-        zIndexOffset: 1000
-      })
+      addHandle(icon, cursor, (startBounds, latlng) => {
+        const frame = boxFrame(startBounds)
+        const local = toLocal(frame, latlng)
+        const { halfWidth: w, halfHeight: h } = frame
 
-      setTimeout(() => {
-        const el = marker.getElement()
-        if (el) el.style.cursor = edgeCursors[index]
-      }, 0)
+        // New extent of the box along its own axes
+        let [left, right, top, bottom] = [-w, w, -h, h]
+        if (index === 0) left = local.x // West
+        else if (index === 1) right = local.x // East
+        else if (index === 2) bottom = local.y // South
+        else top = local.y // North
 
-      let dragStartBounds = null
+        const halfWidth = (right - left) / 2
+        const halfHeight = (bottom - top) / 2
+        if (halfWidth < MIN_HALF_SIZE || halfHeight < MIN_HALF_SIZE) return null
 
-      marker.on('dragstart', () => {
-        dragStartBounds = [...currentBoundsRef.current]
-        map.dragging.disable()
+        const shift = rotatePoint(L.point((left + right) / 2, (top + bottom) / 2), rotationRef.current)
+        return frameBounds({ center: frame.center.add(shift), halfWidth, halfHeight })
       })
-
-      marker.on('drag', () => {
-        if (!dragStartBounds) return
-        
-        const draggedPos = marker.getLatLng()
-        
-        let newBounds
-        if (index === 0) { // West
-          newBounds = [
-            [dragStartBounds[0][0], draggedPos.lng],
-            [dragStartBounds[1][0], dragStartBounds[1][1]]
-          ]
-        } else if (index === 1) { // East
-          newBounds = [
-            [dragStartBounds[0][0], dragStartBounds[0][1]],
-            [dragStartBounds[1][0], draggedPos.lng]
-          ]
-        } else if (index === 2) { // South
-          newBounds = [
-            [draggedPos.lat, dragStartBounds[0][1]],
-            [dragStartBounds[1][0], dragStartBounds[1][1]]
-          ]
-        } else { // North
-          newBounds = [
-            [dragStartBounds[0][0], dragStartBounds[0][1]],
-            [draggedPos.lat, dragStartBounds[1][1]]
-          ]
-        }
-        
-        if (newBounds && newBounds[0][0] < newBounds[1][0] && newBounds[0][1] < newBounds[1][1]) {
-          updateOverlayBoundsVisually(newBounds)
-          updateMarkerPositions(newBounds)
-        }
-      })
-
-      marker.on('dragend', () => {
-        map.dragging.enable()
-        if (!dragStartBounds) return
-        
-        const draggedPos = marker.getLatLng()
-        
-        let newBounds
-        if (index === 0) { // West
-          newBounds = [
-            [dragStartBounds[0][0], draggedPos.lng],
-            [dragStartBounds[1][0], dragStartBounds[1][1]]
-          ]
-        } else if (index === 1) { // East
-          newBounds = [
-            [dragStartBounds[0][0], dragStartBounds[0][1]],
-            [dragStartBounds[1][0], draggedPos.lng]
-          ]
-        } else if (index === 2) { // South
-          newBounds = [
-            [draggedPos.lat, dragStartBounds[0][1]],
-            [dragStartBounds[1][0], dragStartBounds[1][1]]
-          ]
-        } else { // North
-          newBounds = [
-            [dragStartBounds[0][0], dragStartBounds[0][1]],
-            [draggedPos.lat, dragStartBounds[1][1]]
-          ]
-        }
-        
-        if (newBounds && newBounds[0][0] < newBounds[1][0] && newBounds[0][1] < newBounds[1][1]) {
-          commitBoundsChange(newBounds)
-        }
-        dragStartBounds = null
-      })
-
-      marker.addTo(groupRef.current)
-      markersRef.current.push(marker)
     })
 
     // Center drag handle (larger and more visible)
-    const center = [centerLat, centerLng]
     const centerIcon = L.divIcon({
       className: 'drag-handle',
       iconSize: [32, 32],
       iconAnchor: [16, 16]
     })
 
-    const centerMarker = L.marker(center, {
-      icon: centerIcon,
+    addHandle(centerIcon, null, (startBounds, latlng) => {
+      const frame = boxFrame(startBounds)
+      return frameBounds({ ...frame, center: map.latLngToLayerPoint(latlng) })
+    })
+
+    // Rotation handle above the top edge: the angle follows the pointer around the center
+    const rotateIcon = L.divIcon({
+      className: 'rotate-handle',
+      iconSize: [22, 22],
+      iconAnchor: [11, 11]
+    })
+
+    const rotateMarker = L.marker([0, 0], {
+      icon: rotateIcon,
       draggable: true,
       zIndexOffset: 1000
     })
 
-    let centerDragStartBounds = null
+    const angleFromPointer = () => {
+      const offset = map.latLngToLayerPoint(rotateMarker.getLatLng()).subtract(boxFrame(currentBoundsRef.current).center)
+      return normalizeAngle(Math.atan2(offset.x, -offset.y) * 180 / Math.PI)
+    }
 
-    centerMarker.on('dragstart', () => {
-      centerDragStartBounds = [...currentBoundsRef.current]
+    rotateMarker.on('dragstart', () => {
       map.dragging.disable()
     })
 
-    centerMarker.on('drag', () => {
-      if (!centerDragStartBounds) return
-      
-      const newCenter = centerMarker.getLatLng()
-      const startHeight = centerDragStartBounds[1][0] - centerDragStartBounds[0][0]
-      const startWidth = centerDragStartBounds[1][1] - centerDragStartBounds[0][1]
-      
-      const newBounds = [
-        [newCenter.lat - startHeight / 2, newCenter.lng - startWidth / 2],
-        [newCenter.lat + startHeight / 2, newCenter.lng + startWidth / 2]
-      ]
-      updateOverlayBoundsVisually(newBounds)
-      updateMarkerPositions(newBounds)
+    rotateMarker.on('drag', () => {
+      rotationRef.current = angleFromPointer()
+      applyBoundsRef.current(currentBoundsRef.current)
     })
 
-    centerMarker.on('dragend', () => {
+    rotateMarker.on('dragend', () => {
       map.dragging.enable()
-      if (!centerDragStartBounds) return
-      
-      const newCenter = centerMarker.getLatLng()
-      const startHeight = centerDragStartBounds[1][0] - centerDragStartBounds[0][0]
-      const startWidth = centerDragStartBounds[1][1] - centerDragStartBounds[0][1]
-      
-      const newBounds = [
-        [newCenter.lat - startHeight / 2, newCenter.lng - startWidth / 2],
-        [newCenter.lat + startHeight / 2, newCenter.lng + startWidth / 2]
-      ]
-      commitBoundsChange(newBounds)
-      centerDragStartBounds = null
+      const angle = angleFromPointer()
+      rotationRef.current = angle
+      applyBoundsRef.current(currentBoundsRef.current)
+      if (onRotationChange) {
+        onRotationChange(Math.round(angle * 10) / 10)
+      }
     })
 
-    centerMarker.addTo(groupRef.current)
-    markersRef.current.push(centerMarker)
+    rotateMarker.addTo(groupRef.current)
+    markersRef.current.push(rotateMarker)
+
+    updateMarkerPositions(bounds)
 
     return () => {
       // Clean up event listeners
       imageOverlay.off('mousedown', onImageMouseDown)
       map.off('mousemove', onMouseMove)
       map.off('mouseup', onMouseUp)
-      
+
       if (overlayRef.current) {
         map.removeLayer(overlayRef.current)
         overlayRef.current = null
@@ -462,8 +397,9 @@ function ResizableImageOverlay({ url, bounds, opacity, aspectRatio, onBoundsChan
         groupRef.current = null
       }
       markersRef.current = []
+      applyBoundsRef.current = null
     }
-  }, [url, map, onBoundsChange, aspectRatio])
+  }, [url, map, onBoundsChange, onRotationChange, aspectRatio])
 
   // Update opacity when it changes
   useEffect(() => {
@@ -0,0 +1,114 @@
+import { useState } from 'react'
+import { ROUTING_PROVIDERS, TRAVEL_PROFILES, SNAP_MODES, findRoutingProvider, supportsMatching } from './routing'
+
+// Collapsible panel for picking the routing engine, server and travel profile
+function RoutingSettings({ settings, onChange }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const provider = findRoutingProvider(settings.provider)
+
+  const update = (changes) => onChange({ ...settings, ...changes })
+
+  const handleProviderChange = (id) => {
+    // Switching engines resets the server to that engine's public default
+    update({ provider: id, baseUrl: findRoutingProvider(id).defaultBaseUrl })
+  }
+
+  return (
+    <div className="text-sm">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="text-indigo-600 font-semibold hover:underline"
+      >
+        ⚙️ Routing: {provider.label} · {TRAVEL_PROFILES.find(p => p.value === settings.profile)?.label} {isOpen ? '▲' : '▼'}
+      </button>
+
+      {isOpen && (
+        <div className="mt-2 flex flex-col gap-2 p-3 bg-gray-100 rounded-lg">
+          <label className="flex flex-col gap-1 text-gray-700">
+            Engine
+            <select
+              value={settings.provider}
+              onChange={(e) => handleProviderChange(e.target.value)}
+              className="px-2 py-1 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+            >
+              {ROUTING_PROVIDERS.map(p => (
+                <option key={p.id} value={p.id}>{p.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex flex-col gap-1 text-gray-700">
+            Server URL
+            <input
+              type="url"
+              value={settings.baseUrl}
+              onChange={(e) => update({ baseUrl: e.target.value })}
+              placeholder={provider.defaultBaseUrl}
+              className="px-2 py-1 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+            />
+          </label>
+
+          <label className="flex flex-col gap-1 text-gray-700">
+            Profile
+            <select
+              value={settings.profile}
+              onChange={(e) => update({ profile: e.target.value })}
+              className="px-2 py-1 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+            >
+              {TRAVEL_PROFILES.map(p => (
+                <option key={p.value} value={p.value}>{p.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex flex-col gap-1 text-gray-700">
+            Trace snapping
+            <select
+              value={settings.snapMode}
+              onChange={(e) => update({ snapMode: e.target.value })}
+              className="px-2 py-1 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+            >
+              {SNAP_MODES.map(mode => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
+            </select>
+          </label>
+
+          {settings.snapMode === 'match' && !supportsMatching(settings) && (
+            <p className="text-xs text-amber-700">
+              {provider.label} map matching isn't supported here, so drawings and traces are routed between waypoints instead.
+            </p>
+          )}
+
+          {provider.needsApiKey && (
+            <label className="flex flex-col gap-1 text-gray-700">
+              API key
+              <input
+                type="password"
+                value={settings.apiKey}
+                onChange={(e) => update({ apiKey: e.target.value })}
+                placeholder="Leave empty for self-hosted servers"
+                className="px-2 py-1 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+              />
+            </label>
+          )}
+
+          {provider.id === 'osrm' && settings.baseUrl === provider.defaultBaseUrl && settings.profile !== 'car' && (
+            <p className="text-xs text-amber-700">
+              The public OSRM demo server only routes for cars. Point the server URL at your own OSRM instance for foot or bike paths.
+            </p>
+          )}
+
+          <button
+            onClick={() => update({ baseUrl: provider.defaultBaseUrl })}
+            className="self-start text-xs text-gray-600 hover:underline"
+          >
+            Reset server URL
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RoutingSettings
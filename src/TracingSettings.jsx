@@ -0,0 +1,143 @@
+import { TRACE_MODES, COLOR_CHANNELS, DEFAULT_TRACING_OPTIONS } from './imageTracing'
+
+// Collapsible panel for the image tracing parameters. While it's open the traced contours
+// are previewed on the map, so changes can be judged before anything is snapped.
+function TracingSettings({ options, isOpen, isTracing, progress, error, onToggle, onChange }) {
+  const update = (changes) => onChange({ ...options, ...changes })
+  const mode = TRACE_MODES.find(m => m.value === options.mode)
+
+  return (
+    <div className="text-sm">
+      <button
+        onClick={onToggle}
+        className="text-indigo-600 font-semibold hover:underline"
+      >
+        ⚙️ Tracing: {mode?.label} {isOpen ? '▲' : '▼'}
+      </button>
+
+      {isOpen && (
+        <div className="mt-2 flex flex-col gap-2 p-3 bg-gray-100 rounded-lg">
+          <label className="flex flex-col gap-1 text-gray-700">
+            Mode
+            <select
+              value={options.mode}
+              onChange={(e) => update({ mode: e.target.value })}
+              className="px-2 py-1 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+            >
+              {TRACE_MODES.map(m => (
+                <option key={m.value} value={m.value}>{m.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex flex-col gap-1 text-gray-700">
+            Colour channel
+            <select
+              value={options.channel}
+              onChange={(e) => update({ channel: e.target.value })}
+              className="px-2 py-1 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-indigo-500"
+            >
+              {COLOR_CHANNELS.map(c => (
+                <option key={c.value} value={c.value}>{c.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex items-center gap-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={options.invert}
+              onChange={(e) => update({ invert: e.target.checked })}
+            />
+            Invert (light lines on a dark background)
+          </label>
+
+          <label className="flex flex-col gap-1 text-gray-700">
+            Resolution: {options.resolution}px
+            <input
+              type="range"
+              min="100"
+              max="1500"
+              step="50"
+              value={options.resolution}
+              onChange={(e) => update({ resolution: parseInt(e.target.value) })}
+            />
+          </label>
+
+          {options.mode === 'centerline' ? (
+            <label className="flex flex-col gap-1 text-gray-700">
+              <span className="flex items-center gap-2">
+                Ink threshold: {options.inkThreshold === null ? 'automatic' : options.inkThreshold}
+                {options.inkThreshold !== null && (
+                  <button onClick={() => update({ inkThreshold: null })} className="text-xs text-gray-600 hover:underline">
+                    Auto
+                  </button>
+                )}
+              </span>
+              <input
+                type="range"
+                min="0"
+                max="255"
+                step="1"
+                value={options.inkThreshold ?? 128}
+                onChange={(e) => update({ inkThreshold: parseInt(e.target.value) })}
+              />
+            </label>
+          ) : (
+            <label className="flex flex-col gap-1 text-gray-700">
+              Edge threshold: strongest {Math.round(options.edgeFraction * 100)}% of edges
+              <input
+                type="range"
+                min="0.02"
+                max="0.5"
+                step="0.01"
+                value={options.edgeFraction}
+                onChange={(e) => update({ edgeFraction: parseFloat(e.target.value) })}
+              />
+            </label>
+          )}
+
+          <label className="flex flex-col gap-1 text-gray-700">
+            Smoothing: {options.smoothing === 0 ? 'off' : `${options.smoothing}px`}
+            <input
+              type="range"
+              min="0"
+              max="5"
+              step="1"
+              value={options.smoothing}
+              onChange={(e) => update({ smoothing: parseInt(e.target.value) })}
+            />
+          </label>
+
+          <label className="flex flex-col gap-1 text-gray-700">
+            Simplification: {(options.simplify * 100).toFixed(1)}% of image size
+            <input
+              type="range"
+              min="0"
+              max="0.02"
+              step="0.001"
+              value={options.simplify}
+              onChange={(e) => update({ simplify: parseFloat(e.target.value) })}
+            />
+          </label>
+
+          <div className="flex items-center justify-between">
+            <span className={`text-xs ${error && !isTracing ? 'text-red-600' : 'text-gray-500'}`}>
+              {isTracing
+                ? `Updating preview...${progress !== null ? ` ${Math.round(progress * 100)}%` : ''}`
+                : error || 'Preview shown on the map'}
+            </span>
+            <button
+              onClick={() => onChange(DEFAULT_TRACING_OPTIONS)}
+              className="text-xs text-gray-600 hover:underline"
+            >
+              Reset to defaults
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TracingSettings
@@ -0,0 +1,246 @@
+// Centerline tracing for line drawings: the strokes are thinned to a one-pixel skeleton,
+// the skeleton becomes a graph of strokes between endpoints and junctions, and each
+// connected drawing is walked as one continuous path. A hand-drawn line turns into a single
+// stroke instead of the doubled loop that outline tracing gives.
+
+import { pixelPathsToContours } from './contours'
+
+// 8-neighbour offsets, clockwise from north (the P2..P9 order of Zhang-Suen)
+const NEIGHBOURS = [[0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1]]
+// Branches shorter than this fraction of the image's larger side that stick out of a
+// junction are thinning artefacts
+const SPUR_FRACTION = 0.03
+
+// Otsu's method: the grey level that best splits the histogram into two classes
+export function otsuThreshold(grayscale) {
+  const histogram = new Array(256).fill(0)
+  grayscale.forEach(value => histogram[value]++)
+
+  const total = grayscale.length
+  const sum = histogram.reduce((acc, count, value) => acc + count * value, 0)
+  let backgroundSum = 0
+  let backgroundCount = 0
+  let best = { threshold: 127, variance: -1 }
+
+  for (let t = 0; t < 256; t++) {
+    backgroundCount += histogram[t]
+    if (backgroundCount === 0) continue
+    const foregroundCount = total - backgroundCount
+    if (foregroundCount === 0) break
+
+    backgroundSum += t * histogram[t]
+    const backgroundMean = backgroundSum / backgroundCount
+    const foregroundMean = (sum - backgroundSum) / foregroundCount
+    const variance = backgroundCount * foregroundCount * (backgroundMean - foregroundMean) ** 2
+    if (variance > best.variance) best = { threshold: t, variance }
+  }
+  return best.threshold
+}
+
+// Foreground (stroke) mask of a grayscale image: pixels at or below the threshold (Otsu's by
+// default). Strokes are assumed to cover less of the image than the background, so a light
+// drawing on a dark background is inverted automatically.
+export function strokeMask(grayscale, threshold = otsuThreshold(grayscale)) {
+  const mask = new Uint8Array(grayscale.length)
+  let count = 0
+  for (let i = 0; i < mask.length; i++) {
+    mask[i] = grayscale[i] <= threshold ? 1 : 0
+    count += mask[i]
+  }
+  if (count > mask.length / 2) {
+    for (let i = 0; i < mask.length; i++) mask[i] = 1 - mask[i]
+  }
+  return mask
+}
+
+// Zhang-Suen thinning. Returns a new mask with every stroke reduced to one pixel wide.
+export function thin(mask, width, height) {
+  const skeleton = Uint8Array.from(mask)
+  const at = (x, y) => (x >= 0 && x < width && y >= 0 && y < height ? skeleton[y * width + x] : 0)
+  let changed = true
+
+  while (changed) {
+    changed = false
+    for (let pass = 0; pass < 2; pass++) {
+      const removals = []
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          if (!skeleton[y * width + x]) continue
+          const p = NEIGHBOURS.map(([dx, dy]) => at(x + dx, y + dy))
+          const neighbours = p.reduce((a, b) => a + b, 0)
+          if (neighbours < 2 || neighbours > 6) continue
+          // Number of 0 -> 1 transitions around the pixel
+          let transitions = 0
+          for (let i = 0; i < 8; i++) {
+            if (!p[i] && p[(i + 1) % 8]) transitions++
+          }
+          if (transitions !== 1) continue
+          // P2, P4, P6 / P4, P6, P8 on the first pass; P2, P4, P8 / P2, P6, P8 on the second
+          if (pass === 0 ? (p[0] && p[2] && p[4]) || (p[2] && p[4] && p[6]) : (p[0] && p[2] && p[6]) || (p[0] && p[4] && p[6])) continue
+          removals.push(y * width + x)
+        }
+      }
+      removals.forEach(index => { skeleton[index] = 0 })
+      if (removals.length > 0) changed = true
+    }
+  }
+
+  // Thinning leaves staircase corners where a pixel touches both neighbours of a diagonal
+  // step; they would read as junctions. Remove them one at a time so the line stays connected.
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!skeleton[y * width + x]) continue
+      const [n, ne, e, se, s, sw, w, nw] = NEIGHBOURS.map(([dx, dy]) => at(x + dx, y + dy))
+      if ((n && e && !s && !w && !sw) || (e && s && !n && !w && !nw) ||
+        (s && w && !n && !e && !ne) || (w && n && !s && !e && !se)) {
+        skeleton[y * width + x] = 0
+      }
+    }
+  }
+  return skeleton
+}
+
+// Split a skeleton into a graph. Pixels with other than two neighbours are nodes (touching
+// junction pixels merge into one node); the pixel runs between them are edges. Loops with
+// no node at all become a single edge from a node to itself.
+const skeletonGraph = (skeleton, width, height) => {
+  const neighboursOf = (index) => {
+    const x = index % width
+    const y = (index - x) / width
+    const result = []
+    NEIGHBOURS.forEach(([dx, dy]) => {
+      const nx = x + dx
+      const ny = y + dy
+      if (nx >= 0 && nx < width && ny >= 0 && ny < height && skeleton[ny * width + nx]) result.push(ny * width + nx)
+    })
+    return result
+  }
+  const toPoint = (index) => [index % width, Math.floor(index / width)]
+
+  // Group node pixels
+  const nodeOf = new Int32Array(skeleton.length).fill(-1)
+  const nodes = []
+  for (let i = 0; i < skeleton.length; i++) {
+    if (!skeleton[i] || nodeOf[i] !== -1 || neighboursOf(i).length === 2) continue
+    const id = nodes.length
+    const pixels = [i]
+    nodeOf[i] = id
+    for (let k = 0; k < pixels.length; k++) {
+      neighboursOf(pixels[k]).forEach(next => {
+        if (nodeOf[next] === -1 && neighboursOf(next).length > 2 && neighboursOf(pixels[k]).length > 2) {
+          nodeOf[next] = id
+          pixels.push(next)
+        }
+      })
+    }
+    nodes.push({ pixel: pixels[0], edges: [] })
+  }
+
+  const edges = []
+  const visited = new Uint8Array(skeleton.length)
+  const addEdge = (from, to, pixels) => {
+    const edge = { id: edges.length, from, to, points: pixels.map(toPoint) }
+    edges.push(edge)
+    nodes[from].edges.push(edge)
+    if (to !== from) nodes[to].edges.push(edge)
+  }
+
+  // Follow a run of two-neighbour pixels from `start` until it reaches a node pixel
+  const follow = (previous, start) => {
+    const pixels = [previous, start]
+    visited[start] = 1
+    let current = start
+    for (;;) {
+      const next = neighboursOf(current).find(n => n !== previous && (nodeOf[n] !== -1 || !visited[n]))
+      if (next === undefined) return { pixels, end: null }
+      pixels.push(next)
+      if (nodeOf[next] !== -1) return { pixels, end: nodeOf[next] }
+      visited[next] = 1
+      previous = current
+      current = next
+    }
+  }
+
+  for (let i = 0; i < skeleton.length; i++) {
+    if (nodeOf[i] === -1) continue
+    neighboursOf(i).forEach(next => {
+      if (nodeOf[next] !== -1) {
+        // Two different nodes touching directly
+        if (nodeOf[next] !== nodeOf[i] && i < next) addEdge(nodeOf[i], nodeOf[next], [i, next])
+      } else if (!visited[next]) {
+        const { pixels, end } = follow(i, next)
+        if (end !== null) addEdge(nodeOf[i], end, pixels)
+      }
+    })
+  }
+
+  // Closed loops without any node
+  for (let i = 0; i < skeleton.length; i++) {
+    if (!skeleton[i] || visited[i] || nodeOf[i] !== -1) continue
+    const id = nodes.length
+    nodes.push({ pixel: i, edges: [] })
+    nodeOf[i] = id
+    visited[i] = 1
+    const { pixels } = follow(i, neighboursOf(i)[0])
+    addEdge(id, id, [...pixels, i])
+  }
+
+  return { nodes, edges }
+}
+
+// Walk every edge of one connected part of the graph as a single path, doubling back out
+// of dead ends. Shorter branches are walked first so the walk can finish down the longest
+// one without returning.
+const walkGraph = (nodes, start, used) => {
+  const steps = []
+  const visit = (nodeId) => {
+    const edges = [...nodes[nodeId].edges].sort((a, b) => a.points.length - b.points.length)
+    edges.forEach(edge => {
+      if (used.has(edge.id)) return
+      used.add(edge.id)
+      const forward = edge.from === nodeId ? edge.points : [...edge.points].reverse()
+      const other = edge.from === nodeId ? edge.to : edge.from
+      steps.push({ points: forward, back: false })
+      visit(other)
+      if (other !== nodeId) steps.push({ points: [...forward].reverse(), back: true })
+    })
+  }
+  visit(start)
+
+  while (steps.length > 0 && steps[steps.length - 1].back) steps.pop()
+  const path = []
+  steps.forEach(step => path.push(...(path.length > 0 ? step.points.slice(1) : step.points)))
+
+  // A walk ending within the same junction it began at is a loop; close it exactly
+  const [first, last] = [path[0], path[path.length - 1]]
+  const gap = Math.max(Math.abs(first[0] - last[0]), Math.abs(first[1] - last[1]))
+  if (path.length > 4 && gap > 0 && gap <= 2) path.push(first)
+  return path
+}
+
+// Centerline contours of the strokes in a mask. Returns { points, closed, inner } contours
+// like traceContours, one per connected drawing.
+export function traceCenterlines(mask, width, height) {
+  const skeleton = thin(mask, width, height)
+  const { nodes, edges } = skeletonGraph(skeleton, width, height)
+
+  // Prune short spurs hanging off junctions
+  const spurLength = Math.max(width, height) * SPUR_FRACTION
+  const degree = (nodeId) => nodes[nodeId].edges.length
+  const spurs = new Set(edges
+    .filter(edge => edge.points.length < spurLength && edge.from !== edge.to &&
+      ((degree(edge.from) === 1 && degree(edge.to) > 2) || (degree(edge.to) === 1 && degree(edge.from) > 2)))
+    .map(edge => edge.id))
+  nodes.forEach(node => { node.edges = node.edges.filter(edge => !spurs.has(edge.id)) })
+
+  // Start each walk at a loose end when there is one, so open strokes run end to end
+  const used = new Set()
+  const order = nodes.map((_, id) => id).sort((a, b) => (degree(a) === 1 ? 0 : 1) - (degree(b) === 1 ? 0 : 1))
+  const paths = []
+  order.forEach(id => {
+    if (nodes[id].edges.every(edge => used.has(edge.id))) return
+    paths.push(walkGraph(nodes, id, used))
+  })
+
+  return pixelPathsToContours(paths, width, height)
+}
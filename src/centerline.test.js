@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest'
+import { otsuThreshold, strokeMask, thin, traceCenterlines } from './centerline'
+
+const SIZE = 40
+
+// Mask of the pixels for which `inside(x, y)` holds
+const maskOf = (inside) => {
+  const mask = new Uint8Array(SIZE * SIZE)
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) mask[y * SIZE + x] = inside(x, y) ? 1 : 0
+  }
+  return mask
+}
+
+const inRect = (x, y, [x0, y0, x1, y1]) => x >= x0 && x <= x1 && y >= y0 && y <= y1
+
+// Strokes five pixels wide
+const bar = maskOf((x, y) => inRect(x, y, [5, 18, 34, 22]))
+const ring = maskOf((x, y) => {
+  const r = Math.hypot(x - 19.5, y - 19.5)
+  return r >= 10 && r <= 14
+})
+const plus = maskOf((x, y) => inRect(x, y, [5, 18, 34, 22]) || inRect(x, y, [18, 5, 22, 34]))
+
+const toPixels = (points) => points.map(([x, y]) => [Math.round(x * SIZE), Math.round(y * SIZE)])
+
+// Pixels of a mask with how many 8-neighbours each has
+const neighbourCounts = (mask) => {
+  const counts = []
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      if (!mask[y * SIZE + x]) continue
+      let count = 0
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if ((dx || dy) && mask[(y + dy) * SIZE + x + dx]) count++
+        }
+      }
+      counts.push(count)
+    }
+  }
+  return counts
+}
+
+describe('otsuThreshold', () => {
+  it('splits a two-tone image between its tones', () => {
+    const grayscale = new Uint8Array(100).map((_, i) => (i < 30 ? 20 : 220))
+    const threshold = otsuThreshold(grayscale)
+    expect(threshold).toBeGreaterThanOrEqual(20)
+    expect(threshold).toBeLessThan(220)
+  })
+
+  it('separates dark ink from light paper with some noise', () => {
+    const grayscale = new Uint8Array(200).map((_, i) => (i % 4 === 0 ? 40 + (i % 7) : 200 + (i % 11)))
+    const threshold = otsuThreshold(grayscale)
+    expect(threshold).toBeGreaterThanOrEqual(46)
+    expect(threshold).toBeLessThan(200)
+  })
+})
+
+describe('strokeMask', () => {
+  it('marks dark strokes on light paper', () => {
+    expect(Array.from(strokeMask(Uint8Array.from([0, 255, 255, 255])))).toEqual([1, 0, 0, 0])
+  })
+
+  it('inverts light strokes on a dark background', () => {
+    expect(Array.from(strokeMask(Uint8Array.from([255, 0, 0, 0])))).toEqual([1, 0, 0, 0])
+  })
+
+  it('uses a given threshold', () => {
+    expect(Array.from(strokeMask(Uint8Array.from([10, 100, 200, 250]), 100))).toEqual([1, 1, 0, 0])
+  })
+})
+
+describe('thin', () => {
+  it('reduces a thick bar to a one-pixel line', () => {
+    const skeleton = thin(bar, SIZE, SIZE)
+    const counts = neighbourCounts(skeleton)
+    expect(counts.length).toBeGreaterThan(20)
+    // Two ends, everything else has exactly two neighbours
+    expect(counts.filter(count => count === 1)).toHaveLength(2)
+    expect(counts.filter(count => count !== 1).every(count => count === 2)).toBe(true)
+  })
+
+  it('keeps a ring as a closed one-pixel loop', () => {
+    const counts = neighbourCounts(thin(ring, SIZE, SIZE))
+    expect(counts.length).toBeGreaterThan(40)
+    expect(counts.every(count => count === 2)).toBe(true)
+  })
+
+  it('leaves the input mask untouched', () => {
+    const copy = Uint8Array.from(bar)
+    thin(bar, SIZE, SIZE)
+    expect(bar).toEqual(copy)
+  })
+})
+
+describe('traceCenterlines', () => {
+  it('turns a thick bar into one open path along its middle', () => {
+    const contours = traceCenterlines(bar, SIZE, SIZE)
+    expect(contours).toHaveLength(1)
+    expect(contours[0].closed).toBe(false)
+
+    const pixels = toPixels(contours[0].points)
+    pixels.forEach(([, y]) => expect(Math.abs(y - 20)).toBeLessThanOrEqual(1))
+    const xs = pixels.map(([x]) => x)
+    expect(Math.max(...xs) - Math.min(...xs)).toBeGreaterThan(20)
+  })
+
+  it('turns a ring into one closed path', () => {
+    const contours = traceCenterlines(ring, SIZE, SIZE)
+    expect(contours).toHaveLength(1)
+    expect(contours[0].closed).toBe(true)
+    toPixels(contours[0].points).forEach(([x, y]) => {
+      const r = Math.hypot(x - 19.5, y - 19.5)
+      expect(r).toBeGreaterThan(9)
+      expect(r).toBeLessThan(15)
+    })
+  })
+
+  it('walks all four arms of a plus sign as one path', () => {
+    const contours = traceCenterlines(plus, SIZE, SIZE)
+    expect(contours).toHaveLength(1)
+
+    const pixels = toPixels(contours[0].points)
+    const reaches = (test) => pixels.some(test)
+    expect(reaches(([x]) => x <= 10)).toBe(true)
+    expect(reaches(([x]) => x >= 29)).toBe(true)
+    expect(reaches(([, y]) => y <= 10)).toBe(true)
+    expect(reaches(([, y]) => y >= 29)).toBe(true)
+  })
+
+  it('finds nothing in an empty mask', () => {
+    expect(traceCenterlines(new Uint8Array(SIZE * SIZE), SIZE, SIZE)).toEqual([])
+  })
+})
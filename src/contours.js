@@ -0,0 +1,187 @@
+// Multi-contour tracing: every connected group of edge pixels becomes its own closed
+// outline, so holes (the inside of an "A") and separate pieces of a logo are all found.
+// Contours are then ordered and joined into one runnable path with short connections.
+// Plain functions on typed arrays, no DOM.
+
+// 8-neighbour offsets in clockwise order (image y points down), starting west
+const NEIGHBOURS = [[-1, 0], [-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1]]
+// Contours shorter than this many pixels, or this fraction of the longest, are noise
+const MIN_CONTOUR_PIXELS = 12
+const MIN_CONTOUR_FRACTION = 0.05
+
+const directionOf = (dx, dy) => NEIGHBOURS.findIndex(([nx, ny]) => nx === dx && ny === dy)
+
+// Label 8-connected groups of foreground pixels. Returns the label per pixel (0 = background)
+// and each group's first pixel in raster order, which always has background to its west.
+const labelComponents = (mask, width, height) => {
+  const labels = new Int32Array(width * height)
+  const seeds = []
+  const stack = []
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue
+    const label = seeds.length + 1
+    seeds.push(start)
+    labels[start] = label
+    stack.push(start)
+
+    while (stack.length > 0) {
+      const index = stack.pop()
+      const x = index % width
+      const y = (index - x) / width
+      NEIGHBOURS.forEach(([dx, dy]) => {
+        const nx = x + dx
+        const ny = y + dy
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) return
+        const next = ny * width + nx
+        if (mask[next] && !labels[next]) {
+          labels[next] = label
+          stack.push(next)
+        }
+      })
+    }
+  }
+  return { labels, seeds }
+}
+
+// Moore-neighbour boundary trace of one component, starting from its seed pixel.
+// Returns the boundary as [x, y] pixels, closed by repeating the first one.
+const traceBoundary = (labels, label, seed, width, height) => {
+  const isInside = (x, y) => x >= 0 && x < width && y >= 0 && y < height && labels[y * width + x] === label
+  const startX = seed % width
+  const startY = (seed - startX) / width
+  const boundary = [[startX, startY]]
+
+  let x = startX
+  let y = startY
+  let backtrack = 0 // Direction of the last background pixel checked (west of the seed)
+  let firstMove = null
+  const maxSteps = width * height * 4
+
+  for (let step = 0; step < maxSteps; step++) {
+    // Search clockwise from the backtrack for the next boundary pixel
+    let move = -1
+    for (let k = 1; k <= 8; k++) {
+      const dir = (backtrack + k) % 8
+      if (isInside(x + NEIGHBOURS[dir][0], y + NEIGHBOURS[dir][1])) {
+        move = dir
+        break
+      }
+    }
+    if (move === -1) break // Isolated pixel
+
+    // Stop once we leave the start pixel the same way as the first time
+    if (x === startX && y === startY) {
+      if (firstMove === move) break
+      if (firstMove === null) firstMove = move
+    }
+
+    // The neighbour checked just before the move becomes the backtrack, seen from the new pixel
+    const [bx, by] = NEIGHBOURS[(move + 7) % 8]
+    const [mx, my] = NEIGHBOURS[move]
+    x += mx
+    y += my
+    backtrack = directionOf(bx - mx, by - my)
+    boundary.push([x, y])
+  }
+
+  const last = boundary[boundary.length - 1]
+  if (last[0] !== startX || last[1] !== startY) boundary.push([startX, startY])
+  return boundary
+}
+
+// Ray-casting point in polygon test
+const pointInPolygon = ([px, py], polygon) => {
+  let inside = false
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i]
+    const [xj, yj] = polygon[j]
+    if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) inside = !inside
+  }
+  return inside
+}
+
+// Flag contours that lie inside another closed contour (holes and nested pieces)
+export function markInnerContours(contours) {
+  return contours.map((contour, i) => ({
+    ...contour,
+    inner: contours.some((other, j) => j !== i && other.closed && pointInPolygon(contour.points[0], other.points))
+  }))
+}
+
+// Turn traced pixel paths into contours: drop the insignificant ones, normalize points to
+// 0-1 (y down) and sort longest first. A path is closed when it ends where it started.
+export function pixelPathsToContours(paths, width, height) {
+  const sorted = [...paths].sort((a, b) => b.length - a.length)
+  if (sorted.length === 0) return []
+
+  const minLength = Math.max(MIN_CONTOUR_PIXELS, sorted[0].length * MIN_CONTOUR_FRACTION)
+  const contours = sorted
+    .filter(path => path.length >= minLength)
+    .map(path => {
+      const first = path[0]
+      const last = path[path.length - 1]
+      return {
+        points: path.map(([x, y]) => [x / width, y / height]),
+        closed: first[0] === last[0] && first[1] === last[1]
+      }
+    })
+  return markInnerContours(contours)
+}
+
+// Extract every significant contour from an edge-strength map. Returns a list of
+// { points, closed, inner } with points normalized to 0-1 (y down), longest first.
+export function traceContours(edges, width, height, threshold) {
+  const mask = new Uint8Array(width * height)
+  for (let i = 0; i < mask.length; i++) {
+    mask[i] = edges[i] > threshold ? 1 : 0
+  }
+
+  const { labels, seeds } = labelComponents(mask, width, height)
+  const boundaries = seeds.map((seed, i) => traceBoundary(labels, i + 1, seed, width, height))
+  return pixelPathsToContours(boundaries, width, height)
+}
+
+const squaredDistance = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2
+
+// A closed contour (first point repeated at the end) re-started at `index`
+const rotateClosed = (points, index) => {
+  const loop = points.slice(0, -1)
+  const rotated = [...loop.slice(index), ...loop.slice(0, index)]
+  return [...rotated, rotated[0]]
+}
+
+// Join contours into one path. Starting with the longest contour, repeatedly jump to the
+// nearest point of any remaining contour: closed contours can be entered anywhere (and end
+// where they started), open ones at either end. A greedy heuristic, but it keeps the
+// straight connecting sections short.
+export function orderContours(contours) {
+  if (contours.length === 0) return []
+
+  const remaining = [...contours].sort((a, b) => b.points.length - a.points.length)
+  const path = [...remaining.shift().points]
+
+  while (remaining.length > 0) {
+    const position = path[path.length - 1]
+    let best = null
+
+    remaining.forEach((contour, contourIndex) => {
+      const { points, closed } = contour
+      const candidates = closed
+        ? points.slice(0, -1).map((_, i) => i)
+        : [0, points.length - 1]
+      candidates.forEach(pointIndex => {
+        const distance = squaredDistance(position, points[pointIndex])
+        if (!best || distance < best.distance) best = { contourIndex, pointIndex, distance }
+      })
+    })
+
+    const [{ points, closed }] = remaining.splice(best.contourIndex, 1)
+    if (closed) {
+      path.push(...rotateClosed(points, best.pointIndex))
+    } else {
+      path.push(...(best.pointIndex === 0 ? points : [...points].reverse()))
+    }
+  }
+  return path
+}
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest'
+import { traceContours, markInnerContours, orderContours } from './contours'
+import { detectEdges } from './imageTracing'
+
+const SIZE = 40
+
+// Edge-strength map of a white image with dark filled rectangles ([x0, y0, x1, y1],
+// inclusive) and white holes cut out of them, as the outline tracer sees it
+const edgesOf = (shapes, holes = []) => {
+  const grayscale = new Uint8Array(SIZE * SIZE).fill(255)
+  const paint = ([x0, y0, x1, y1], value) => {
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) grayscale[y * SIZE + x] = value
+    }
+  }
+  shapes.forEach(rect => paint(rect, 0))
+  holes.forEach(rect => paint(rect, 255))
+  return detectEdges(grayscale, SIZE, SIZE)
+}
+
+// Edge-strength map that is strong exactly on the given pixels
+const maskOf = (pixels) => {
+  const edges = new Float32Array(SIZE * SIZE)
+  pixels.forEach(([x, y]) => { edges[y * SIZE + x] = 255 })
+  return edges
+}
+
+const block = (x0, y0, x1, y1) => {
+  const pixels = []
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) pixels.push([x, y])
+  }
+  return pixels
+}
+
+const toPixels = (points) => points.map(([x, y]) => [Math.round(x * SIZE), Math.round(y * SIZE)])
+
+describe('traceContours', () => {
+  it('follows the boundary of a solid block once, clockwise and closed', () => {
+    const [contour, ...rest] = traceContours(maskOf(block(10, 10, 15, 15)), SIZE, SIZE, 100)
+    expect(rest).toEqual([])
+    expect(contour.closed).toBe(true)
+
+    const pixels = toPixels(contour.points)
+    // 20 border pixels plus the start repeated at the end
+    expect(pixels).toHaveLength(21)
+    expect(pixels[0]).toEqual([10, 10])
+    expect(pixels[1]).toEqual([11, 10])
+    expect(pixels[pixels.length - 1]).toEqual([10, 10])
+    pixels.forEach(([x, y]) => expect(x === 10 || x === 15 || y === 10 || y === 15).toBe(true))
+    expect(new Set(pixels.map(p => p.join())).size).toBe(20)
+  })
+
+  it('finds the outside and the hole of a ring as separate contours', () => {
+    const contours = traceContours(edgesOf([[6, 6, 33, 33]], [[16, 16, 23, 23]]), SIZE, SIZE, 100)
+    expect(contours).toHaveLength(2)
+
+    const [outer, inner] = contours
+    expect(outer.closed).toBe(true)
+    expect(inner.closed).toBe(true)
+    expect(outer.inner).toBe(false)
+    expect(inner.inner).toBe(true)
+    expect(outer.points.length).toBeGreaterThan(inner.points.length)
+    toPixels(inner.points).forEach(([x, y]) => {
+      expect(x).toBeGreaterThanOrEqual(14)
+      expect(x).toBeLessThanOrEqual(25)
+      expect(y).toBeGreaterThanOrEqual(14)
+      expect(y).toBeLessThanOrEqual(25)
+    })
+  })
+
+  it('finds each disconnected piece, longest first', () => {
+    const contours = traceContours(edgesOf([[3, 3, 12, 12], [22, 22, 35, 35]]), SIZE, SIZE, 100)
+    expect(contours).toHaveLength(2)
+    expect(contours.every(contour => contour.closed && !contour.inner)).toBe(true)
+    expect(toPixels(contours[0].points).every(([x]) => x >= 20)).toBe(true)
+    expect(toPixels(contours[1].points).every(([x]) => x <= 14)).toBe(true)
+  })
+
+  it('drops specks too small to be part of the design', () => {
+    const contours = traceContours(maskOf([...block(5, 5, 20, 20), ...block(30, 30, 31, 31)]), SIZE, SIZE, 100)
+    expect(contours).toHaveLength(1)
+  })
+
+  it('finds nothing in an empty image', () => {
+    expect(traceContours(new Float32Array(SIZE * SIZE), SIZE, SIZE, 100)).toEqual([])
+  })
+})
+
+describe('markInnerContours', () => {
+  const square = (min, max) => [[min, min], [max, min], [max, max], [min, max], [min, min]]
+
+  it('flags contours inside a closed contour', () => {
+    const marked = markInnerContours([
+      { points: square(0, 1), closed: true },
+      { points: square(0.4, 0.6), closed: true },
+      { points: square(2, 3), closed: true }
+    ])
+    expect(marked.map(contour => contour.inner)).toEqual([false, true, false])
+  })
+
+  it('does not treat open contours as enclosing', () => {
+    const marked = markInnerContours([
+      { points: square(0, 1), closed: false },
+      { points: square(0.4, 0.6), closed: true }
+    ])
+    expect(marked.map(contour => contour.inner)).toEqual([false, false])
+  })
+})
+
+describe('orderContours', () => {
+  it('joins two pieces, starting with the longest and jumping to the nearest point', () => {
+    const big = { points: [[0, 0], [0.2, 0], [0.4, 0], [0.4, 0.4], [0, 0.4], [0, 0]], closed: true }
+    const small = { points: [[0.6, 0.6], [0.8, 0.6], [0.8, 0.8], [0.6, 0.8], [0.6, 0.6]], closed: true }
+
+    const path = orderContours([small, big])
+
+    expect(path.slice(0, 6)).toEqual(big.points)
+    // The closed piece is entered at its corner nearest the end of the first
+    expect(path.slice(6)).toEqual([[0.6, 0.6], [0.8, 0.6], [0.8, 0.8], [0.6, 0.8], [0.6, 0.6]])
+  })
+
+  it('re-starts a closed contour at the point nearest the path', () => {
+    const first = { points: [[0, 0], [0.2, 0], [0.4, 0], [0.6, 0], [0.8, 0.2], [0.9, 0.75]], closed: false }
+    const loop = { points: [[0.6, 0.5], [0.8, 0.5], [1, 0.8], [0.6, 0.8], [0.6, 0.5]], closed: true }
+
+    expect(orderContours([first, loop]).slice(6)).toEqual([[1, 0.8], [0.6, 0.8], [0.6, 0.5], [0.8, 0.5], [1, 0.8]])
+  })
+
+  it('walks an open contour from whichever end is closer', () => {
+    const first = { points: [[0, 0], [0.2, 0], [0.4, 0], [0.5, 0]], closed: false }
+    const second = { points: [[1, 0], [0.6, 0]], closed: false }
+
+    expect(orderContours([first, second])).toEqual([[0, 0], [0.2, 0], [0.4, 0], [0.5, 0], [0.6, 0], [1, 0]])
+  })
+
+  it('is empty without contours', () => {
+    expect(orderContours([])).toEqual([])
+  })
+})
@@ -0,0 +1,45 @@
+import { fetchJSON } from '../routing/http'
+import { sampleGrid } from './grid'
+
+// Fixture provider: elevations from a JSON grid file, for working offline and for
+// reproducible profiles. The file looks like
+//   { "bounds": [[south, west], [north, east]], "elevations": [[...north row...], ..., [...south row...]] }
+// with elevations in meters. Points outside the bounds have no elevation.
+
+const grids = new Map()
+
+const loadGrid = async (url) => {
+  if (!grids.has(url)) {
+    const grid = fetchJSON(url).then(({ bounds, elevations }) => {
+      if (!bounds || !Array.isArray(elevations) || elevations.length < 2 || !(elevations[0]?.length >= 2)) {
+        throw new Error('Elevation fixture needs bounds and a grid of at least 2 × 2 elevations')
+      }
+      return { bounds, height: elevations.length, width: elevations[0].length, values: elevations.flat() }
+    })
+    grid.catch(() => grids.delete(url))
+    grids.set(url, grid)
+  }
+  return grids.get(url)
+}
+
+export const elevationFixture = {
+  id: 'fixture',
+  label: 'Fixture file (offline)',
+  // A synthetic grid around San Francisco ships with the app
+  defaultBaseUrl: `${import.meta.env.BASE_URL}elevation-fixture.json`,
+  urlLabel: 'Fixture URL',
+  maxLocations: Infinity,
+  publicMinIntervalMs: 0,
+
+  async lookup(points, { baseUrl }) {
+    const { bounds, width, height, values } = await loadGrid(baseUrl)
+    const [[south, west], [north, east]] = bounds
+    return points.map(([lat, lng]) => sampleGrid(
+      values,
+      width,
+      height,
+      (lng - west) / (east - west) * (width - 1),
+      (north - lat) / (north - south) * (height - 1)
+    ))
+  }
+}
@@ -0,0 +1,18 @@
+// Bilinear sampling of a row-major elevation grid (row 0 at the top). `x` and `y` are
+// fractional column and row positions; returns null outside the grid or on missing cells.
+export function sampleGrid(values, width, height, x, y) {
+  if (x < 0 || y < 0 || x > width - 1 || y > height - 1) return null
+  const x0 = Math.floor(x)
+  const y0 = Math.floor(y)
+  const x1 = Math.min(x0 + 1, width - 1)
+  const y1 = Math.min(y0 + 1, height - 1)
+  const fx = x - x0
+  const fy = y - y0
+
+  const corners = [values[y0 * width + x0], values[y0 * width + x1], values[y1 * width + x0], values[y1 * width + x1]]
+  if (corners.some(value => value === null || value === undefined || isNaN(value))) return null
+  const [topLeft, topRight, bottomLeft, bottomRight] = corners
+  const top = topLeft + (topRight - topLeft) * fx
+  const bottom = bottomLeft + (bottomRight - bottomLeft) * fx
+  return top + (bottom - top) * fy
+}
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest'
+import { sampleGrid } from './grid'
+
+// 3 × 3 grid, row 0 at the top, with the bottom right cell missing
+const values = [
+  10, 20, 30,
+  40, 50, 60,
+  70, 80, null
+]
+
+describe('sampleGrid', () => {
+  it('returns cell values at whole positions', () => {
+    expect(sampleGrid(values, 3, 3, 0, 0)).toBe(10)
+    expect(sampleGrid(values, 3, 3, 1, 0)).toBe(20)
+    expect(sampleGrid(values, 3, 3, 2, 0)).toBe(30)
+    expect(sampleGrid(values, 3, 3, 0, 2)).toBe(70)
+  })
+
+  it('interpolates bilinearly between cells', () => {
+    expect(sampleGrid(values, 3, 3, 0.5, 0)).toBe(15)
+    expect(sampleGrid(values, 3, 3, 0, 0.5)).toBe(25)
+    expect(sampleGrid(values, 3, 3, 0.5, 0.5)).toBe(30)
+    expect(sampleGrid(values, 3, 3, 0.25, 0.75)).toBeCloseTo(35, 9)
+  })
+
+  it('has no value outside the grid', () => {
+    expect(sampleGrid(values, 3, 3, -0.1, 0)).toBeNull()
+    expect(sampleGrid(values, 3, 3, 0, 2.1)).toBeNull()
+    expect(sampleGrid(values, 3, 3, 2.01, 0)).toBeNull()
+  })
+
+  it('has no value next to a missing cell', () => {
+    expect(sampleGrid(values, 3, 3, 1.5, 1.5)).toBeNull()
+    expect(sampleGrid(values, 3, 3, 2, 2)).toBeNull()
+  })
+})
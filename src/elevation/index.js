@@ -0,0 +1,146 @@
+import { openTopoData } from './openTopoData'
+import { terrainTiles } from './terrainTiles'
+import { elevationFixture } from './fixture'
+import { cumulativeDistances, METERS_PER_MILE } from '../geo'
+import { createRequestQueue } from '../routing/queue'
+
+// Sources of ground elevation for the route profile. Each provider's `lookup(points, { baseUrl })`
+// resolves with one elevation in meters (or null when unknown) per [lat, lng] point.
+export const ELEVATION_PROVIDERS = [openTopoData, terrainTiles, elevationFixture]
+
+export const DEFAULT_ELEVATION_SETTINGS = {
+  provider: 'opentopodata',
+  baseUrl: openTopoData.defaultBaseUrl
+}
+
+// The profile has at most this many samples, spaced no closer than the minimum
+const MAX_SAMPLES = 300
+const MIN_SAMPLE_SPACING_METERS = 20
+
+// Rises and drops smaller than this are DEM noise and don't count towards ascent/descent
+const CLIMB_THRESHOLD_METERS = 3
+
+// Grades are measured over at least this horizontal distance so one noisy sample can't spike them
+const GRADE_WINDOW_METERS = 100
+
+export const findElevationProvider = (id) =>
+  ELEVATION_PROVIDERS.find(provider => provider.id === id) || ELEVATION_PROVIDERS[0]
+
+// One queue per server, rate limited like the routing servers
+const queues = new Map()
+const queueFor = (provider, baseUrl) => {
+  const key = `${provider.id}|${baseUrl}`
+  if (!queues.has(key)) {
+    const isPublic = baseUrl === provider.defaultBaseUrl
+    queues.set(key, createRequestQueue({
+      concurrency: 2,
+      minIntervalMs: isPublic ? provider.publicMinIntervalMs : 0
+    }))
+  }
+  return queues.get(key)
+}
+
+// Points evenly spaced along the route, each with its distance along it in miles
+const sampleRoute = (points) => {
+  const distances = cumulativeDistances(points)
+  const totalMiles = distances[distances.length - 1]
+  const spacing = Math.max(totalMiles / (MAX_SAMPLES - 1), MIN_SAMPLE_SPACING_METERS / METERS_PER_MILE)
+  const count = Math.max(2, Math.floor(totalMiles / spacing) + 1)
+
+  const samples = []
+  let segment = 1
+  for (let i = 0; i < count; i++) {
+    const miles = i === count - 1 ? totalMiles : i * spacing
+    while (segment < points.length - 1 && distances[segment] < miles) segment++
+    const start = distances[segment - 1]
+    const length = distances[segment] - start
+    const t = length > 0 ? (miles - start) / length : 0
+    const [lat1, lng1] = points[segment - 1]
+    const [lat2, lng2] = points[segment]
+    samples.push({ point: [lat1 + (lat2 - lat1) * t, lng1 + (lng2 - lng1) * t], miles })
+  }
+  return samples
+}
+
+// Total ascent and descent, steepest climb and descent grades (as fractions) and the
+// elevation range of a profile's samples
+export function elevationStats(samples) {
+  let ascent = 0
+  let descent = 0
+  let reference = samples[0].elevation
+  samples.forEach(({ elevation }) => {
+    const change = elevation - reference
+    if (Math.abs(change) < CLIMB_THRESHOLD_METERS) return
+    if (change > 0) ascent += change
+    else descent -= change
+    reference = elevation
+  })
+
+  let maxGrade = 0
+  let minGrade = 0
+  let end = 0
+  samples.forEach((sample, start) => {
+    const from = sample.miles * METERS_PER_MILE
+    while (end < samples.length - 1 && samples[end].miles * METERS_PER_MILE - from < GRADE_WINDOW_METERS) end++
+    const run = samples[end].miles * METERS_PER_MILE - from
+    // Routes shorter than the window still get a grade over their whole length
+    if (run <= 0 || (run < GRADE_WINDOW_METERS && start > 0)) return
+    const grade = (samples[end].elevation - sample.elevation) / run
+    maxGrade = Math.max(maxGrade, grade)
+    minGrade = Math.min(minGrade, grade)
+  })
+
+  const elevations = samples.map(sample => sample.elevation)
+  return {
+    ascent,
+    descent,
+    maxGrade,
+    minGrade,
+    minElevation: Math.min(...elevations),
+    maxElevation: Math.max(...elevations)
+  }
+}
+
+// Look up the elevation profile of a route with the configured provider. Resolves with
+// { samples, stats }, where samples are { point, miles, elevation } evenly spaced along the
+// route; samples the provider has no elevation for are left out. Throws on failure, when
+// nothing along the route has an elevation, or when `signal` aborts between requests.
+export async function fetchElevationProfile(settings, points, { signal } = {}) {
+  const provider = findElevationProvider(settings.provider)
+  const baseUrl = (settings.baseUrl || provider.defaultBaseUrl).replace(/\/+$/, '')
+  const queue = queueFor(provider, baseUrl)
+  const samples = sampleRoute(points)
+
+  const chunkSize = Math.min(provider.maxLocations, samples.length)
+  const chunks = []
+  for (let start = 0; start < samples.length; start += chunkSize) {
+    chunks.push(samples.slice(start, start + chunkSize))
+  }
+
+  const elevations = await Promise.all(chunks.map(chunk => queue.add(() => {
+    if (signal) signal.throwIfAborted()
+    return provider.lookup(chunk.map(sample => sample.point), { baseUrl })
+  })))
+  if (signal) signal.throwIfAborted()
+
+  const known = elevations.flat()
+    .map((elevation, i) => ({ ...samples[i], elevation }))
+    .filter(sample => sample.elevation !== null && sample.elevation !== undefined && !isNaN(sample.elevation))
+  if (known.length < 2) {
+    throw new Error(`${provider.label} has no elevation data for this route`)
+  }
+  return { samples: known, stats: elevationStats(known) }
+}
+
+// Elevation at every route point, interpolated from a profile of the same route by distance
+export function elevationsAlongRoute(samples, points) {
+  let next = 1
+  return cumulativeDistances(points).map(miles => {
+    while (next < samples.length - 1 && samples[next].miles < miles) next++
+    const before = samples[next - 1]
+    const after = samples[next]
+    const span = after.miles - before.miles
+    const t = span > 0 ? Math.min(Math.max((miles - before.miles) / span, 0), 1) : 0
+    return before.elevation + (after.elevation - before.elevation) * t
+  })
+}
@@ -0,0 +1,137 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { elevationStats, fetchElevationProfile, elevationsAlongRoute, findElevationProvider } from './index'
+import { METERS_PER_MILE } from '../geo'
+import fixtureText from '../../public/elevation-fixture.json?raw'
+
+const fixture = JSON.parse(fixtureText)
+const settings = { provider: 'fixture', baseUrl: '/elevation-fixture.json' }
+
+// Samples every 50 m with the given elevations
+const samplesOf = (elevations) => elevations.map((elevation, i) => ({ miles: i * 50 / METERS_PER_MILE, elevation }))
+
+// Elevation of the fixture grid at a point, interpolated independently of the provider
+const fixtureElevation = ([lat, lng]) => {
+  const [[south, west], [north, east]] = fixture.bounds
+  const rows = fixture.elevations.length
+  const columns = fixture.elevations[0].length
+  const x = (lng - west) / (east - west) * (columns - 1)
+  const y = (north - lat) / (north - south) * (rows - 1)
+  const [x0, y0] = [Math.floor(x), Math.floor(y)]
+  const at = (column, row) => fixture.elevations[Math.min(row, rows - 1)][Math.min(column, columns - 1)]
+  const top = at(x0, y0) + (at(x0 + 1, y0) - at(x0, y0)) * (x - x0)
+  const bottom = at(x0, y0 + 1) + (at(x0 + 1, y0 + 1) - at(x0, y0 + 1)) * (x - x0)
+  return top + (bottom - top) * (y - y0)
+}
+
+describe('elevationStats', () => {
+  it('ignores wobbles under the 3 m noise threshold', () => {
+    const stats = elevationStats(samplesOf([100, 102, 100, 101.5, 99, 101, 100]))
+    expect(stats.ascent).toBe(0)
+    expect(stats.descent).toBe(0)
+    expect(stats.minElevation).toBe(99)
+    expect(stats.maxElevation).toBe(102)
+  })
+
+  it('counts rises and drops of 3 m or more', () => {
+    const stats = elevationStats(samplesOf([100, 101, 102, 103, 105, 110, 108, 104]))
+    expect(stats.ascent).toBe(10)
+    expect(stats.descent).toBe(6)
+  })
+
+  it('adds up a slow climb once it passes the threshold', () => {
+    const stats = elevationStats(samplesOf([0, 1, 2, 3, 4, 5, 6]))
+    expect(stats.ascent).toBe(6)
+    expect(stats.descent).toBe(0)
+  })
+
+  it('measures grades over at least 100 m', () => {
+    // Each 10 m step happens within 50 m, which alone would be a 20% grade
+    const stats = elevationStats(samplesOf([0, 0, 10, 10, 10, 0, 0]))
+    expect(stats.maxGrade).toBeCloseTo(0.1, 9)
+    expect(stats.minGrade).toBeCloseTo(-0.1, 9)
+  })
+
+  it('grades routes shorter than the window over their whole length', () => {
+    const stats = elevationStats(samplesOf([0, 4]))
+    expect(stats.maxGrade).toBeCloseTo(0.08, 9)
+    expect(stats.minGrade).toBe(0)
+  })
+})
+
+describe('fixture elevation provider', () => {
+  beforeEach(() => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(fixtureText)))
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('reads grid cells at their corners and interpolates between them', async () => {
+    const [[south, west], [north, east]] = fixture.bounds
+    const columns = fixture.elevations[0].length
+    const halfColumn = (east - west) / (columns - 1) / 2
+
+    const elevations = await findElevationProvider('fixture').lookup([
+      [north, west],
+      [south, east],
+      [north, west + halfColumn],
+      [(north + south) / 2, (west + east) / 2],
+      [north + 0.01, west]
+    ], settings)
+
+    expect(elevations[0]).toBeCloseTo(fixture.elevations[0][0], 9)
+    expect(elevations[1]).toBeCloseTo(fixture.elevations[fixture.elevations.length - 1][columns - 1], 9)
+    expect(elevations[2]).toBeCloseTo((fixture.elevations[0][0] + fixture.elevations[0][1]) / 2, 9)
+    expect(elevations[3]).toBeCloseTo(fixtureElevation([(north + south) / 2, (west + east) / 2]), 9)
+    expect(elevations[4]).toBeNull()
+  })
+
+  it('profiles a route with evenly spaced samples from the fixture', async () => {
+    const route = [[37.75, -122.5], [37.78, -122.45], [37.8, -122.4]]
+
+    const profile = await fetchElevationProfile(settings, route)
+
+    const { samples, stats } = profile
+    expect(samples.length).toBeGreaterThan(2)
+    expect(samples.length).toBeLessThanOrEqual(300)
+    expect(samples[0].point).toEqual(route[0])
+    expect(samples[0].miles).toBe(0)
+    samples.forEach(sample => expect(sample.elevation).toBeCloseTo(fixtureElevation(sample.point), 6))
+    const spacing = samples[1].miles - samples[0].miles
+    samples.slice(1, -1).forEach((sample, i) => expect(sample.miles - samples[i].miles).toBeCloseTo(spacing, 9))
+    expect(stats).toEqual(elevationStats(samples))
+  })
+
+  it('spaces samples of short routes at least 20 m apart', async () => {
+    // About 110 m long
+    const route = [[37.75, -122.5], [37.751, -122.5]]
+
+    const { samples } = await fetchElevationProfile(settings, route)
+
+    expect(samples.length).toBe(6)
+    expect((samples[1].miles - samples[0].miles) * METERS_PER_MILE).toBeGreaterThanOrEqual(20)
+  })
+
+  it('fails for routes outside the fixture', async () => {
+    await expect(fetchElevationProfile(settings, [[40, -100], [40.01, -100]])).rejects.toThrow('no elevation data')
+  })
+
+  it('stops when aborted', async () => {
+    const controller = new AbortController()
+    controller.abort()
+    await expect(fetchElevationProfile(settings, [[37.75, -122.5], [37.8, -122.4]], { signal: controller.signal })).rejects.toThrow()
+  })
+})
+
+describe('elevationsAlongRoute', () => {
+  it('interpolates profile samples at each route point by distance', () => {
+    const samples = samplesOf([0, 10, 20])
+    const route = [[0, 0], [25 / 111195, 0], [100 / 111195, 0]]
+    const elevations = elevationsAlongRoute(samples, route)
+    expect(elevations[0]).toBe(0)
+    expect(elevations[1]).toBeCloseTo(5, 1)
+    expect(elevations[2]).toBeCloseTo(20, 1)
+  })
+})
+
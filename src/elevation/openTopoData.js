@@ -0,0 +1,25 @@
+import { fetchJSON } from '../routing/http'
+
+// Open Topo Data provider: a point-elevation API over public DEM datasets (SRTM, ASTER,
+// EU-DEM...). The dataset is the last part of the server URL.
+
+export const openTopoData = {
+  id: 'opentopodata',
+  label: 'Open Topo Data',
+  defaultBaseUrl: 'https://api.opentopodata.org/v1/srtm30m',
+  urlLabel: 'Server URL (including the dataset)',
+  // Public API usage policy: at most 100 locations per request and one request per second
+  maxLocations: 100,
+  publicMinIntervalMs: 1000,
+
+  async lookup(points, { baseUrl }) {
+    const locations = points.map(p => `${p[0].toFixed(6)},${p[1].toFixed(6)}`).join('|')
+    const data = await fetchJSON(`${baseUrl}?locations=${locations}`)
+
+    if (data.status !== 'OK' || !data.results) {
+      throw new Error(`Open Topo Data returned an error: ${data.error || data.status}`)
+    }
+    // Points outside the dataset (or over the sea for some datasets) come back as null
+    return data.results.map(result => result.elevation)
+  }
+}
@@ -0,0 +1,75 @@
+import { sampleGrid } from './grid'
+
+// DEM tile provider: Terrarium-encoded PNG elevation tiles, where each pixel stores
+// (red * 256 + green + blue / 256) - 32768 meters. The default is the public AWS terrain
+// tile set; point the URL template at a folder of downloaded tiles to work offline.
+
+// About 38 m per pixel at the equator, finer than the 30 m source data once reprojected
+const TILE_ZOOM = 12
+
+// Decoded tiles by URL (a promise each, so concurrent lookups share one download)
+const tiles = new Map()
+
+const decodeTile = async (url) => {
+  const response = await fetch(url)
+  if (!response.ok) throw new Error(`Elevation tile request failed: ${response.status}`)
+  const bitmap = await createImageBitmap(await response.blob())
+
+  const canvas = document.createElement('canvas')
+  canvas.width = bitmap.width
+  canvas.height = bitmap.height
+  const ctx = canvas.getContext('2d')
+  ctx.drawImage(bitmap, 0, 0)
+  const { data } = ctx.getImageData(0, 0, bitmap.width, bitmap.height)
+
+  const values = new Float32Array(bitmap.width * bitmap.height)
+  for (let i = 0; i < values.length; i++) {
+    values[i] = data[i * 4] * 256 + data[i * 4 + 1] + data[i * 4 + 2] / 256 - 32768
+  }
+  return { values, width: bitmap.width, height: bitmap.height }
+}
+
+const loadTile = (url) => {
+  if (!tiles.has(url)) {
+    const tile = decodeTile(url)
+    // Forget failed downloads so a later lookup can retry them
+    tile.catch(() => tiles.delete(url))
+    tiles.set(url, tile)
+  }
+  return tiles.get(url)
+}
+
+// Web Mercator position of a point in tile units at `zoom`
+const tilePosition = ([lat, lng], zoom) => {
+  const n = 2 ** zoom
+  const latRad = lat * Math.PI / 180
+  return {
+    x: (lng + 180) / 360 * n,
+    y: (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n
+  }
+}
+
+export const terrainTiles = {
+  id: 'terrain-tiles',
+  label: 'Terrain tiles (Terrarium PNG)',
+  defaultBaseUrl: 'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png',
+  urlLabel: 'Tile URL template',
+  maxLocations: Infinity,
+  publicMinIntervalMs: 0,
+
+  async lookup(points, { baseUrl }) {
+    return Promise.all(points.map(async (point) => {
+      const { x, y } = tilePosition(point, TILE_ZOOM)
+      const tileX = Math.floor(x)
+      const tileY = Math.floor(y)
+      const url = baseUrl.replace('{z}', TILE_ZOOM).replace('{x}', tileX).replace('{y}', tileY)
+      const tile = await loadTile(url)
+      // Pixel centers sit half a pixel in from the tile edge
+      const px = (x - tileX) * tile.width - 0.5
+      const py = (y - tileY) * tile.height - 0.5
+      return sampleGrid(tile.values, tile.width, tile.height,
+        Math.min(Math.max(px, 0), tile.width - 1),
+        Math.min(Math.max(py, 0), tile.height - 1))
+    }))
+  }
+}
@@ -0,0 +1,59 @@
+import { cumulativeDistances, METERS_PER_MILE } from '../geo'
+
+// Shared helpers for the route serializers
+
+// Fallback pace for formats that require timestamps (9:00 min/mi)
+const DEFAULT_PACE_SECONDS_PER_MILE = 540
+
+// Activity types offered in the export dialog, with the name each format uses for them
+export const ACTIVITY_TYPES = [
+  { value: 'running', label: 'Run', tcx: 'Running', fitSport: 1 },
+  { value: 'cycling', label: 'Ride', tcx: 'Biking', fitSport: 2 },
+  { value: 'walking', label: 'Walk', tcx: 'Other', fitSport: 11 },
+  { value: 'hiking', label: 'Hike', tcx: 'Other', fitSport: 17 }
+]
+
+export const findActivityType = (value) => ACTIVITY_TYPES.find(type => type.value === value) || null
+
+export const escapeXML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+// Cumulative distance in meters at each point
+export const cumulativeMeters = (points) => cumulativeDistances(points).map(miles => miles * METERS_PER_MILE)
+
+// Elevation at index i, or null when missing
+export const elevationAt = (elevations, i) => {
+  const ele = elevations ? elevations[i] : null
+  return ele !== null && ele !== undefined && !isNaN(ele) ? Number(ele) : null
+}
+
+// Synthesize a Date for every point from cumulative distance and pace.
+// Returns null when no start time/pace is set, unless `required` is true in which case
+// it falls back to the current time and a default pace (course formats need timestamps).
+export function trackTimes(points, options, required = false) {
+  let { startTime = null, paceSecondsPerMile = null } = options
+  const hasStart = startTime instanceof Date && !isNaN(startTime)
+
+  if (!hasStart || !(paceSecondsPerMile > 0)) {
+    if (!required) return null
+    if (!hasStart) startTime = new Date()
+    if (!(paceSecondsPerMile > 0)) paceSecondsPerMile = DEFAULT_PACE_SECONDS_PER_MILE
+  }
+
+  return cumulativeDistances(points).map(miles =>
+    new Date(startTime.getTime() + miles * paceSecondsPerMile * 1000)
+  )
+}
+
+// Turn a route name into a safe download filename with the given extension
+export function exportFilename(name, extension) {
+  const slug = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+  return `${slug || 'strava-art-route'}.${extension}`
+}
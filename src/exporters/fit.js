@@ -0,0 +1,184 @@
+import { elevationAt, trackTimes, cumulativeMeters, findActivityType } from './common'
+
+// Binary FIT course writer (Garmin Flexible and Interoperable Data Transfer).
+// Writes the minimal message set devices expect for a course:
+// file_id, course, lap, timer start event, one record per point, timer stop event.
+
+// FIT timestamps count seconds from 1989-12-31T00:00:00Z
+const FIT_EPOCH_OFFSET = 631065600
+
+const PROTOCOL_VERSION = 0x10
+const PROFILE_VERSION = 2132
+
+// Base type identifiers and their byte sizes
+const BASE = {
+  enum: { id: 0x00, size: 1 },
+  uint8: { id: 0x02, size: 1 },
+  uint16: { id: 0x84, size: 2 },
+  sint32: { id: 0x85, size: 4 },
+  uint32: { id: 0x86, size: 4 },
+  uint32z: { id: 0x8c, size: 4 },
+  string: { id: 0x07 }
+}
+
+// Global message numbers
+const MESG = { fileId: 0, lap: 19, record: 20, event: 21, course: 31 }
+
+const FILE_TYPE_COURSE = 6
+const MANUFACTURER_DEVELOPMENT = 255
+const EVENT_TIMER = 0
+const EVENT_TYPE_START = 0
+const EVENT_TYPE_STOP_DISABLE_ALL = 9
+const COURSE_NAME_BYTES = 16
+
+const CRC_TABLE = [
+  0x0000, 0xcc01, 0xd801, 0x1400, 0xf001, 0x3c00, 0x2800, 0xe401,
+  0xa001, 0x6c00, 0x7800, 0xb401, 0x5000, 0x9c01, 0x8801, 0x4400
+]
+
+const crc16 = (bytes, crc = 0) => {
+  for (const byte of bytes) {
+    let tmp = CRC_TABLE[crc & 0xf]
+    crc = (crc >> 4) & 0x0fff
+    crc = crc ^ tmp ^ CRC_TABLE[byte & 0xf]
+    tmp = CRC_TABLE[crc & 0xf]
+    crc = (crc >> 4) & 0x0fff
+    crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xf]
+  }
+  return crc
+}
+
+const toFitTime = (date) => Math.round(date.getTime() / 1000) - FIT_EPOCH_OFFSET
+const toSemicircles = (degrees) => Math.round(degrees * (2 ** 31 / 180))
+
+// Growable little-endian byte buffer
+class ByteWriter {
+  constructor() {
+    this.bytes = []
+  }
+
+  uint8(value) {
+    this.bytes.push(value & 0xff)
+  }
+
+  uint16(value) {
+    this.uint8(value)
+    this.uint8(value >> 8)
+  }
+
+  uint32(value) {
+    this.uint16(value & 0xffff)
+    this.uint16((value >>> 16) & 0xffff)
+  }
+
+  string(value, size) {
+    // Fixed-width, null-terminated UTF-8
+    const encoded = new TextEncoder().encode(value).slice(0, size - 1)
+    for (let i = 0; i < size; i++) this.uint8(i < encoded.length ? encoded[i] : 0)
+  }
+
+  field(type, value, size) {
+    if (type === BASE.string) {
+      this.string(value, size)
+    } else if (type.size === 1) {
+      this.uint8(value)
+    } else if (type.size === 2) {
+      this.uint16(value)
+    } else {
+      this.uint32(value)
+    }
+  }
+}
+
+// Each message type gets its own local message number; fields are [fieldNum, baseType, size?]
+const writeDefinition = (writer, localType, globalMesg, fields) => {
+  writer.uint8(0x40 | localType)
+  writer.uint8(0) // reserved
+  writer.uint8(0) // little-endian architecture
+  writer.uint16(globalMesg)
+  writer.uint8(fields.length)
+  fields.forEach(([num, type, size]) => {
+    writer.uint8(num)
+    writer.uint8(size || type.size)
+    writer.uint8(type.id)
+  })
+}
+
+const writeData = (writer, localType, fields, values) => {
+  writer.uint8(localType)
+  fields.forEach(([, type, size], i) => writer.field(type, values[i], size))
+}
+
+const FILE_ID_FIELDS = [[0, BASE.enum], [1, BASE.uint16], [2, BASE.uint16], [3, BASE.uint32z], [4, BASE.uint32]]
+const COURSE_FIELDS = [[4, BASE.enum], [5, BASE.string, COURSE_NAME_BYTES]]
+const LAP_FIELDS = [
+  [253, BASE.uint32], [2, BASE.uint32],
+  [3, BASE.sint32], [4, BASE.sint32], [5, BASE.sint32], [6, BASE.sint32],
+  [7, BASE.uint32], [8, BASE.uint32], [9, BASE.uint32]
+]
+const EVENT_FIELDS = [[253, BASE.uint32], [0, BASE.enum], [1, BASE.enum], [4, BASE.uint8]]
+const RECORD_FIELDS = [[253, BASE.uint32], [0, BASE.sint32], [1, BASE.sint32], [5, BASE.uint32]]
+const RECORD_FIELDS_WITH_ALTITUDE = [...RECORD_FIELDS, [2, BASE.uint16]]
+
+// Build a FIT course file for the route. Returns a Uint8Array.
+export function buildFIT(points, options = {}) {
+  const { name = 'Strava Art Route', activityType = '', elevations = null } = options
+
+  const times = trackTimes(points, options, true).map(toFitTime)
+  const meters = cumulativeMeters(points)
+  const sport = findActivityType(activityType)
+  const hasElevation = points.some((_, i) => elevationAt(elevations, i) !== null)
+  const recordFields = hasElevation ? RECORD_FIELDS_WITH_ALTITUDE : RECORD_FIELDS
+
+  const start = times[0]
+  const end = times[times.length - 1]
+  const first = points[0]
+  const last = points[points.length - 1]
+  const elapsedMs = (end - start) * 1000
+
+  const data = new ByteWriter()
+
+  writeDefinition(data, 0, MESG.fileId, FILE_ID_FIELDS)
+  writeData(data, 0, FILE_ID_FIELDS, [FILE_TYPE_COURSE, MANUFACTURER_DEVELOPMENT, 0, 1, start])
+
+  writeDefinition(data, 1, MESG.course, COURSE_FIELDS)
+  writeData(data, 1, COURSE_FIELDS, [sport ? sport.fitSport : 0, name])
+
+  writeDefinition(data, 2, MESG.lap, LAP_FIELDS)
+  writeData(data, 2, LAP_FIELDS, [
+    end, start,
+    toSemicircles(first[0]), toSemicircles(first[1]),
+    toSemicircles(last[0]), toSemicircles(last[1]),
+    elapsedMs, elapsedMs, Math.round(meters[meters.length - 1] * 100)
+  ])
+
+  writeDefinition(data, 3, MESG.event, EVENT_FIELDS)
+  writeData(data, 3, EVENT_FIELDS, [start, EVENT_TIMER, EVENT_TYPE_START, 0])
+
+  writeDefinition(data, 4, MESG.record, recordFields)
+  points.forEach((coord, i) => {
+    const values = [times[i], toSemicircles(coord[0]), toSemicircles(coord[1]), Math.round(meters[i] * 100)]
+    if (hasElevation) {
+      // Altitude is stored as (meters + 500) * 5
+      const ele = elevationAt(elevations, i) ?? 0
+      values.push(Math.max(0, Math.min(0xfffe, Math.round((ele + 500) * 5))))
+    }
+    writeData(data, 4, recordFields, values)
+  })
+
+  writeData(data, 3, EVENT_FIELDS, [end, EVENT_TIMER, EVENT_TYPE_STOP_DISABLE_ALL, 0])
+
+  const header = new ByteWriter()
+  header.uint8(14)
+  header.uint8(PROTOCOL_VERSION)
+  header.uint16(PROFILE_VERSION)
+  header.uint32(data.bytes.length)
+  for (const char of '.FIT') header.uint8(char.charCodeAt(0))
+  header.uint16(crc16(header.bytes))
+
+  const file = [...header.bytes, ...data.bytes]
+  const fileCrc = crc16(file)
+  file.push(fileCrc & 0xff, (fileCrc >> 8) & 0xff)
+
+  return new Uint8Array(file)
+}
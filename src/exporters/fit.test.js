@@ -0,0 +1,118 @@
+import { readFileSync } from 'fs'
+import { describe, it, expect } from 'vitest'
+import { buildFIT } from './fit'
+import { points, options } from './fixtures/route'
+
+const fixture = new Uint8Array(readFileSync(new URL('./fixtures/route.fit', import.meta.url)))
+
+const FIT_EPOCH_OFFSET = 631065600
+const SEMICIRCLES_PER_DEGREE = 2 ** 31 / 180
+
+// FIT CRC-16, written out independently of the encoder
+const crc16 = (bytes) => {
+  let crc = 0
+  for (const byte of bytes) {
+    crc ^= byte
+    for (let bit = 0; bit < 8; bit++) crc = crc & 1 ? (crc >>> 1) ^ 0xa001 : crc >>> 1
+  }
+  return crc
+}
+
+// Minimal FIT reader for the normal-header messages the encoder writes. Returns the
+// header fields and every data message as { mesg, fields: { [fieldNum]: value } }.
+const readFIT = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const headerSize = view.getUint8(0)
+  const header = {
+    headerSize,
+    protocolVersion: view.getUint8(1),
+    profileVersion: view.getUint16(2, true),
+    dataSize: view.getUint32(4, true),
+    signature: String.fromCharCode(...bytes.slice(8, 12)),
+    headerCrc: view.getUint16(12, true)
+  }
+
+  const definitions = {}
+  const messages = []
+  let offset = headerSize
+  while (offset < headerSize + header.dataSize) {
+    const recordHeader = view.getUint8(offset++)
+    const localType = recordHeader & 0x0f
+    if (recordHeader & 0x40) {
+      const mesg = view.getUint16(offset + 2, true)
+      const count = view.getUint8(offset + 4)
+      offset += 5
+      const fields = []
+      for (let i = 0; i < count; i++, offset += 3) {
+        fields.push({ num: view.getUint8(offset), size: view.getUint8(offset + 1), type: view.getUint8(offset + 2) })
+      }
+      definitions[localType] = { mesg, fields }
+    } else {
+      const { mesg, fields } = definitions[localType]
+      const values = {}
+      fields.forEach(({ num, size, type }) => {
+        if (type === 0x07) {
+          const raw = bytes.slice(offset, offset + size)
+          values[num] = new TextDecoder().decode(raw.slice(0, raw.indexOf(0) === -1 ? size : raw.indexOf(0)))
+        } else if (size === 1) {
+          values[num] = view.getUint8(offset)
+        } else if (size === 2) {
+          values[num] = view.getUint16(offset, true)
+        } else {
+          values[num] = type === 0x85 ? view.getInt32(offset, true) : view.getUint32(offset, true)
+        }
+        offset += size
+      })
+      messages.push({ mesg, fields: values })
+    }
+  }
+
+  return { header, messages, fileCrc: view.getUint16(bytes.length - 2, true), end: offset }
+}
+
+const records = (fit) => fit.messages.filter(message => message.mesg === 20).map(message => message.fields)
+
+describe('buildFIT', () => {
+  it('writes a valid header and file CRC', () => {
+    const bytes = buildFIT(points, options)
+    const { header, fileCrc, end } = readFIT(bytes)
+
+    expect(header.headerSize).toBe(14)
+    expect(header.protocolVersion).toBe(0x10)
+    expect(header.signature).toBe('.FIT')
+    expect(header.dataSize).toBe(bytes.length - 14 - 2)
+    expect(header.headerCrc).toBe(crc16(bytes.slice(0, 12)))
+    expect(end).toBe(bytes.length - 2)
+    expect(fileCrc).toBe(crc16(bytes.slice(0, -2)))
+  })
+
+  it('round-trips the course name, coordinates, altitudes and timestamps', () => {
+    const fit = readFIT(buildFIT(points, options))
+    const course = fit.messages.find(message => message.mesg === 31).fields
+    const fileId = fit.messages.find(message => message.mesg === 0).fields
+
+    expect(fileId[0]).toBe(6) // Course file
+    expect(course[5]).toBe(options.name)
+    expect(course[4]).toBe(1) // Running
+
+    const decoded = records(fit)
+    expect(decoded).toHaveLength(points.length)
+    decoded.forEach((record, i) => {
+      expect(record[0] / SEMICIRCLES_PER_DEGREE).toBeCloseTo(points[i][0], 6)
+      expect(record[1] / SEMICIRCLES_PER_DEGREE).toBeCloseTo(points[i][1], 6)
+      // Altitude is stored as (meters + 500) * 5, so to the nearest 0.2 m
+      expect(record[2]).toBe(Math.round((options.elevations[i] + 500) * 5))
+    })
+    expect(new Date((decoded[0][253] + FIT_EPOCH_OFFSET) * 1000)).toEqual(options.startTime)
+    decoded.slice(1).forEach((record, i) => expect(record[253]).toBeGreaterThanOrEqual(decoded[i][253]))
+  })
+
+  it('matches the fixture file', () => {
+    const output = readFIT(buildFIT(points, options))
+    const expected = readFIT(fixture)
+
+    expect(output.header).toEqual(expected.header)
+    expect(output.messages).toEqual(expected.messages)
+    expect(expected.fileCrc).toBe(crc16(fixture.slice(0, -2)))
+  })
+})
@@ -0,0 +1,19 @@
+// The route every exporter fixture was written from: the shared points model plus the
+// export dialog options, with a fixed start time so timestamps are reproducible
+
+export const points = [
+  [37.7749, -122.4194],
+  [37.7761, -122.4172],
+  [37.7779, -122.4168],
+  [37.7790, -122.4183],
+  [37.7776, -122.4201]
+]
+
+export const options = {
+  name: 'Heart & Arrow',
+  description: "Valentine's <loop>",
+  activityType: 'running',
+  startTime: new Date('2024-02-14T07:00:00Z'),
+  paceSecondsPerMile: 540,
+  elevations: [16, 18.5, 24, 21.2, 17]
+}
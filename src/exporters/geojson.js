@@ -0,0 +1,34 @@
+import { elevationAt, trackTimes } from './common'
+
+// Build a GeoJSON FeatureCollection with the route as a LineString feature.
+// Timestamps, when set, go in the `coordTimes` property used by most GIS tooling.
+export function buildGeoJSON(points, options = {}) {
+  const { name = 'Strava Art Route', description = '', activityType = '', elevations = null } = options
+
+  const times = trackTimes(points, options)
+  const hasElevation = points.some((_, i) => elevationAt(elevations, i) !== null)
+
+  const properties = { name }
+  if (description) properties.description = description
+  if (activityType) properties.activityType = activityType
+  if (times) properties.coordTimes = times.map(time => time.toISOString())
+
+  const geojson = {
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      properties,
+      geometry: {
+        type: 'LineString',
+        // GeoJSON positions are [lng, lat(, elevation)]
+        coordinates: points.map((coord, i) => {
+          const position = [coord[1], coord[0]]
+          if (hasElevation) position.push(elevationAt(elevations, i) ?? 0)
+          return position
+        })
+      }
+    }]
+  }
+
+  return JSON.stringify(geojson, null, 2)
+}
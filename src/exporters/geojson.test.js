@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest'
+import { buildGeoJSON } from './geojson'
+import { points, options } from './fixtures/route'
+import fixture from './fixtures/route.geojson?raw'
+
+const readGeoJSON = (source) => {
+  const [feature] = JSON.parse(source).features
+  return {
+    properties: feature.properties,
+    // GeoJSON positions are [lng, lat, elevation]
+    points: feature.geometry.coordinates.map(([lng, lat]) => [lat, lng]),
+    elevations: feature.geometry.coordinates.map(position => position[2])
+  }
+}
+
+describe('buildGeoJSON', () => {
+  it('round-trips the route as a LineString feature', () => {
+    const output = readGeoJSON(buildGeoJSON(points, options))
+
+    expect(output.properties.name).toBe(options.name)
+    expect(output.properties.description).toBe(options.description)
+    expect(output.properties.activityType).toBe(options.activityType)
+    expect(output.properties.coordTimes).toHaveLength(points.length)
+    expect(output.properties.coordTimes[0]).toBe(options.startTime.toISOString())
+    expect(output.points).toEqual(points)
+    expect(output.elevations).toEqual(options.elevations)
+  })
+
+  it('matches the fixture file', () => {
+    expect(readGeoJSON(buildGeoJSON(points, options))).toEqual(readGeoJSON(fixture))
+  })
+})
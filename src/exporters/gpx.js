@@ -0,0 +1,96 @@
+import { escapeXML, elevationAt, trackTimes } from './common'
+
+// GPX reading helpers
+
+// Match elements by local name so both plain and namespace-prefixed GPX files work
+const byTag = (parent, tag) => Array.from(parent.getElementsByTagNameNS('*', tag))
+
+// Read a <trkpt>/<rtept>/<wpt> element into a [lat, lng] pair
+const readPoint = (el) => {
+  const lat = parseFloat(el.getAttribute('lat'))
+  const lng = parseFloat(el.getAttribute('lon'))
+  if (isNaN(lat) || isNaN(lng)) return null
+  return [lat, lng]
+}
+
+const readPoints = (parent, tag) => byTag(parent, tag).map(readPoint).filter(Boolean)
+
+// Parse a GPX document into segments (one per <trkseg> or <rte>) and standalone waypoints
+export function parseGPX(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('File is not valid XML')
+  }
+  if (!doc.documentElement || doc.documentElement.localName !== 'gpx') {
+    throw new Error('File is not a GPX document')
+  }
+
+  const segments = []
+
+  byTag(doc, 'trkseg').forEach(seg => {
+    const segmentPoints = readPoints(seg, 'trkpt')
+    if (segmentPoints.length > 0) segments.push(segmentPoints)
+  })
+
+  byTag(doc, 'rte').forEach(rte => {
+    const routePoints = readPoints(rte, 'rtept')
+    if (routePoints.length > 0) segments.push(routePoints)
+  })
+
+  const waypoints = readPoints(doc, 'wpt')
+  const nameEl = byTag(doc, 'name')[0]
+
+  return {
+    name: nameEl ? nameEl.textContent.trim() : '',
+    segments,
+    waypoints
+  }
+}
+
+// Build a GPX 1.1 document for the route.
+// Options: name, description, activityType, startTime (Date), paceSecondsPerMile,
+// elevations (array of meters aligned with points, from the elevation profile; <ele> is
+// left out without them). When startTime and pace are both set every trackpoint gets a
+// <time> derived from its cumulative distance.
+export function buildGPX(points, options = {}) {
+  const {
+    name = 'Strava Art Route',
+    description = '',
+    activityType = '',
+    elevations = null
+  } = options
+
+  const times = trackTimes(points, options)
+
+  let gpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Strava Art Creator" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXML(name)}</name>
+`
+  if (description) gpx += `    <desc>${escapeXML(description)}</desc>\n`
+  if (times) gpx += `    <time>${times[0].toISOString()}</time>\n`
+  gpx += `  </metadata>
+  <trk>
+    <name>${escapeXML(name)}</name>
+`
+  if (description) gpx += `    <desc>${escapeXML(description)}</desc>\n`
+  // Strava reads the track <type> to pick the activity type on upload
+  if (activityType) gpx += `    <type>${escapeXML(activityType)}</type>\n`
+  gpx += `    <trkseg>
+`
+
+  points.forEach((coord, i) => {
+    const children = []
+    const ele = elevationAt(elevations, i)
+    if (ele !== null) children.push(`<ele>${ele.toFixed(1)}</ele>`)
+    if (times) children.push(`<time>${times[i].toISOString()}</time>`)
+    gpx += `      <trkpt lat="${coord[0]}" lon="${coord[1]}">${children.join('')}</trkpt>\n`
+  })
+
+  gpx += `    </trkseg>
+  </trk>
+</gpx>`
+
+  return gpx
+}
@@ -0,0 +1,42 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest'
+import { buildGPX, parseGPX } from './gpx'
+import { points, options } from './fixtures/route'
+import fixture from './fixtures/route.gpx?raw'
+
+// Everything the round trip should keep: name, track points, elevations and times
+const readGPX = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  const trackpoints = Array.from(doc.getElementsByTagName('trkpt'))
+  return {
+    ...parseGPX(text),
+    description: doc.getElementsByTagName('desc')[0]?.textContent,
+    type: doc.getElementsByTagName('type')[0]?.textContent,
+    elevations: trackpoints.map(el => parseFloat(el.getElementsByTagName('ele')[0].textContent)),
+    times: trackpoints.map(el => el.getElementsByTagName('time')[0].textContent)
+  }
+}
+
+describe('buildGPX', () => {
+  it('round-trips the route through parseGPX', () => {
+    const output = readGPX(buildGPX(points, options))
+
+    expect(output.name).toBe(options.name)
+    expect(output.description).toBe(options.description)
+    expect(output.type).toBe(options.activityType)
+    expect(output.segments).toEqual([points])
+    expect(output.elevations).toEqual(options.elevations)
+    expect(output.times[0]).toBe(options.startTime.toISOString())
+  })
+
+  it('matches the fixture file', () => {
+    expect(readGPX(buildGPX(points, options))).toEqual(readGPX(fixture))
+  })
+
+  it('leaves out times and elevations when none are given', () => {
+    const output = buildGPX(points, { name: options.name })
+    expect(output).not.toContain('<time>')
+    expect(output).not.toContain('<ele>')
+    expect(parseGPX(output).segments).toEqual([points])
+  })
+})
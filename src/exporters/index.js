@@ -0,0 +1,21 @@
+import { buildGPX } from './gpx'
+import { buildTCX } from './tcx'
+import { buildFIT } from './fit'
+import { buildKML } from './kml'
+import { buildGeoJSON } from './geojson'
+
+export { parseGPX } from './gpx'
+export { ACTIVITY_TYPES, exportFilename } from './common'
+
+// Registered export formats. Every serializer takes the same (points, options) pair:
+// points are [lat, lng] pairs and options hold name, description, activityType,
+// startTime, paceSecondsPerMile and elevations.
+export const EXPORT_FORMATS = [
+  { id: 'gpx', label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml', serialize: buildGPX },
+  { id: 'tcx', label: 'TCX course', extension: 'tcx', mimeType: 'application/vnd.garmin.tcx+xml', serialize: buildTCX },
+  { id: 'fit', label: 'FIT course', extension: 'fit', mimeType: 'application/vnd.ant.fit', serialize: buildFIT },
+  { id: 'kml', label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', serialize: buildKML },
+  { id: 'geojson', label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', serialize: buildGeoJSON }
+]
+
+export const findExportFormat = (id) => EXPORT_FORMATS.find(format => format.id === id) || EXPORT_FORMATS[0]
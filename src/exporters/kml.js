@@ -0,0 +1,43 @@
+import { escapeXML, elevationAt } from './common'
+
+// Build a KML document (Google Earth) with the route as a single LineString
+export function buildKML(points, options = {}) {
+  const { name = 'Strava Art Route', description = '', elevations = null } = options
+
+  // KML coordinates are lng,lat[,alt] tuples separated by whitespace
+  const hasElevation = points.some((_, i) => elevationAt(elevations, i) !== null)
+  const coordinates = points.map((coord, i) => {
+    const tuple = [coord[1], coord[0]]
+    if (hasElevation) tuple.push(elevationAt(elevations, i) ?? 0)
+    return tuple.join(',')
+  }).join('\n          ')
+
+  let kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXML(name)}</name>
+`
+  if (description) kml += `    <description>${escapeXML(description)}</description>\n`
+  kml += `    <Style id="route">
+      <LineStyle>
+        <color>ffea7e66</color>
+        <width>4</width>
+      </LineStyle>
+    </Style>
+    <Placemark>
+      <name>${escapeXML(name)}</name>
+      <styleUrl>#route</styleUrl>
+      <LineString>
+        <tessellate>1</tessellate>
+`
+  if (hasElevation) kml += `        <altitudeMode>absolute</altitudeMode>\n`
+  kml += `        <coordinates>
+          ${coordinates}
+        </coordinates>
+      </LineString>
+    </Placemark>
+  </Document>
+</kml>`
+
+  return kml
+}
@@ -0,0 +1,34 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest'
+import { buildKML } from './kml'
+import { points, options } from './fixtures/route'
+import fixture from './fixtures/route.kml?raw'
+
+const readKML = (source) => {
+  const doc = new DOMParser().parseFromString(source, 'application/xml')
+  const tuples = doc.getElementsByTagName('coordinates')[0].textContent.trim().split(/\s+/)
+  return {
+    name: doc.getElementsByTagName('name')[0].textContent,
+    placemarkName: doc.getElementsByTagName('Placemark')[0].getElementsByTagName('name')[0].textContent,
+    description: doc.getElementsByTagName('description')[0]?.textContent,
+    // KML tuples are lng,lat,alt
+    points: tuples.map(tuple => tuple.split(',').map(Number)).map(([lng, lat]) => [lat, lng]),
+    elevations: tuples.map(tuple => Number(tuple.split(',')[2]))
+  }
+}
+
+describe('buildKML', () => {
+  it('round-trips the route as a LineString', () => {
+    const output = readKML(buildKML(points, options))
+
+    expect(output.name).toBe(options.name)
+    expect(output.placemarkName).toBe(options.name)
+    expect(output.description).toBe(options.description)
+    expect(output.points).toEqual(points)
+    expect(output.elevations).toEqual(options.elevations)
+  })
+
+  it('matches the fixture file', () => {
+    expect(readKML(buildKML(points, options))).toEqual(readKML(fixture))
+  })
+})
@@ -0,0 +1,56 @@
+import { escapeXML, elevationAt, trackTimes, cumulativeMeters, findActivityType } from './common'
+
+// Build a TCX course (Garmin Training Center) for the route.
+// Course trackpoints require <Time>, so timestamps are always synthesized.
+export function buildTCX(points, options = {}) {
+  const { name = 'Strava Art Route', description = '', activityType = '', elevations = null } = options
+
+  const times = trackTimes(points, options, true)
+  const meters = cumulativeMeters(points)
+  const first = points[0]
+  const last = points[points.length - 1]
+  const totalSeconds = (times[times.length - 1] - times[0]) / 1000
+  const sport = findActivityType(activityType)
+  // Garmin devices truncate course names to 15 characters
+  const courseName = escapeXML(String(name).slice(0, 15))
+
+  const position = (coord) =>
+    `<LatitudeDegrees>${coord[0]}</LatitudeDegrees><LongitudeDegrees>${coord[1]}</LongitudeDegrees>`
+
+  let tcx = `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <Courses>
+    <Course>
+      <Name>${courseName}</Name>
+      <Lap>
+        <TotalTimeSeconds>${totalSeconds.toFixed(1)}</TotalTimeSeconds>
+        <DistanceMeters>${meters[meters.length - 1].toFixed(1)}</DistanceMeters>
+        <BeginPosition>${position(first)}</BeginPosition>
+        <EndPosition>${position(last)}</EndPosition>
+        <Intensity>Active</Intensity>
+      </Lap>
+      <Track>
+`
+
+  points.forEach((coord, i) => {
+    const ele = elevationAt(elevations, i)
+    tcx += `        <Trackpoint>
+          <Time>${times[i].toISOString()}</Time>
+          <Position>${position(coord)}</Position>
+`
+    if (ele !== null) tcx += `          <AltitudeMeters>${ele.toFixed(1)}</AltitudeMeters>\n`
+    tcx += `          <DistanceMeters>${meters[i].toFixed(1)}</DistanceMeters>
+        </Trackpoint>
+`
+  })
+
+  tcx += `      </Track>
+`
+  const notes = [sport ? sport.tcx : '', description].filter(Boolean).join(' - ')
+  if (notes) tcx += `      <Notes>${escapeXML(notes)}</Notes>\n`
+  tcx += `    </Course>
+  </Courses>
+</TrainingCenterDatabase>`
+
+  return tcx
+}
@@ -0,0 +1,41 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest'
+import { buildTCX } from './tcx'
+import { points, options } from './fixtures/route'
+import fixture from './fixtures/route.tcx?raw'
+
+const text = (parent, tag) => parent.getElementsByTagName(tag)[0]?.textContent
+
+const readTCX = (source) => {
+  const doc = new DOMParser().parseFromString(source, 'application/xml')
+  const trackpoints = Array.from(doc.getElementsByTagName('Trackpoint'))
+  return {
+    name: text(doc, 'Name'),
+    notes: text(doc, 'Notes'),
+    points: trackpoints.map(el => [parseFloat(text(el, 'LatitudeDegrees')), parseFloat(text(el, 'LongitudeDegrees'))]),
+    elevations: trackpoints.map(el => parseFloat(text(el, 'AltitudeMeters'))),
+    distances: trackpoints.map(el => parseFloat(text(el, 'DistanceMeters'))),
+    times: trackpoints.map(el => text(el, 'Time'))
+  }
+}
+
+describe('buildTCX', () => {
+  it('round-trips the route as course trackpoints', () => {
+    const output = readTCX(buildTCX(points, options))
+
+    expect(output.name).toBe(options.name)
+    expect(output.notes).toBe(`Running - ${options.description}`)
+    expect(output.points).toEqual(points)
+    expect(output.elevations).toEqual(options.elevations)
+    expect(output.times[0]).toBe(options.startTime.toISOString())
+    expect(output.distances[0]).toBe(0)
+  })
+
+  it('matches the fixture file', () => {
+    expect(readTCX(buildTCX(points, options))).toEqual(readTCX(fixture))
+  })
+
+  it('truncates the course name to 15 characters', () => {
+    expect(readTCX(buildTCX(points, { ...options, name: 'A very long course name' })).name).toBe('A very long cou')
+  })
+})
@@ -0,0 +1,53 @@
+// Scale a shape so the route made from it has a target length. Snapping to roads changes
+// the length in ways a straight scale can't predict, so the shape is routed, measured and
+// rescaled until the routed length is within tolerance (or the attempts run out).
+
+import { pathMiles, placeShape } from './geo'
+
+// Accept a routed length within this fraction of the target
+export const DISTANCE_TOLERANCE = 0.05
+export const MAX_FIT_ATTEMPTS = 4
+
+// Length of separate lines, without the gaps between them
+const linesMiles = (lines) => lines.reduce((total, line) => total + pathMiles(line), 0)
+
+// Fit `localShape` (meters east/north of `center`), or several separate `localLines`, to
+// `targetMiles`. `route(shape)` turns the placed points, lines joined in order, into a
+// section ({ points, ... }) and may be async; leave it out to measure the lines as drawn,
+// each on its own. Resolves with { best, attempts, withinTolerance }, where each attempt is
+// { scale, lines, shape, section, miles } and best is the attempt closest to the target.
+// Aborting `signal` stops before the next attempt and rejects with the abort reason.
+export async function fitToDistance({
+  localShape,
+  localLines = [localShape],
+  center,
+  rotation = 0,
+  targetMiles,
+  route,
+  tolerance = DISTANCE_TOLERANCE,
+  maxAttempts = MAX_FIT_ATTEMPTS,
+  signal,
+  onAttempt
+}) {
+  const unitMiles = linesMiles(localLines.map(line => placeShape(line, { center, rotation })))
+  if (unitMiles <= 0) throw new Error('The shape has no length to scale')
+
+  const attempts = []
+  let scale = targetMiles / unitMiles
+  for (let i = 0; i < maxAttempts; i++) {
+    signal?.throwIfAborted()
+    const lines = localLines.map(line => placeShape(line, { center, rotation, scale }))
+    const shape = lines.flat()
+    const section = route ? await route(shape) : { points: shape }
+    const miles = route ? pathMiles(section.points) : linesMiles(lines)
+    const attempt = { scale, lines, shape, section, miles }
+    attempts.push(attempt)
+    if (onAttempt) onAttempt(attempt, attempts)
+
+    if (miles <= 0 || Math.abs(miles - targetMiles) <= targetMiles * tolerance) break
+    scale *= targetMiles / miles
+  }
+
+  const best = attempts.reduce((a, b) => (Math.abs(b.miles - targetMiles) < Math.abs(a.miles - targetMiles) ? b : a))
+  return { best, attempts, withinTolerance: Math.abs(best.miles - targetMiles) <= targetMiles * tolerance }
+}
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest'
+import { fitToDistance } from './fitDistance'
+import { pathMiles, placeShape } from './geo'
+
+const center = [37.7749, -122.4194]
+
+// Two parallel 1 km strokes, 5 km apart: the jump between them is not part of the drawing
+const strokes = [
+  [[0, 0], [1000, 0]],
+  [[0, 5000], [1000, 5000]]
+]
+
+describe('fitToDistance', () => {
+  it('measures separate lines without the gaps between them', async () => {
+    const { best, withinTolerance } = await fitToDistance({ localLines: strokes, center, targetMiles: 2 })
+
+    const drawnMiles = best.lines.reduce((total, line) => total + pathMiles(line), 0)
+    expect(withinTolerance).toBe(true)
+    expect(best.miles).toBeCloseTo(2, 2)
+    expect(drawnMiles).toBeCloseTo(2, 2)
+    expect(best.lines).toHaveLength(2)
+  })
+
+  it('measures the joined route when routing', async () => {
+    const route = (shape) => ({ points: shape })
+    const { best } = await fitToDistance({ localLines: strokes, center, targetMiles: 2, route })
+
+    expect(pathMiles(best.section.points)).toBeCloseTo(best.miles, 6)
+    expect(Math.abs(best.miles - 2)).toBeLessThanOrEqual(2 * 0.05)
+  })
+
+  it('still fits a single shape', async () => {
+    const { best } = await fitToDistance({ localShape: strokes[0], center, targetMiles: 3 })
+    expect(pathMiles(placeShape(strokes[0], { center, scale: best.scale }))).toBeCloseTo(3, 2)
+  })
+})
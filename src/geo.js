@@ -0,0 +1,103 @@
+// Geographic distance and placement helpers
+
+export const METERS_PER_MILE = 1609.344
+// Mean Earth radius
+export const EARTH_RADIUS_METERS = 6371008.8
+const EARTH_RADIUS_MILES = EARTH_RADIUS_METERS / METERS_PER_MILE
+// Approximate meters per degree of latitude, for local flat-earth conversions
+export const METERS_PER_DEGREE = 111320
+
+// Distance between two [lat, lng] points in miles using the Haversine formula
+export function haversineDistance(point1, point2) {
+  const lat1 = point1[0] * Math.PI / 180
+  const lat2 = point2[0] * Math.PI / 180
+  const deltaLat = (point2[0] - point1[0]) * Math.PI / 180
+  const deltaLng = (point2[1] - point1[1]) * Math.PI / 180
+
+  const a = Math.sin(deltaLat / 2) * Math.sin(deltaLat / 2) +
+            Math.cos(lat1) * Math.cos(lat2) *
+            Math.sin(deltaLng / 2) * Math.sin(deltaLng / 2)
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+
+  return EARTH_RADIUS_MILES * c
+}
+
+// Running total of distance (miles) at each point, starting at 0
+export function cumulativeDistances(routePoints) {
+  const distances = []
+  let total = 0
+  routePoints.forEach((point, i) => {
+    if (i > 0) total += haversineDistance(routePoints[i - 1], point)
+    distances.push(total)
+  })
+  return distances
+}
+
+// Total length of a path in miles
+export const pathMiles = (routePoints) => (routePoints.length > 1 ? cumulativeDistances(routePoints)[routePoints.length - 1] : 0)
+
+// Keep angles in (-180, 180]
+export const normalizeAngle = (degrees) => {
+  const angle = ((degrees % 360) + 360) % 360
+  return angle > 180 ? angle - 360 : angle
+}
+
+// How far apart two angles are, the short way round (0 to 180 degrees)
+export const angleDifference = (a, b) => Math.abs(normalizeAngle(a - b))
+
+// Keep every nth point so at most about `maxPoints` remain, always keeping the last point
+export function downsamplePoints(routePoints, maxPoints) {
+  if (routePoints.length <= maxPoints) return routePoints
+
+  const step = Math.ceil(routePoints.length / maxPoints)
+  const sampled = []
+  for (let i = 0; i < routePoints.length; i += step) {
+    sampled.push(routePoints[i])
+  }
+  if (sampled[sampled.length - 1] !== routePoints[routePoints.length - 1]) {
+    sampled.push(routePoints[routePoints.length - 1])
+  }
+  return sampled
+}
+
+// Size of [[south, west], [north, east]] bounds in meters as [width, height]
+export function boundsSize(bounds) {
+  const centerLat = (bounds[0][0] + bounds[1][0]) / 2
+  return [
+    (bounds[1][1] - bounds[0][1]) * METERS_PER_DEGREE * Math.cos(centerLat * Math.PI / 180),
+    (bounds[1][0] - bounds[0][0]) * METERS_PER_DEGREE
+  ]
+}
+
+// Normalized image points (0-1, y down) to meters east/north of the center of `bounds`
+export function shapeToLocal(normalizedPoints, bounds) {
+  const [width, height] = boundsSize(bounds)
+  return normalizedPoints.map(p => [(p[0] - 0.5) * width, (0.5 - p[1]) * height])
+}
+
+// Place local points (meters east/north) on the map around `center`, turned clockwise
+// by `rotation` degrees and scaled by `scale`
+export function placeShape(localPoints, { center, rotation = 0, scale = 1 }) {
+  const angle = rotation * Math.PI / 180
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  const lngScale = METERS_PER_DEGREE * Math.cos(center[0] * Math.PI / 180)
+  return localPoints.map(([x, y]) => {
+    const east = scale * (x * cos + y * sin)
+    const north = scale * (y * cos - x * sin)
+    return [center[0] + north / METERS_PER_DEGREE, center[1] + east / lngScale]
+  })
+}
+
+// Mean of [lat, lng] points
+export function centroid(points) {
+  const sum = points.reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1]], [0, 0])
+  return [sum[0] / points.length, sum[1] / points.length]
+}
+
+// [lat, lng] points to meters east/north of `center`; placeShape with the same center
+// (and no rotation or scale) puts them back
+export function toLocal(points, center) {
+  const lngScale = METERS_PER_DEGREE * Math.cos(center[0] * Math.PI / 180)
+  return points.map(([lat, lng]) => [(lng - center[1]) * lngScale, (lat - center[0]) * METERS_PER_DEGREE])
+}
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest'
+import { normalizeAngle, angleDifference } from './geo'
+
+describe('normalizeAngle', () => {
+  it('wraps angles into (-180, 180]', () => {
+    expect(normalizeAngle(0)).toBe(0)
+    expect(normalizeAngle(180)).toBe(180)
+    expect(normalizeAngle(-180)).toBe(180)
+    expect(normalizeAngle(188)).toBe(-172)
+    expect(normalizeAngle(-188)).toBe(172)
+    expect(normalizeAngle(725)).toBe(5)
+  })
+})
+
+describe('angleDifference', () => {
+  it('measures the short way round', () => {
+    expect(angleDifference(179, -179)).toBe(2)
+    expect(angleDifference(-170, 170)).toBe(20)
+    expect(angleDifference(10, -10)).toBe(20)
+    expect(angleDifference(90, -90)).toBe(180)
+  })
+})
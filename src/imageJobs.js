@@ -0,0 +1,66 @@
+// Main-thread side of image processing: reads an image's pixels and hands them to a fresh
+// Web Worker for each job. Aborting a job terminates its worker, which stops the work
+// immediately even in the middle of a long pixel loop.
+
+// Load an image (data URL) and return its RGBA pixels scaled so the longest side is
+// at most `maxSize`
+export async function loadImagePixels(url, maxSize) {
+  const img = new Image()
+  await new Promise((resolve, reject) => {
+    img.onload = resolve
+    img.onerror = () => reject(new Error('Could not read the image'))
+    img.src = url
+  })
+
+  const canvas = document.createElement('canvas')
+  const ctx = canvas.getContext('2d')
+  const scale = Math.min(maxSize / img.width, maxSize / img.height)
+  canvas.width = Math.max(1, Math.floor(img.width * scale))
+  canvas.height = Math.max(1, Math.floor(img.height * scale))
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
+
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height)
+  return { pixels: imageData.data, width: canvas.width, height: canvas.height }
+}
+
+// Run a job from tracingWorker.js on the given pixels. Resolves with the job's result;
+// rejects with the job's error, or with the abort reason when `signal` aborts.
+export function runImageJob(job, { pixels, width, height, options }, { signal, onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason)
+      return
+    }
+
+    const worker = new Worker(new URL('./tracingWorker.js', import.meta.url), { type: 'module' })
+    const finish = () => {
+      worker.terminate()
+      signal?.removeEventListener('abort', handleAbort)
+    }
+    const handleAbort = () => {
+      finish()
+      reject(signal.reason)
+    }
+    signal?.addEventListener('abort', handleAbort)
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        if (onProgress) onProgress(data.fraction)
+        return
+      }
+      finish()
+      if (data.type === 'result') {
+        resolve(data.result)
+      } else {
+        reject(new Error(data.message))
+      }
+    }
+    worker.onerror = (event) => {
+      finish()
+      reject(new Error(event.message || 'Image processing failed'))
+    }
+
+    // The pixel buffer is transferred, not copied
+    worker.postMessage({ job, pixels, width, height, options }, [pixels.buffer])
+  })
+}
@@ -0,0 +1,217 @@
+// Raster tracing pipeline: image pixels -> grayscale -> outline or centerline contours.
+// Everything here works on plain pixel arrays with no DOM access, so it runs inside the
+// image worker (see tracingWorker.js).
+
+import { traceContours } from './contours'
+import { traceCenterlines, strokeMask } from './centerline'
+
+export const TRACE_MODES = [
+  { value: 'outline', label: 'Outline of shapes' },
+  { value: 'centerline', label: 'Centerline of strokes' }
+]
+
+export const COLOR_CHANNELS = [
+  { value: 'luminance', label: 'Brightness' },
+  { value: 'red', label: 'Red' },
+  { value: 'green', label: 'Green' },
+  { value: 'blue', label: 'Blue' },
+  { value: 'alpha', label: 'Transparency' }
+]
+
+export const DEFAULT_TRACING_OPTIONS = {
+  mode: 'outline',
+  resolution: 400, // Longest side of the analysed image, in pixels
+  edgeFraction: 0.1, // Outline mode: share of the strongest edge pixels kept
+  inkThreshold: null, // Centerline mode: grey level separating ink from paper (null = automatic)
+  simplify: 0.005, // Douglas-Peucker tolerance as a fraction of the image
+  channel: 'luminance',
+  invert: false,
+  smoothing: 0 // Blur radius in pixels applied before tracing
+}
+
+// Grayscale from RGBA pixels using one channel. Transparent pixels count as white paper;
+// in 'alpha' mode opacity itself is the signal (opaque = dark).
+export function toGrayscale(data, { channel = 'luminance', invert = false } = {}) {
+  const grayscale = new Uint8Array(data.length / 4)
+
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i]
+    const g = data[i + 1]
+    const b = data[i + 2]
+    const alpha = data[i + 3]
+    let value
+    if (channel === 'alpha') {
+      value = 255 - alpha
+    } else if (alpha < 128) {
+      // Consider transparency
+      value = 255
+    } else if (channel === 'red') {
+      value = r
+    } else if (channel === 'green') {
+      value = g
+    } else if (channel === 'blue') {
+      value = b
+    } else {
+      value = Math.floor((r + g + b) / 3)
+    }
+    grayscale[i / 4] = invert ? 255 - value : value
+  }
+
+  return grayscale
+}
+
+// Box blur with the given radius, horizontal then vertical
+export function smoothGrayscale(grayscale, width, height, radius) {
+  if (radius < 1) return grayscale
+
+  const blurLine = (source, target, count, stride, offset) => {
+    for (let i = 0; i < count; i++) {
+      let sum = 0
+      let n = 0
+      for (let k = Math.max(0, i - radius); k <= Math.min(count - 1, i + radius); k++) {
+        sum += source[offset + k * stride]
+        n++
+      }
+      target[offset + i * stride] = Math.round(sum / n)
+    }
+  }
+
+  const horizontal = new Uint8Array(grayscale.length)
+  for (let y = 0; y < height; y++) blurLine(grayscale, horizontal, width, 1, y * width)
+  const result = new Uint8Array(grayscale.length)
+  for (let x = 0; x < width; x++) blurLine(horizontal, result, height, width, x)
+  return result
+}
+
+// Sobel edge strength per pixel
+export function detectEdges(grayscale, width, height) {
+  const edges = new Float32Array(width * height)
+
+  // Sobel kernels
+  const sobelX = [-1, 0, 1, -2, 0, 2, -1, 0, 1]
+  const sobelY = [-1, -2, -1, 0, 0, 0, 1, 2, 1]
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      let gx = 0, gy = 0
+
+      for (let ky = -1; ky <= 1; ky++) {
+        for (let kx = -1; kx <= 1; kx++) {
+          const idx = (y + ky) * width + (x + kx)
+          const kidx = (ky + 1) * 3 + (kx + 1)
+          gx += grayscale[idx] * sobelX[kidx]
+          gy += grayscale[idx] * sobelY[kidx]
+        }
+      }
+
+      edges[y * width + x] = Math.sqrt(gx * gx + gy * gy)
+    }
+  }
+
+  return edges
+}
+
+// Simplify path using Douglas-Peucker algorithm
+export function simplifyPath(points, tolerance) {
+  if (points.length < 3) return points
+
+  const sqDist = (p1, p2) => {
+    const dx = p1[0] - p2[0]
+    const dy = p1[1] - p2[1]
+    return dx * dx + dy * dy
+  }
+
+  const pointToLineDistance = (point, lineStart, lineEnd) => {
+    const A = point[0] - lineStart[0]
+    const B = point[1] - lineStart[1]
+    const C = lineEnd[0] - lineStart[0]
+    const D = lineEnd[1] - lineStart[1]
+
+    const dot = A * C + B * D
+    const lenSq = C * C + D * D
+    let param = lenSq !== 0 ? dot / lenSq : -1
+
+    let xx, yy
+    if (param < 0) {
+      xx = lineStart[0]
+      yy = lineStart[1]
+    } else if (param > 1) {
+      xx = lineEnd[0]
+      yy = lineEnd[1]
+    } else {
+      xx = lineStart[0] + param * C
+      yy = lineStart[1] + param * D
+    }
+
+    return sqDist(point, [xx, yy])
+  }
+
+  const simplifySegment = (start, end) => {
+    let maxDist = 0
+    let maxIdx = 0
+
+    for (let i = start + 1; i < end; i++) {
+      const dist = pointToLineDistance(points[i], points[start], points[end])
+      if (dist > maxDist) {
+        maxDist = dist
+        maxIdx = i
+      }
+    }
+
+    if (maxDist > tolerance * tolerance) {
+      const left = simplifySegment(start, maxIdx)
+      const right = simplifySegment(maxIdx, end)
+      return [...left.slice(0, -1), ...right]
+    } else {
+      return [points[start], points[end]]
+    }
+  }
+
+  return simplifySegment(0, points.length - 1)
+}
+
+// Trace RGBA pixels into simplified contours ({ points, closed, inner }, points normalized
+// 0-1, y down), longest first. Throws if nothing usable is found. `onProgress` is called
+// with the fraction done as each stage finishes.
+export function traceImage(data, width, height, options = DEFAULT_TRACING_OPTIONS, onProgress = () => {}) {
+  const grayscale = smoothGrayscale(toGrayscale(data, options), width, height, options.smoothing)
+  onProgress(0.1)
+  const simplify = (contours) => {
+    onProgress(0.9)
+    return contours.map(contour => ({ ...contour, points: simplifyPath(contour.points, options.simplify) }))
+  }
+
+  if (options.mode === 'centerline') {
+    const mask = strokeMask(grayscale, options.inkThreshold ?? undefined)
+    onProgress(0.2)
+    const centerlines = traceCenterlines(mask, width, height)
+    if (centerlines.length === 0) {
+      throw new Error('Could not find any strokes in the image. Try an image with darker lines.')
+    }
+    return simplify(centerlines)
+  }
+
+  // Detect edges
+  const edges = detectEdges(grayscale, width, height)
+  onProgress(0.4)
+
+  // Find edge threshold (adaptive)
+  const edgeValues = Array.from(edges).filter(v => v > 0).sort((a, b) => b - a)
+  const edgeThreshold = edgeValues.length > 0 ? edgeValues[Math.floor(edgeValues.length * options.edgeFraction)] : 50
+
+  // Trace contours
+  onProgress(0.5)
+  let contours = traceContours(edges, width, height, edgeThreshold)
+
+  if (contours.length === 0) {
+    // Fallback: try lower threshold
+    const lowerThreshold = edgeThreshold * 0.5
+    contours = traceContours(edges, width, height, lowerThreshold)
+  }
+
+  if (contours.length === 0) {
+    throw new Error('Could not detect outline in the image. Try an image with clearer edges.')
+  }
+
+  return simplify(contours)
+}
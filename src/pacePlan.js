@@ -0,0 +1,143 @@
+// Pace planning: estimated duration and split times for covering the route at a steady
+// pace (runs and walks) or speed (rides), slowed on climbs and sped up on descents when the
+// route's elevations are known. Paces are kept in seconds per mile like the exporters;
+// these helpers convert them for display and input in the preferred units.
+
+import { METERS_PER_MILE } from './geo'
+import { findUnitSystem } from './units'
+
+// `climbCost` and `descentGain` are rough rules of thumb for how much slower (or faster)
+// the pace gets per percent of grade
+export const PLAN_ACTIVITIES = [
+  { value: 'running', label: 'Run', input: 'pace', defaultSecondsPerMile: 540, climbCost: 0.033, descentGain: 0.018 },
+  { value: 'cycling', label: 'Ride', input: 'speed', defaultSecondsPerMile: 240, climbCost: 0.08, descentGain: 0.03 },
+  { value: 'walking', label: 'Walk', input: 'pace', defaultSecondsPerMile: 1080, climbCost: 0.06, descentGain: 0.01 }
+]
+
+// Descents steeper than this don't get any faster
+const MAX_HELPFUL_DESCENT = 0.1
+
+export const DEFAULT_PACE_PLAN = {
+  activity: 'running',
+  // Last pace used for each activity, so switching back and forth keeps them
+  paces: Object.fromEntries(PLAN_ACTIVITIES.map(activity => [activity.value, activity.defaultSecondsPerMile]))
+}
+
+export const findPlanActivity = (value) => PLAN_ACTIVITIES.find(activity => activity.value === value) || PLAN_ACTIVITIES[0]
+
+// Parse "m:ss" or plain minutes into seconds, or null if invalid
+export const parsePace = (value) => {
+  const text = String(value).trim()
+  if (!text) return null
+  const parts = text.split(':')
+  if (parts.length > 2) return null
+  const minutes = parseFloat(parts[0])
+  const seconds = parts.length === 2 ? parseFloat(parts[1]) : 0
+  if (isNaN(minutes) || isNaN(seconds) || seconds < 0 || seconds >= 60) return null
+  const total = minutes * 60 + seconds
+  return total > 0 ? total : null
+}
+
+// Seconds as "m:ss"
+export const formatPace = (seconds) => {
+  const rounded = Math.round(seconds)
+  return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`
+}
+
+// Seconds as "h:mm:ss", or "m:ss" under an hour
+export const formatDuration = (seconds) => {
+  const rounded = Math.round(seconds)
+  const hours = Math.floor(rounded / 3600)
+  if (hours === 0) return formatPace(rounded)
+  return `${hours}:${String(Math.floor((rounded % 3600) / 60)).padStart(2, '0')}:${String(rounded % 60).padStart(2, '0')}`
+}
+
+// Seconds per mile to seconds per preferred distance unit (mi or km), and back
+export const paceInUnits = (secondsPerMile, units) => secondsPerMile * findUnitSystem(units).metersPerDistance / METERS_PER_MILE
+export const pacePerMile = (secondsPerUnit, units) => secondsPerUnit * METERS_PER_MILE / findUnitSystem(units).metersPerDistance
+
+// Label for the pace or speed input, e.g. "min/km" or "mph"
+export const paceLabel = (activity, units) => {
+  const { distance } = findUnitSystem(units)
+  if (findPlanActivity(activity).input === 'pace') return `min/${distance}`
+  return distance === 'mi' ? 'mph' : 'km/h'
+}
+
+// The pace as typed into the input: "m:ss" per unit for paces, a speed for rides
+export const paceInputValue = (secondsPerMile, activity, units) => {
+  const secondsPerUnit = paceInUnits(secondsPerMile, units)
+  if (findPlanActivity(activity).input === 'pace') return formatPace(secondsPerUnit)
+  return String(Math.round(3600 / secondsPerUnit * 10) / 10)
+}
+
+// Parse the pace or speed input into seconds per mile, or null if invalid
+export const parsePaceInput = (value, activity, units) => {
+  if (findPlanActivity(activity).input === 'pace') {
+    const seconds = parsePace(value)
+    return seconds ? pacePerMile(seconds, units) : null
+  }
+  const speed = parseFloat(value)
+  return speed > 0 ? pacePerMile(3600 / speed, units) : null
+}
+
+// Pace multiplier on a grade (rise over run, e.g. 0.05 for 5% uphill)
+const gradeFactor = (grade, activity) => {
+  const { climbCost, descentGain } = findPlanActivity(activity)
+  if (grade >= 0) return 1 + climbCost * grade * 100
+  return 1 - descentGain * Math.min(-grade, MAX_HELPFUL_DESCENT) * 100
+}
+
+// Seconds from the start to reach each route point, adjusting each segment's pace for its
+// grade when `elevations` (meters, one per point) are given
+const elapsedAtPoints = (distances, secondsPerMile, { elevations, activity }) => {
+  const elapsed = [0]
+  for (let i = 1; i < distances.length; i++) {
+    const miles = distances[i] - distances[i - 1]
+    const run = miles * METERS_PER_MILE
+    const factor = elevations && run > 0 ? gradeFactor((elevations[i] - elevations[i - 1]) / run, activity) : 1
+    elapsed.push(elapsed[i - 1] + miles * secondsPerMile * factor)
+  }
+  return elapsed
+}
+
+// Split times at every whole mile or kilometer along a route, plus the final partial split.
+// `distances` are the route's cumulative miles at each point; with `elevations` (meters, one
+// per point) the times allow for climbs and descents at the given activity. Each split is
+// { number, point, miles, elapsed, seconds, partial } with times in seconds.
+export function planSplits(points, distances, secondsPerMile, units, { elevations = null, activity } = {}) {
+  const totalMiles = distances.length > 0 ? distances[distances.length - 1] : 0
+  if (points.length < 2 || totalMiles <= 0) return []
+
+  const pointTimes = elapsedAtPoints(distances, secondsPerMile, { elevations, activity })
+
+  const splitMiles = findUnitSystem(units).metersPerDistance / METERS_PER_MILE
+  const splits = []
+  let previousElapsed = 0
+  let segment = 1
+  for (let number = 1; ; number++) {
+    const partial = number * splitMiles > totalMiles
+    const miles = partial ? totalMiles : number * splitMiles
+    while (segment < points.length - 1 && distances[segment] < miles) segment++
+    const start = distances[segment - 1]
+    const length = distances[segment] - start
+    const t = length > 0 ? (miles - start) / length : 0
+    const previousMiles = (number - 1) * splitMiles
+    // Don't list a sliver of a split left over from rounding
+    if (partial && miles - previousMiles < splitMiles * 0.01) break
+    const [lat1, lng1] = points[segment - 1]
+    const [lat2, lng2] = points[segment]
+    const elapsed = pointTimes[segment - 1] + (pointTimes[segment] - pointTimes[segment - 1]) * t
+
+    splits.push({
+      number,
+      point: [lat1 + (lat2 - lat1) * t, lng1 + (lng2 - lng1) * t],
+      miles,
+      elapsed,
+      seconds: elapsed - previousElapsed,
+      partial
+    })
+    previousElapsed = elapsed
+    if (partial || miles >= totalMiles) break
+  }
+  return splits
+}
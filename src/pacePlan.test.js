@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest'
+import { planSplits, parsePaceInput, paceInputValue } from './pacePlan'
+import { cumulativeDistances, EARTH_RADIUS_METERS, METERS_PER_MILE } from './geo'
+
+const METERS_PER_DEGREE_LAT = EARTH_RADIUS_METERS * Math.PI / 180
+
+// A route due north from a start point, with a point every `step` meters up to `meters`
+const northRoute = (meters, step = 100) => {
+  const points = []
+  for (let d = 0; d < meters - 1e-6; d += step) points.push([37 + d / METERS_PER_DEGREE_LAT, -122])
+  points.push([37 + meters / METERS_PER_DEGREE_LAT, -122])
+  return { points, distances: cumulativeDistances(points) }
+}
+
+// Elevations for a route climbing steadily at `grade`
+const steadyGrade = (distances, grade) => distances.map(miles => miles * METERS_PER_MILE * grade)
+
+describe('planSplits', () => {
+  it('times whole mile splits and a final partial split', () => {
+    const { points, distances } = northRoute(2.5 * METERS_PER_MILE)
+    const splits = planSplits(points, distances, 600, 'imperial')
+
+    expect(splits.map(split => split.number)).toEqual([1, 2, 3])
+    expect(splits.map(split => split.partial)).toEqual([false, false, true])
+    expect(splits.map(split => split.miles)).toEqual([1, 2, distances[distances.length - 1]])
+    splits.forEach((split, i) => {
+      expect(split.elapsed).toBeCloseTo([600, 1200, 1500][i], 6)
+      expect(split.seconds).toBeCloseTo([600, 600, 300][i], 6)
+    })
+    // The first split marker sits one mile along the route
+    expect((splits[0].point[0] - 37) * METERS_PER_DEGREE_LAT).toBeCloseTo(METERS_PER_MILE, 3)
+  })
+
+  it('splits per kilometer in metric units', () => {
+    const { points, distances } = northRoute(5500)
+    const splits = planSplits(points, distances, 600, 'metric')
+
+    const secondsPerKm = 600 * 1000 / METERS_PER_MILE
+    expect(splits).toHaveLength(6)
+    expect(splits[0].miles).toBeCloseTo(1000 / METERS_PER_MILE, 9)
+    expect(splits[0].seconds).toBeCloseTo(secondsPerKm, 6)
+    expect(splits[4].elapsed).toBeCloseTo(5 * secondsPerKm, 6)
+    expect(splits[5].partial).toBe(true)
+    expect(splits[5].seconds).toBeCloseTo(secondsPerKm / 2, 6)
+  })
+
+  it('ends on a whole split without an empty partial one', () => {
+    const { points, distances } = northRoute(3000)
+    const splits = planSplits(points, distances, 600, 'metric')
+    expect(splits).toHaveLength(3)
+    expect(splits.every(split => !split.partial)).toBe(true)
+  })
+
+  it('drops a sliver of a split left over from rounding', () => {
+    const { points, distances } = northRoute(3005)
+    expect(planSplits(points, distances, 600, 'metric')).toHaveLength(3)
+  })
+
+  it('has no splits without a route', () => {
+    expect(planSplits([[37, -122]], [0], 600, 'imperial')).toEqual([])
+    expect(planSplits([], [], 600, 'imperial')).toEqual([])
+  })
+
+  describe('with elevations', () => {
+    const { points, distances } = northRoute(METERS_PER_MILE)
+    const splitTime = (elevations, activity = 'running') =>
+      planSplits(points, distances, 600, 'imperial', { elevations, activity })[0].elapsed
+
+    it('keeps the flat pace on flat ground', () => {
+      expect(splitTime(steadyGrade(distances, 0))).toBeCloseTo(600, 6)
+    })
+
+    it('slows down on climbs and speeds up on descents', () => {
+      // Running: 3.3% slower per percent of climb, 1.8% faster per percent of descent
+      expect(splitTime(steadyGrade(distances, 0.05))).toBeCloseTo(600 * 1.165, 6)
+      expect(splitTime(steadyGrade(distances, -0.05))).toBeCloseTo(600 * 0.91, 6)
+    })
+
+    it('stops speeding up past a 10% descent', () => {
+      expect(splitTime(steadyGrade(distances, -0.2))).toBeCloseTo(splitTime(steadyGrade(distances, -0.1)), 6)
+    })
+
+    it('costs each activity differently', () => {
+      const climb = steadyGrade(distances, 0.05)
+      expect(splitTime(climb, 'walking')).toBeCloseTo(600 * 1.3, 6)
+      expect(splitTime(climb, 'cycling')).toBeCloseTo(600 * 1.4, 6)
+    })
+
+    it('adjusts only the splits that climb', () => {
+      // A point right at the first mile, so no segment is partly flat
+      const route = northRoute(2 * METERS_PER_MILE, METERS_PER_MILE / 16)
+      // Flat for the first mile, then 4% up
+      const elevations = route.distances.map(miles => Math.max(0, miles - 1) * METERS_PER_MILE * 0.04)
+      const splits = planSplits(route.points, route.distances, 600, 'imperial', { elevations, activity: 'running' })
+      expect(splits[0].seconds).toBeCloseTo(600, 6)
+      expect(splits[1].seconds).toBeCloseTo(600 * 1.132, 6)
+    })
+  })
+})
+
+describe('pace input', () => {
+  it('converts paces per kilometer and ride speeds', () => {
+    expect(paceInputValue(540, 'running', 'metric')).toBe('5:36')
+    expect(parsePaceInput('5:36', 'running', 'metric')).toBeCloseTo(336 * METERS_PER_MILE / 1000, 9)
+    expect(paceInputValue(240, 'cycling', 'imperial')).toBe('15')
+    expect(parsePaceInput('15', 'cycling', 'imperial')).toBeCloseTo(240, 9)
+    expect(parsePaceInput('5:75', 'running', 'imperial')).toBeNull()
+  })
+})
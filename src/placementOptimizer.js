@@ -0,0 +1,147 @@
+import { fetchRoute } from './routing'
+import { shapeFidelity, DEFAULT_TOLERANCE_METERS } from './shapeFidelity'
+import { cumulativeDistances, downsamplePoints, boundsSize, shapeToLocal, placeShape, normalizeAngle, angleDifference, METERS_PER_DEGREE } from './geo'
+
+// Automatic placement search: try a traced shape at different positions, rotations and
+// scales within the visible map, route each candidate through the configured engine and
+// rank placements by how well the routed path keeps the shape and how little it detours.
+//
+// A placement is { center: [lat, lng], rotation (degrees clockwise, in (-180, 180]), scale }:
+// where the reference overlay the shape was traced from would go, how it is turned and how
+// much it is scaled.
+
+// Waypoints routed per candidate; one multi-waypoint request keeps the search affordable
+const WAYPOINTS_PER_CANDIDATE = 16
+const GRID_STEPS = 3
+const COARSE_ROTATIONS = [-20, 0, 20]
+// Refinement around the best coarse candidates
+const REFINE_SEEDS = 3
+const REFINE_SHIFT = 0.1 // fraction of the shape's size
+const REFINE_ROTATION = 8
+const REFINE_SCALES = [0.85, 1.15]
+// How much each 100% of extra distance over the shape's own length costs in score
+const DETOUR_WEIGHT = 0.5
+const MAX_RESULTS = 3
+
+const boundsCenter = (bounds) => [(bounds[0][0] + bounds[1][0]) / 2, (bounds[0][1] + bounds[1][1]) / 2]
+
+// Overlay bounds for a placement: the original overlay moved to the new center and scaled
+export function placementBounds(bounds, { center, scale }) {
+  const halfLat = (bounds[1][0] - bounds[0][0]) * scale / 2
+  const halfLng = (bounds[1][1] - bounds[0][1]) * scale / 2
+  return [
+    [center[0] - halfLat, center[1] - halfLng],
+    [center[0] + halfLat, center[1] + halfLng]
+  ]
+}
+
+const lineLength = (points) => {
+  const distances = cumulativeDistances(points)
+  return distances[distances.length - 1]
+}
+
+// Route one candidate placement and score it. Resolves to null if it can't be routed.
+const evaluate = async (localShape, placement, { settings, tolerance, signal }) => {
+  const shape = placeShape(localShape, placement)
+  let route
+  try {
+    route = await fetchRoute(settings, downsamplePoints(shape, WAYPOINTS_PER_CANDIDATE), { signal })
+  } catch (error) {
+    if (signal && signal.aborted) throw error
+    console.warn('Placement candidate failed to route:', error)
+    return null
+  }
+
+  const fidelity = shapeFidelity(route, shape, tolerance)
+  if (!fidelity) return null
+  const detour = lineLength(route) / lineLength(shape)
+  return {
+    placement,
+    shape,
+    route,
+    withinTolerance: fidelity.withinTolerance,
+    hausdorff: fidelity.hausdorff,
+    detour,
+    score: fidelity.withinTolerance - DETOUR_WEIGHT * Math.max(0, detour - 1)
+  }
+}
+
+// Search placements for a traced shape (normalized points within `overlayBounds`, turned by
+// `overlayRotation`) inside `viewBounds`. Resolves with up to MAX_RESULTS distinct placements, best first.
+// `onProgress(done, total)` reports routed candidates; aborting `signal` rejects the search.
+export async function searchPlacements({
+  contour,
+  overlayBounds,
+  overlayRotation = 0,
+  viewBounds,
+  settings,
+  tolerance = DEFAULT_TOLERANCE_METERS,
+  signal,
+  onProgress
+}) {
+  const localShape = shapeToLocal(contour, overlayBounds)
+  const shapeSize = Math.max(...boundsSize(overlayBounds))
+  const options = { settings, tolerance, signal }
+
+  // Coarse pass: the current spot plus a grid over the visible map, at a few rotations
+  const centers = [boundsCenter(overlayBounds)]
+  for (let row = 1; row <= GRID_STEPS; row++) {
+    for (let col = 1; col <= GRID_STEPS; col++) {
+      centers.push([
+        viewBounds[0][0] + (viewBounds[1][0] - viewBounds[0][0]) * row / (GRID_STEPS + 1),
+        viewBounds[0][1] + (viewBounds[1][1] - viewBounds[0][1]) * col / (GRID_STEPS + 1)
+      ])
+    }
+  }
+  const coarse = centers.flatMap(center => COARSE_ROTATIONS.map(offset => ({
+    center,
+    rotation: normalizeAngle(overlayRotation + offset),
+    scale: 1
+  })))
+
+  // The refine pass size is only known once the coarse pass is done
+  let total = coarse.length + REFINE_SEEDS * 8
+  let done = 0
+  const run = (placements) => Promise.all(placements.map(async placement => {
+    const result = await evaluate(localShape, placement, options)
+    done += 1
+    if (onProgress) onProgress(done, total)
+    return result
+  }))
+
+  if (onProgress) onProgress(0, total)
+  const coarseResults = (await run(coarse)).filter(Boolean).sort((a, b) => b.score - a.score)
+
+  // Refine pass: nudge the best coarse placements in position, rotation and scale
+  const shiftLat = shapeSize * REFINE_SHIFT / METERS_PER_DEGREE
+  const refine = coarseResults.slice(0, REFINE_SEEDS).flatMap(({ placement }) => {
+    const { center, rotation, scale } = placement
+    const shiftLng = shiftLat / Math.cos(center[0] * Math.PI / 180)
+    return [
+      { center: [center[0] + shiftLat, center[1]], rotation, scale },
+      { center: [center[0] - shiftLat, center[1]], rotation, scale },
+      { center: [center[0], center[1] + shiftLng], rotation, scale },
+      { center: [center[0], center[1] - shiftLng], rotation, scale },
+      { center, rotation: normalizeAngle(rotation + REFINE_ROTATION), scale },
+      { center, rotation: normalizeAngle(rotation - REFINE_ROTATION), scale },
+      ...REFINE_SCALES.map(factor => ({ center, rotation, scale: scale * factor }))
+    ]
+  })
+  total = coarse.length + refine.length
+  const refineResults = (await run(refine)).filter(Boolean)
+
+  // Keep the best placements that aren't near-duplicates of a better one
+  const minSeparation = shapeSize * 0.25
+  const ranked = [...coarseResults, ...refineResults].sort((a, b) => b.score - a.score)
+  const results = []
+  ranked.forEach(result => {
+    if (results.length >= MAX_RESULTS) return
+    const isDuplicate = results.some(other => {
+      const [width, height] = boundsSize([other.placement.center, result.placement.center])
+      return Math.hypot(width, height) < minSeparation &&
+        angleDifference(other.placement.rotation, result.placement.rotation) < REFINE_ROTATION * 2
+    })
+    if (!isDuplicate) results.push(result)
+  })
+  return results
+}
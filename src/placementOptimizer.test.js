@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { searchPlacements, placementBounds } from './placementOptimizer'
+import { centroid, haversineDistance, METERS_PER_DEGREE, METERS_PER_MILE } from './geo'
+
+// Stubbed router: routes through the waypoints wherever the scripted `route` says
+const { fetchRoute } = vi.hoisted(() => ({ fetchRoute: vi.fn() }))
+vi.mock('./routing', () => ({ fetchRoute }))
+
+// A square traced from an overlay about 1 km across, somewhere in a view about 11 km across
+const contour = [[0.1, 0.1], [0.9, 0.1], [0.9, 0.9], [0.1, 0.9], [0.1, 0.1]]
+const overlayBounds = [[37.745, -122.455], [37.755, -122.445]]
+const viewBounds = [[37.7, -122.5], [37.8, -122.4]]
+// Center of the grid's top-right cell, where roads happen to fit the shape
+const target = [37.775, -122.425]
+
+const metersFrom = (a, b) => haversineDistance(a, b) * METERS_PER_MILE
+
+// Roads follow the shape near the target; elsewhere the route runs 500 m north of it
+const roadsNearTarget = async (settings, waypoints, { signal } = {}) => {
+  await Promise.resolve()
+  signal?.throwIfAborted()
+  if (metersFrom(centroid(waypoints), target) < 300) return waypoints
+  return waypoints.map(([lat, lng]) => [lat + 500 / METERS_PER_DEGREE, lng])
+}
+
+beforeEach(() => {
+  fetchRoute.mockReset()
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+describe('searchPlacements', () => {
+  it('ranks the best-scoring placement first', async () => {
+    fetchRoute.mockImplementation(roadsNearTarget)
+
+    const results = await searchPlacements({ contour, overlayBounds, viewBounds, settings: {} })
+
+    expect(results.length).toBeGreaterThan(0)
+    expect(results.length).toBeLessThanOrEqual(3)
+    expect(results[0].score).toBeCloseTo(1, 6)
+    expect(results[0].withinTolerance).toBe(1)
+    expect(metersFrom(results[0].placement.center, target)).toBeLessThan(300)
+    results.slice(1).forEach((result, i) => expect(result.score).toBeLessThanOrEqual(results[i].score))
+  })
+
+  it('routes a coarse grid at three rotations and then refines the best seeds', async () => {
+    fetchRoute.mockImplementation(roadsNearTarget)
+    const progress = []
+
+    await searchPlacements({
+      contour,
+      overlayBounds,
+      overlayRotation: 170,
+      viewBounds,
+      settings: {},
+      onProgress: (done, total) => progress.push([done, total])
+    })
+
+    // 10 centers (the current spot and a 3x3 grid) at 3 rotations, then 8 nudges of 3 seeds
+    expect(fetchRoute).toHaveBeenCalledTimes(30 + 24)
+    expect(progress[progress.length - 1]).toEqual([54, 54])
+  })
+
+  it('keeps rotations within (-180, 180]', async () => {
+    // Roads fit everywhere, so every rotation scores the same
+    fetchRoute.mockImplementation(async (settings, waypoints) => waypoints)
+
+    const results = await searchPlacements({ contour, overlayBounds, overlayRotation: 170, viewBounds, settings: {} })
+
+    results.forEach(({ placement }) => {
+      expect(placement.rotation).toBeGreaterThan(-180)
+      expect(placement.rotation).toBeLessThanOrEqual(180)
+    })
+    expect(results.map(result => result.placement.rotation)).toContain(-170)
+  })
+
+  it('skips candidates that fail to route', async () => {
+    fetchRoute.mockImplementation(async (settings, waypoints) => {
+      if (metersFrom(centroid(waypoints), target) >= 300) throw new Error('No route found')
+      return waypoints
+    })
+
+    const results = await searchPlacements({ contour, overlayBounds, viewBounds, settings: {} })
+
+    expect(results.length).toBeGreaterThan(0)
+    results.forEach(result => expect(metersFrom(result.placement.center, target)).toBeLessThan(300))
+  })
+
+  it('stops when the search is aborted', async () => {
+    fetchRoute.mockImplementation(roadsNearTarget)
+    const controller = new AbortController()
+
+    const search = searchPlacements({
+      contour,
+      overlayBounds,
+      viewBounds,
+      settings: {},
+      signal: controller.signal,
+      onProgress: (done) => {
+        if (done === 0) controller.abort()
+      }
+    })
+
+    await expect(search).rejects.toThrow()
+    // Nothing past the coarse pass was routed
+    expect(fetchRoute).toHaveBeenCalledTimes(30)
+  })
+})
+
+describe('placementBounds', () => {
+  it('moves and scales the overlay around the new center', () => {
+    const bounds = placementBounds(overlayBounds, { center: [10, 20], scale: 2 })
+    expect(bounds[0][0]).toBeCloseTo(9.99, 9)
+    expect(bounds[0][1]).toBeCloseTo(19.99, 9)
+    expect(bounds[1][0]).toBeCloseTo(10.01, 9)
+    expect(bounds[1][1]).toBeCloseTo(20.01, 9)
+  })
+})
@@ -0,0 +1,62 @@
+// Google encoded polyline algorithm.
+// Precision 5 is the common default; Valhalla and OSRM's polyline6 use 6.
+export function encodePolyline(points, precision = 5) {
+  const factor = 10 ** precision
+  let lastLat = 0
+  let lastLng = 0
+  let result = ''
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1
+    let chunk = ''
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63)
+      v >>= 5
+    }
+    return chunk + String.fromCharCode(v + 63)
+  }
+
+  points.forEach(([lat, lng]) => {
+    const latInt = Math.round(lat * factor)
+    const lngInt = Math.round(lng * factor)
+    result += encodeValue(latInt - lastLat) + encodeValue(lngInt - lastLng)
+    lastLat = latInt
+    lastLng = lngInt
+  })
+
+  return result
+}
+
+export function decodePolyline(encoded, precision = 5) {
+  const factor = 10 ** precision
+  const points = []
+  let index = 0
+  let lat = 0
+  let lng = 0
+
+  const decodeValue = () => {
+    let result = 0
+    let shift = 0
+    let byte
+    do {
+      if (index >= encoded.length) throw new Error('Truncated polyline')
+      byte = encoded.charCodeAt(index++) - 63
+      if (byte < 0 || byte > 63) throw new Error('Invalid polyline character')
+      result |= (byte & 0x1f) << shift
+      shift += 5
+    } while (byte >= 0x20)
+    return result & 1 ? ~(result >> 1) : result >> 1
+  }
+
+  while (index < encoded.length) {
+    lat += decodeValue()
+    lng += decodeValue()
+    const point = [lat / factor, lng / factor]
+    if (Math.abs(point[0]) > 90 || Math.abs(point[1]) > 180) {
+      throw new Error('Polyline point out of range')
+    }
+    points.push(point)
+  }
+
+  return points
+}
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest'
+import { encodePolyline, decodePolyline } from './polyline'
+
+// The worked example from Google's polyline algorithm documentation
+const googlePoints = [[38.5, -120.2], [40.7, -120.95], [43.252, -126.453]]
+const googleEncoded = '_p~iF~ps|U_ulLnnqC_mqNvxq`@'
+
+describe('encodePolyline', () => {
+  it('matches the reference encoding', () => {
+    expect(encodePolyline(googlePoints)).toBe(googleEncoded)
+  })
+
+  it('encodes nothing for an empty path', () => {
+    expect(encodePolyline([])).toBe('')
+  })
+})
+
+describe('decodePolyline', () => {
+  it('matches the reference decoding', () => {
+    expect(decodePolyline(googleEncoded)).toEqual(googlePoints)
+  })
+
+  it('round trips at precision 6', () => {
+    const points = [[37.774929, -122.419416], [-33.868820, 151.209296]]
+    expect(decodePolyline(encodePolyline(points, 6), 6)).toEqual(points)
+  })
+
+  it('rejects truncated input', () => {
+    expect(() => decodePolyline(googleEncoded.slice(0, -1))).toThrow('Truncated polyline')
+  })
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => decodePolyline('_p~iF ps|U')).toThrow('Invalid polyline character')
+  })
+
+  it('rejects points off the globe', () => {
+    expect(() => decodePolyline(encodePolyline([[95, 0]]))).toThrow('Polyline point out of range')
+    expect(() => decodePolyline(encodePolyline([[0, -181]]))).toThrow('Polyline point out of range')
+  })
+})
@@ -0,0 +1,21 @@
+// Small user preferences persisted in localStorage (separate from the design session)
+
+const PREFIX = 'strava-art-creator:pref:'
+
+export function loadPreference(key, fallback) {
+  try {
+    const raw = localStorage.getItem(PREFIX + key)
+    return raw === null ? fallback : JSON.parse(raw)
+  } catch (error) {
+    console.warn(`Could not read preference "${key}":`, error)
+    return fallback
+  }
+}
+
+export function savePreference(key, value) {
+  try {
+    localStorage.setItem(PREFIX + key, JSON.stringify(value))
+  } catch (error) {
+    console.warn(`Could not save preference "${key}":`, error)
+  }
+}
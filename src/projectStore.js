@@ -0,0 +1,187 @@
+import L from 'leaflet'
+import { SESSION_VERSION, migrateState } from './session'
+
+// Named project storage in IndexedDB.
+// A project wraps the same editor state shape the session autosave uses, so it is
+// versioned and migrated the same way.
+
+const DB_NAME = 'strava-art-creator'
+const DB_VERSION = 1
+const STORE = 'projects'
+const BUNDLE_FORMAT = 'strava-art-creator-library'
+const THUMBNAIL_SIZE = 96
+
+let dbPromise = null
+
+const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not supported in this browser'))
+        return
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(STORE)) {
+          db.createObjectStore(STORE, { keyPath: 'id' })
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // Allow a later retry if opening failed
+    dbPromise.catch(() => { dbPromise = null })
+  }
+  return dbPromise
+}
+
+// Run a single request against the projects store and resolve with its result
+const withStore = async (mode, callback) => {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode)
+    const request = callback(tx.objectStore(STORE))
+    tx.oncomplete = () => resolve(request ? request.result : undefined)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+
+// Draw the route (or drawn lines if there is no route) into a small PNG data URL
+export function renderThumbnail(state) {
+  const lines = state.points && state.points.length > 1 ? [state.points] : (state.drawnLines || [])
+  const all = lines.flat()
+  if (all.length < 2) return null
+
+  const bounds = L.latLngBounds(all)
+  const minLat = bounds.getSouth()
+  const maxLat = bounds.getNorth()
+  const minLng = bounds.getWest()
+  const maxLng = bounds.getEast()
+  // Correct longitude spacing so shapes aren't stretched away from the equator
+  const lngScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180)
+  const spanX = (maxLng - minLng) * lngScale
+  const spanY = maxLat - minLat
+  const span = Math.max(spanX, spanY) || 1
+  const padding = 8
+  const size = THUMBNAIL_SIZE - padding * 2
+  const offsetX = padding + (size - (spanX / span) * size) / 2
+  const offsetY = padding + (size - (spanY / span) * size) / 2
+
+  const canvas = document.createElement('canvas')
+  canvas.width = THUMBNAIL_SIZE
+  canvas.height = THUMBNAIL_SIZE
+  const ctx = canvas.getContext('2d')
+  ctx.fillStyle = '#eef2ff'
+  ctx.fillRect(0, 0, THUMBNAIL_SIZE, THUMBNAIL_SIZE)
+  ctx.strokeStyle = state.points && state.points.length > 1 ? '#667eea' : '#ef4444'
+  ctx.lineWidth = 2
+  ctx.lineJoin = 'round'
+
+  lines.forEach(line => {
+    ctx.beginPath()
+    line.forEach((p, i) => {
+      const x = offsetX + ((p[1] - minLng) * lngScale / span) * size
+      const y = offsetY + ((maxLat - p[0]) / span) * size
+      if (i === 0) ctx.moveTo(x, y)
+      else ctx.lineTo(x, y)
+    })
+    ctx.stroke()
+  })
+
+  return canvas.toDataURL('image/png')
+}
+
+// List projects without their full state, newest first
+export async function listProjects() {
+  const projects = await withStore('readonly', store => store.getAll())
+  return projects
+    .map(({ state, ...summary }) => summary)
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+}
+
+// Load a project with its state migrated to the current schema
+export async function getProject(id) {
+  const project = await withStore('readonly', store => store.get(id))
+  if (!project) throw new Error('Project not found')
+
+  const state = migrateState(project.version, project.state)
+  if (!state) throw new Error('This project was saved by a newer version of the app')
+  return { ...project, state, version: SESSION_VERSION }
+}
+
+// Create a project (no id) or overwrite an existing one. Resolves with the saved project.
+export async function saveProject({ id, name, state, distance = null }) {
+  const now = Date.now()
+  const existing = id ? await withStore('readonly', store => store.get(id)) : null
+  const project = {
+    id: id || newId(),
+    name,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+    distance,
+    thumbnail: renderThumbnail(state),
+    version: SESSION_VERSION,
+    state
+  }
+  await withStore('readwrite', store => store.put(project))
+  return project
+}
+
+export async function renameProject(id, name) {
+  const project = await withStore('readonly', store => store.get(id))
+  if (!project) throw new Error('Project not found')
+  await withStore('readwrite', store => store.put({ ...project, name, updatedAt: Date.now() }))
+}
+
+export async function duplicateProject(id) {
+  const project = await withStore('readonly', store => store.get(id))
+  if (!project) throw new Error('Project not found')
+  const now = Date.now()
+  const copy = { ...project, id: newId(), name: `${project.name} (copy)`, createdAt: now, updatedAt: now }
+  await withStore('readwrite', store => store.put(copy))
+  return copy
+}
+
+export async function deleteProject(id) {
+  await withStore('readwrite', store => store.delete(id))
+}
+
+// Serialize every project into a JSON bundle for backup or sharing
+export async function exportLibrary() {
+  const projects = await withStore('readonly', store => store.getAll())
+  return JSON.stringify({
+    format: BUNDLE_FORMAT,
+    exportedAt: Date.now(),
+    projects
+  })
+}
+
+// Add the projects from a JSON bundle. Imported projects get fresh ids so they never
+// overwrite existing ones. Resolves with the number of projects imported.
+export async function importLibrary(text) {
+  let bundle
+  try {
+    bundle = JSON.parse(text)
+  } catch (error) {
+    throw new Error('File is not valid JSON')
+  }
+  if (!bundle || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.projects)) {
+    throw new Error('File is not a project library export')
+  }
+
+  const projects = bundle.projects.filter(project =>
+    project && typeof project.name === 'string' && migrateState(project.version, project.state)
+  )
+  const now = Date.now()
+  await withStore('readwrite', store => {
+    projects.forEach(project => {
+      store.put({ ...project, id: newId(), createdAt: project.createdAt || now, updatedAt: project.updatedAt || now })
+    })
+    return null
+  })
+  return projects.length
+}
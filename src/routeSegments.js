@@ -0,0 +1,102 @@
+// Per-segment route metadata. `segmentKinds[i]` describes the segment between route
+// points i and i + 1, so a route with n points has n - 1 kinds.
+//   snapped  - follows roads returned by the routing engine
+//   fallback - straight line used because routing failed
+//   manual   - drawn or placed freehand without snapping
+
+export const SEGMENT_SNAPPED = 'snapped'
+export const SEGMENT_FALLBACK = 'fallback'
+export const SEGMENT_MANUAL = 'manual'
+
+// Kinds for a run of `pointCount` points that were all created the same way
+export const kindsFor = (pointCount, kind) => Array(Math.max(0, pointCount - 1)).fill(kind)
+
+// Line stored kinds up with the route. Saves and share links from before segment
+// metadata existed have none, so their segments are treated as manual.
+export function alignSegmentKinds(kinds, pointCount) {
+  const expected = Math.max(0, pointCount - 1)
+  const aligned = Array.isArray(kinds) ? kinds.slice(0, expected) : []
+  while (aligned.length < expected) aligned.push(SEGMENT_MANUAL)
+  return aligned
+}
+
+// Join sections ({ points, kinds }) that share their end/start point into one route section
+export function joinSections(sections) {
+  const joined = { points: [], kinds: [] }
+  sections.forEach(section => {
+    if (section.points.length === 0) return
+    if (joined.points.length === 0) {
+      joined.points.push(...section.points)
+    } else {
+      joined.points.push(...section.points.slice(1))
+    }
+    joined.kinds.push(...section.kinds)
+  })
+  return joined
+}
+
+// Replace route points start..end (inclusive) with a section's points, and the segments
+// between them with the section's kinds. The section's ends take the place of start and end.
+export const splicePoints = (points, start, end, section) =>
+  [...points.slice(0, start), ...section.points, ...points.slice(end + 1)]
+export const spliceKinds = (kinds, start, end, section) =>
+  [...kinds.slice(0, start), ...section.kinds, ...kinds.slice(end)]
+
+// The part of the route a vertex edit re-routes: points start..end are replaced by a path
+// through `anchors`, so only the segments touching the edited vertex change.
+export function moveVertexSection(points, index, moved) {
+  return {
+    start: Math.max(0, index - 1),
+    end: Math.min(points.length - 1, index + 1),
+    anchors: [
+      ...(index > 0 ? [points[index - 1]] : []),
+      moved,
+      ...(index < points.length - 1 ? [points[index + 1]] : [])
+    ]
+  }
+}
+
+// Deleting an end point just drops it; an inner one reconnects its neighbours
+export function deleteVertexSection(points, index) {
+  if (index === 0) return { start: 0, end: Math.min(1, points.length - 1), anchors: points.slice(1, 2) }
+  if (index === points.length - 1) return { start: index - 1, end: index, anchors: [points[index - 1]] }
+  return { start: index - 1, end: index + 1, anchors: [points[index - 1], points[index + 1]] }
+}
+
+// Inserting splits the segment after points[segment]
+export const insertVertexSection = (points, segment, inserted) => ({
+  start: segment,
+  end: segment + 1,
+  anchors: [points[segment], inserted, points[segment + 1]]
+})
+
+// Group consecutive segments of the same kind into polylines for drawing.
+// Each run has its kind, its points and the index of its first route point.
+export function segmentRuns(points, kinds) {
+  const runs = []
+  for (let i = 0; i < points.length - 1; i++) {
+    const kind = kinds[i] || SEGMENT_MANUAL
+    const last = runs[runs.length - 1]
+    if (last && last.kind === kind) {
+      last.points.push(points[i + 1])
+    } else {
+      runs.push({ kind, start: i, points: [points[i], points[i + 1]] })
+    }
+  }
+  return runs
+}
+
+// Inclusive [start, end] route point ranges covered by fallback segments
+export function fallbackRanges(kinds) {
+  const ranges = []
+  kinds.forEach((kind, i) => {
+    if (kind !== SEGMENT_FALLBACK) return
+    const last = ranges[ranges.length - 1]
+    if (last && last[1] === i) {
+      last[1] = i + 1
+    } else {
+      ranges.push([i, i + 1])
+    }
+  })
+  return ranges
+}
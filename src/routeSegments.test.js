@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest'
+import {
+  SEGMENT_SNAPPED,
+  SEGMENT_FALLBACK,
+  SEGMENT_MANUAL,
+  kindsFor,
+  alignSegmentKinds,
+  joinSections,
+  splicePoints,
+  spliceKinds,
+  moveVertexSection,
+  deleteVertexSection,
+  insertVertexSection,
+  segmentRuns,
+  fallbackRanges
+} from './routeSegments'
+
+const S = SEGMENT_SNAPPED
+const F = SEGMENT_FALLBACK
+const M = SEGMENT_MANUAL
+
+// A five point route whose segments are all different, so misplaced kinds show up
+const points = [[0, 0], [0, 1], [0, 2], [0, 3], [0, 4]]
+const kinds = [S, F, M, S]
+
+// Stand-in for routing: a road between each pair of anchors with a midpoint on it
+const routeThrough = (anchors) => joinSections(anchors.slice(1).map((end, i) => {
+  const start = anchors[i]
+  const middle = [start[0] + 0.5, (start[1] + end[1]) / 2]
+  return { points: [start, middle, end], kinds: kindsFor(3, S) }
+}))
+
+// Apply a vertex edit the way the editor does
+const applyEdit = ({ start, end, anchors }, connect = routeThrough) => {
+  const section = anchors.length < 2 ? { points: anchors, kinds: [] } : connect(anchors)
+  return {
+    points: splicePoints(points, start, end, section),
+    kinds: spliceKinds(kinds, start, end, section)
+  }
+}
+
+describe('kindsFor and alignSegmentKinds', () => {
+  it('give one kind per segment', () => {
+    expect(kindsFor(3, S)).toEqual([S, S])
+    expect(kindsFor(1, S)).toEqual([])
+    expect(kindsFor(0, S)).toEqual([])
+  })
+
+  it('pad missing kinds as manual and drop extra ones', () => {
+    expect(alignSegmentKinds(undefined, 3)).toEqual([M, M])
+    expect(alignSegmentKinds([S], 3)).toEqual([S, M])
+    expect(alignSegmentKinds([S, F, S], 2)).toEqual([S])
+  })
+})
+
+describe('joinSections', () => {
+  it('shares the point where sections meet', () => {
+    const joined = joinSections([
+      { points: [[0, 0], [0, 1]], kinds: [S] },
+      { points: [], kinds: [] },
+      { points: [[0, 1], [0, 2], [0, 3]], kinds: [F, F] }
+    ])
+    expect(joined.points).toEqual([[0, 0], [0, 1], [0, 2], [0, 3]])
+    expect(joined.kinds).toEqual([S, F, F])
+  })
+})
+
+describe('splicePoints and spliceKinds', () => {
+  it('replace the segments between start and end', () => {
+    const section = { points: [[0, 1], [1, 1.5], [0, 3]], kinds: [S, S] }
+    expect(splicePoints(points, 1, 3, section)).toEqual([[0, 0], [0, 1], [1, 1.5], [0, 3], [0, 4]])
+    expect(spliceKinds(kinds, 1, 3, section)).toEqual([S, S, S, S])
+  })
+})
+
+describe('vertex edits', () => {
+  it('moving an inner vertex re-routes only its two segments', () => {
+    const edited = applyEdit(moveVertexSection(points, 2, [5, 2]))
+    expect(edited.points).toEqual([[0, 0], [0, 1], [0.5, 1.5], [5, 2], [5.5, 2.5], [0, 3], [0, 4]])
+    expect(edited.kinds).toEqual([S, S, S, S, S, S])
+  })
+
+  it('moving an end vertex re-routes its one segment', () => {
+    const first = applyEdit(moveVertexSection(points, 0, [5, 0]), anchors => ({ points: anchors, kinds: [M] }))
+    expect(first.points).toEqual([[5, 0], [0, 1], [0, 2], [0, 3], [0, 4]])
+    expect(first.kinds).toEqual([M, F, M, S])
+
+    const last = applyEdit(moveVertexSection(points, 4, [5, 4]), anchors => ({ points: anchors, kinds: [F] }))
+    expect(last.points).toEqual([[0, 0], [0, 1], [0, 2], [0, 3], [5, 4]])
+    expect(last.kinds).toEqual([S, F, M, F])
+  })
+
+  it('deleting an inner vertex reconnects its neighbours', () => {
+    const edited = applyEdit(deleteVertexSection(points, 2), anchors => ({ points: anchors, kinds: [M] }))
+    expect(edited.points).toEqual([[0, 0], [0, 1], [0, 3], [0, 4]])
+    expect(edited.kinds).toEqual([S, M, S])
+  })
+
+  it('deleting an end vertex drops its segment', () => {
+    const first = applyEdit(deleteVertexSection(points, 0))
+    expect(first.points).toEqual(points.slice(1))
+    expect(first.kinds).toEqual([F, M, S])
+
+    const last = applyEdit(deleteVertexSection(points, 4))
+    expect(last.points).toEqual(points.slice(0, 4))
+    expect(last.kinds).toEqual([S, F, M])
+  })
+
+  it('deleting the only vertex leaves an empty route', () => {
+    const { start, end, anchors } = deleteVertexSection([[0, 0]], 0)
+    expect(splicePoints([[0, 0]], start, end, { points: anchors, kinds: [] })).toEqual([])
+    expect(spliceKinds([], start, end, { points: anchors, kinds: [] })).toEqual([])
+  })
+
+  it('inserting splits one segment in two', () => {
+    const edited = applyEdit(insertVertexSection(points, 1, [3, 1.5]), anchors => ({ points: anchors, kinds: [M, M] }))
+    expect(edited.points).toEqual([[0, 0], [0, 1], [3, 1.5], [0, 2], [0, 3], [0, 4]])
+    expect(edited.kinds).toEqual([S, M, M, M, S])
+  })
+})
+
+describe('segmentRuns', () => {
+  it('groups consecutive segments of the same kind', () => {
+    const runs = segmentRuns(points, [S, S, F, S])
+    expect(runs).toEqual([
+      { kind: S, start: 0, points: [[0, 0], [0, 1], [0, 2]] },
+      { kind: F, start: 2, points: [[0, 2], [0, 3]] },
+      { kind: S, start: 3, points: [[0, 3], [0, 4]] }
+    ])
+  })
+
+  it('treats segments without a kind as manual', () => {
+    expect(segmentRuns(points.slice(0, 3), [])).toEqual([{ kind: M, start: 0, points: points.slice(0, 3) }])
+  })
+})
+
+describe('fallbackRanges', () => {
+  it('covers each run of fallback segments with its end points', () => {
+    expect(fallbackRanges([S, F, F, S, F, M, F])).toEqual([[1, 3], [4, 5], [6, 7]])
+  })
+
+  it('is empty when nothing failed', () => {
+    expect(fallbackRanges([S, M, S])).toEqual([])
+  })
+
+  it('lines up with the points retrying replaces', () => {
+    const failed = [S, F, F, S]
+    const [[start, end]] = fallbackRanges(failed)
+    const section = routeThrough(points.slice(start, end + 1))
+    const retried = spliceKinds(failed, start, end, section)
+    expect(splicePoints(points, start, end, section)).toHaveLength(retried.length + 1)
+    expect(retried).toEqual([S, S, S, S, S, S])
+  })
+})
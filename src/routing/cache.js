@@ -0,0 +1,78 @@
+// Route cache: an in-memory Map in front of an IndexedDB store, so re-snapping or
+// retracing a design doesn't repeat the same routing requests across visits.
+
+const DB_NAME = 'strava-art-creator-route-cache'
+const DB_VERSION = 1
+const STORE = 'routes'
+const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000 // Road data changes, so expire after 30 days
+
+// Routes kept in memory, least recently used first; older ones are still in IndexedDB
+const MEMORY_CACHE_SIZE = 200
+const memory = new Map()
+let dbPromise = null
+
+const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not supported in this browser'))
+        return
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE)
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+  return dbPromise
+}
+
+// Store a route in memory as the most recently used, evicting the oldest past the cap
+const remember = (key, route) => {
+  memory.delete(key)
+  memory.set(key, route)
+  if (memory.size > MEMORY_CACHE_SIZE) memory.delete(memory.keys().next().value)
+}
+
+// Endpoints are rounded to ~1 m so clicks on the same spot share a cache entry
+const roundPoint = (point) => `${point[0].toFixed(5)},${point[1].toFixed(5)}`
+
+export const routeCacheKey = ({ provider, baseUrl, profile }, waypoints) =>
+  `${provider}|${baseUrl}|${profile}|${waypoints.map(roundPoint).join('|')}`
+
+export async function getCachedRoute(key) {
+  if (memory.has(key)) {
+    const route = memory.get(key)
+    remember(key, route)
+    return route
+  }
+
+  try {
+    const db = await openDB()
+    const entry = await new Promise((resolve, reject) => {
+      const request = db.transaction(STORE, 'readonly').objectStore(STORE).get(key)
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    if (entry && Date.now() - entry.savedAt < MAX_AGE_MS) {
+      remember(key, entry.route)
+      return entry.route
+    }
+  } catch (error) {
+    // The persistent cache is best-effort; fall through to a network request
+    console.warn('Route cache read failed:', error)
+  }
+  return null
+}
+
+export async function setCachedRoute(key, route) {
+  remember(key, route)
+  try {
+    const db = await openDB()
+    db.transaction(STORE, 'readwrite').objectStore(STORE).put({ route, savedAt: Date.now() }, key)
+  } catch (error) {
+    console.warn('Route cache write failed:', error)
+  }
+}
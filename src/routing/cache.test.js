@@ -0,0 +1,32 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { routeCacheKey, getCachedRoute, setCachedRoute } from './cache'
+
+const route = (i) => [[i, 0], [i, 1]]
+const key = (i) => routeCacheKey({ provider: 'osrm', baseUrl: 'http://localhost:5000', profile: 'car' }, route(i))
+
+// jsdom has no IndexedDB, so only the in-memory layer answers
+beforeEach(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+describe('route cache', () => {
+  it('rounds waypoints to about a meter in its keys', () => {
+    const options = { provider: 'osrm', baseUrl: 'http://localhost:5000', profile: 'car' }
+    expect(routeCacheKey(options, [[37.7749001, -122.4194]])).toBe(routeCacheKey(options, [[37.7749049, -122.4194]]))
+    expect(routeCacheKey(options, [[37.7749, -122.4194]])).not.toBe(routeCacheKey(options, [[37.775, -122.4194]]))
+  })
+
+  it('keeps the 200 most recently used routes in memory', async () => {
+    for (let i = 0; i < 200; i++) await setCachedRoute(key(i), route(i))
+    // Reading the oldest route makes it the most recently used
+    expect(await getCachedRoute(key(0))).toEqual(route(0))
+
+    await setCachedRoute(key(200), route(200))
+
+    expect(await getCachedRoute(key(0))).toEqual(route(0))
+    expect(await getCachedRoute(key(1))).toBeNull()
+    expect(await getCachedRoute(key(2))).toEqual(route(2))
+    expect(await getCachedRoute(key(200))).toEqual(route(200))
+  })
+})
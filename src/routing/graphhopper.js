@@ -0,0 +1,28 @@
+import { fetchJSON } from './http'
+
+// GraphHopper provider (hosted API or self-hosted server)
+
+export const graphhopper = {
+  id: 'graphhopper',
+  label: 'GraphHopper',
+  defaultBaseUrl: 'https://graphhopper.com/api/1',
+  profiles: { foot: 'foot', bike: 'bike', car: 'car' },
+  // The hosted API requires a key; self-hosted servers usually don't
+  needsApiKey: true,
+  publicMinIntervalMs: 500,
+
+  async route(waypoints, { baseUrl, profile, apiKey }) {
+    const params = new URLSearchParams()
+    waypoints.forEach(p => params.append('point', `${p[0]},${p[1]}`))
+    params.set('profile', profile)
+    params.set('points_encoded', 'false')
+    if (apiKey) params.set('key', apiKey)
+
+    const data = await fetchJSON(`${baseUrl}/route?${params}`)
+
+    if (!data.paths || data.paths.length === 0) {
+      throw new Error(`GraphHopper returned no path: ${data.message || 'unknown error'}`)
+    }
+    return data.paths[0].points.coordinates.map(coord => [coord[1], coord[0]])
+  }
+}
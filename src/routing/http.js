@@ -0,0 +1,20 @@
+// Fetch JSON from a routing server. Failed requests throw an Error carrying `status`
+// and `retryable` (network failures, rate limiting and server errors are worth retrying).
+export async function fetchJSON(url, options) {
+  let response
+  try {
+    response = await fetch(url, options)
+  } catch (networkError) {
+    const error = new Error(`Network error: ${networkError.message}`)
+    error.retryable = true
+    throw error
+  }
+
+  if (!response.ok) {
+    const error = new Error(`HTTP error! status: ${response.status}`)
+    error.status = response.status
+    error.retryable = response.status === 429 || response.status >= 500
+    throw error
+  }
+  return response.json()
+}
@@ -0,0 +1,207 @@
+import { osrm } from './osrm'
+import { graphhopper } from './graphhopper'
+import { valhalla } from './valhalla'
+import { cumulativeDistances, METERS_PER_MILE } from '../geo'
+import { createRequestQueue } from './queue'
+import { routeCacheKey, getCachedRoute, setCachedRoute } from './cache'
+import { SEGMENT_SNAPPED, SEGMENT_FALLBACK, kindsFor } from '../routeSegments'
+
+// Routing engines that can snap route segments to roads
+export const ROUTING_PROVIDERS = [osrm, graphhopper, valhalla]
+
+export const TRAVEL_PROFILES = [
+  { value: 'foot', label: 'Foot' },
+  { value: 'bike', label: 'Bike' },
+  { value: 'car', label: 'Car' }
+]
+
+// How drawn or traced shapes are snapped: 'route' chains routing requests between
+// downsampled waypoints, 'match' map-matches the whole trace
+export const SNAP_MODES = [
+  { value: 'route', label: 'Route between waypoints' },
+  { value: 'match', label: 'Map-match whole trace' }
+]
+
+export const DEFAULT_ROUTING_SETTINGS = {
+  provider: 'osrm',
+  baseUrl: osrm.defaultBaseUrl,
+  profile: 'car',
+  apiKey: '',
+  snapMode: 'route'
+}
+
+// Search radius around each trace point when map matching
+const MATCH_RADIUS_METERS = 40
+
+// Nominal speeds (m/s) used to give traces plausible timestamps for matching
+const MATCH_SPEEDS = { foot: 3, bike: 6, car: 12 }
+
+// Parallel requests per routing server
+const QUEUE_CONCURRENCY = 4
+
+export const findRoutingProvider = (id) =>
+  ROUTING_PROVIDERS.find(provider => provider.id === id) || ROUTING_PROVIDERS[0]
+
+const resolveSettings = (settings) => {
+  const provider = findRoutingProvider(settings.provider)
+  return {
+    provider,
+    baseUrl: (settings.baseUrl || provider.defaultBaseUrl).replace(/\/+$/, ''),
+    profile: provider.profiles[settings.profile] || provider.profiles.car
+  }
+}
+
+// One queue per server so each is rate limited independently. Public servers get their
+// provider's usage-policy interval; self-hosted ones are only bounded by concurrency.
+const queues = new Map()
+const queueFor = ({ provider, baseUrl }) => {
+  const key = `${provider.id}|${baseUrl}`
+  if (!queues.has(key)) {
+    const isPublic = baseUrl === provider.defaultBaseUrl.replace(/\/+$/, '')
+    queues.set(key, createRequestQueue({
+      concurrency: QUEUE_CONCURRENCY,
+      minIntervalMs: isPublic ? provider.publicMinIntervalMs : 0
+    }))
+  }
+  return queues.get(key)
+}
+
+export const supportsMatching = (settings) => Boolean(findRoutingProvider(settings.provider).match)
+
+// Route through two or more [lat, lng] waypoints in order with the configured engine,
+// going through the cache and the server's request queue. Throws on failure, or when
+// `signal` is aborted before the request leaves the queue.
+export async function fetchRoute(settings, waypoints, { signal } = {}) {
+  const resolved = resolveSettings(settings)
+  const { provider, baseUrl, profile } = resolved
+  const cacheKey = routeCacheKey({ provider: provider.id, baseUrl, profile }, waypoints)
+
+  const cached = await getCachedRoute(cacheKey)
+  if (cached) return cached
+
+  const route = await queueFor(resolved).add(() => {
+    if (signal) signal.throwIfAborted()
+    return provider.route(waypoints, { baseUrl, profile, apiKey: settings.apiKey })
+  })
+  if (!route || route.length === 0) {
+    throw new Error(`${provider.label} returned an empty route`)
+  }
+  setCachedRoute(cacheKey, route)
+  return route
+}
+
+// Turn per-point matched flags into [start, end] index ranges of unmatched points
+const unmatchedRanges = (matched, offset) => {
+  const ranges = []
+  let start = null
+  matched.forEach((isMatched, i) => {
+    if (!isMatched && start === null) start = i
+    if (isMatched && start !== null) {
+      ranges.push([offset + start, offset + i - 1])
+      start = null
+    }
+  })
+  if (start !== null) ranges.push([offset + start, offset + matched.length - 1])
+  return ranges
+}
+
+// Merge overlapping or touching index ranges
+const mergeRanges = (ranges) => ranges
+  .sort((a, b) => a[0] - b[0])
+  .reduce((merged, range) => {
+    const last = merged[merged.length - 1]
+    if (last && range[0] <= last[1] + 1) {
+      last[1] = Math.max(last[1], range[1])
+    } else {
+      merged.push([...range])
+    }
+    return merged
+  }, [])
+
+// Join the matchings of one chunk into a section. The matcher splits the trace where it
+// can't match a gap, so the straight jump between two matchings is a fallback segment.
+const joinMatchings = (geometries) => {
+  const section = { points: [], kinds: [] }
+  geometries.filter(geometry => geometry.length > 0).forEach(geometry => {
+    if (section.points.length > 0) section.kinds.push(SEGMENT_FALLBACK)
+    section.points.push(...geometry)
+    section.kinds.push(...kindsFor(geometry.length, SEGMENT_SNAPPED))
+  })
+  return section
+}
+
+// Map-match a whole trace in chunks and stitch the matched geometry back together.
+// Chunks that fail keep their original points. Resolves with { points, kinds, failedSections }
+// where kinds holds the segment kind between consecutive output points and failedSections
+// are [start, end] index ranges into the input trace.
+// `onProgress(done, total)` is called as chunks complete.
+export async function matchTrace(settings, trace, onProgress) {
+  const resolved = resolveSettings(settings)
+  const { provider, baseUrl, profile } = resolved
+  if (!provider.match) {
+    throw new Error(`${provider.label} does not support map matching`)
+  }
+
+  const speed = MATCH_SPEEDS[settings.profile] || MATCH_SPEEDS.car
+  const distances = cumulativeDistances(trace)
+  // Timestamps must be strictly increasing whole seconds
+  const timestamps = []
+  distances.forEach((miles, i) => {
+    const t = Math.round((miles * METERS_PER_MILE) / speed)
+    timestamps.push(i > 0 ? Math.max(t, timestamps[i - 1] + 1) : t)
+  })
+
+  // Consecutive chunks share one point so the stitched route stays connected
+  const chunkSize = provider.maxMatchPoints
+  const chunks = []
+  for (let start = 0; start < trace.length - 1; start += chunkSize - 1) {
+    chunks.push([start, Math.min(start + chunkSize, trace.length)])
+  }
+
+  let done = 0
+  if (onProgress) onProgress(0, chunks.length)
+  const queue = queueFor(resolved)
+
+  // Chunks are matched in parallel through the queue, then stitched in order
+  const results = await Promise.all(chunks.map(async ([start, end]) => {
+    const chunk = trace.slice(start, end)
+    let result
+    try {
+      const matchResult = await queue.add(() => provider.match(chunk, {
+        baseUrl,
+        profile,
+        radiuses: chunk.map(() => MATCH_RADIUS_METERS),
+        timestamps: timestamps.slice(start, end)
+      }))
+      result = {
+        ...joinMatchings(matchResult.geometries),
+        matched: true,
+        failed: unmatchedRanges(matchResult.matched, start)
+      }
+    } catch (error) {
+      console.warn('Map matching error:', error)
+      result = { points: chunk, kinds: kindsFor(chunk.length, SEGMENT_FALLBACK), matched: false, failed: [[start, end - 1]] }
+    }
+    done += 1
+    if (onProgress) onProgress(done, chunks.length)
+    return result
+  }))
+
+  // The segment joining two chunks only counts as snapped when both chunks matched
+  const kinds = []
+  let previous = null
+  results.forEach(result => {
+    if (result.points.length === 0) return
+    if (previous) {
+      kinds.push(result.matched && previous.matched ? SEGMENT_SNAPPED : SEGMENT_FALLBACK)
+    }
+    kinds.push(...result.kinds)
+    previous = result
+  })
+
+  return {
+    points: results.flatMap(result => result.points),
+    kinds,
+    failedSections: mergeRanges(results.flatMap(result => result.failed))
+  }
+}
@@ -0,0 +1,78 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { matchTrace } from './index'
+import { SEGMENT_SNAPPED, SEGMENT_FALLBACK } from '../routeSegments'
+
+// Stand-in for OSRM whose map matching the tests script
+const { match } = vi.hoisted(() => ({ match: vi.fn() }))
+vi.mock('./osrm', () => ({
+  osrm: {
+    id: 'osrm',
+    label: 'Fake matcher',
+    defaultBaseUrl: 'https://matcher.invalid',
+    profiles: { foot: 'foot', bike: 'bike', car: 'car' },
+    publicMinIntervalMs: 0,
+    maxMatchPoints: 3,
+    route: vi.fn(),
+    match
+  }
+}))
+
+// A self-hosted URL so the queue doesn't space requests out
+const settings = { provider: 'osrm', baseUrl: 'http://localhost:5000', profile: 'car', snapMode: 'match' }
+const trace = [[37.77, -122.42], [37.771, -122.42], [37.772, -122.42], [37.773, -122.42], [37.774, -122.42]]
+
+beforeEach(() => {
+  match.mockReset()
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+describe('matchTrace', () => {
+  it('marks the jump between two matchings of a chunk as fallback', async () => {
+    // First chunk (trace points 0-2) matches in one piece, the second (2-4) in two
+    match
+      .mockResolvedValueOnce({ geometries: [[[1, 1], [1, 2], [1, 3]]], matched: [true, true, true] })
+      .mockResolvedValueOnce({ geometries: [[[2, 1], [2, 2]], [[3, 1], [3, 2]]], matched: [true, false, true] })
+
+    const result = await matchTrace(settings, trace)
+
+    expect(result.points).toEqual([[1, 1], [1, 2], [1, 3], [2, 1], [2, 2], [3, 1], [3, 2]])
+    expect(result.kinds).toEqual([
+      SEGMENT_SNAPPED, SEGMENT_SNAPPED,
+      // Join between the two chunks, both matched
+      SEGMENT_SNAPPED,
+      SEGMENT_SNAPPED,
+      // Gap between the second chunk's matchings
+      SEGMENT_FALLBACK,
+      SEGMENT_SNAPPED
+    ])
+    expect(result.failedSections).toEqual([[3, 3]])
+  })
+
+  it('keeps the points of chunks that fail to match as fallback', async () => {
+    match
+      .mockRejectedValueOnce(new Error('No matching found'))
+      .mockResolvedValueOnce({ geometries: [[[2, 1], [2, 2]]], matched: [true, true, true] })
+    const progress = []
+
+    const result = await matchTrace(settings, trace, (done, total) => progress.push([done, total]))
+
+    expect(result.points).toEqual([...trace.slice(0, 3), [2, 1], [2, 2]])
+    expect(result.kinds).toEqual([SEGMENT_FALLBACK, SEGMENT_FALLBACK, SEGMENT_FALLBACK, SEGMENT_SNAPPED])
+    expect(result.failedSections).toEqual([[0, 2]])
+    expect(progress[0]).toEqual([0, 2])
+    expect(progress[progress.length - 1]).toEqual([2, 2])
+  })
+
+  it('sends each chunk with radiuses and increasing timestamps', async () => {
+    match.mockResolvedValue({ geometries: [[[0, 0], [0, 1]]], matched: [true, true, true] })
+
+    await matchTrace(settings, trace)
+
+    expect(match).toHaveBeenCalledTimes(2)
+    const [chunk, options] = match.mock.calls[1]
+    expect(chunk).toEqual(trace.slice(2, 5))
+    expect(options.radiuses).toHaveLength(3)
+    expect(options.timestamps[1]).toBeGreaterThan(options.timestamps[0])
+    expect(options.timestamps[2]).toBeGreaterThan(options.timestamps[1])
+  })
+})
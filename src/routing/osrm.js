@@ -0,0 +1,55 @@
+import { fetchJSON } from './http'
+
+// OSRM (Open Source Routing Machine) provider
+
+export const osrm = {
+  id: 'osrm',
+  label: 'OSRM',
+  defaultBaseUrl: 'https://router.project-osrm.org',
+  // The public demo server only has the car profile; self-hosted servers name theirs freely
+  profiles: { foot: 'foot', bike: 'bike', car: 'driving' },
+  needsApiKey: false,
+  // Demo server usage policy: at most one request per second
+  publicMinIntervalMs: 1000,
+
+  async route(waypoints, { baseUrl, profile }) {
+    // Format: lon,lat (OSRM uses [longitude, latitude] order)
+    const coordinates = waypoints.map(p => `${p[1]},${p[0]}`).join(';')
+    const url = `${baseUrl}/route/v1/${profile}/${coordinates}?overview=full&geometries=geojson`
+
+    const data = await fetchJSON(url)
+
+    if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+      throw new Error(`OSRM returned error code: ${data.code}`)
+    }
+    // Convert from [lng, lat] to [lat, lng] format for Leaflet
+    return data.routes[0].geometry.coordinates.map(coord => [coord[1], coord[0]])
+  },
+
+  // Public servers reject match requests with more than 100 coordinates
+  maxMatchPoints: 100,
+
+  // Map-match a trace with the /match service. Returns the matched geometries (the trace
+  // can be split into several matchings) and whether each input point was matched.
+  async match(trace, { baseUrl, profile, radiuses, timestamps }) {
+    const coordinates = trace.map(p => `${p[1]},${p[0]}`).join(';')
+    const params = new URLSearchParams({
+      overview: 'full',
+      geometries: 'geojson',
+      radiuses: radiuses.join(';'),
+      timestamps: timestamps.join(';'),
+      // Drawn traces have no real timing, so don't split them on time gaps
+      gaps: 'ignore'
+    })
+
+    const data = await fetchJSON(`${baseUrl}/match/v1/${profile}/${coordinates}?${params}`)
+
+    if (data.code !== 'Ok' || !data.matchings || data.matchings.length === 0) {
+      throw new Error(`OSRM returned error code: ${data.code}`)
+    }
+    return {
+      geometries: data.matchings.map(matching => matching.geometry.coordinates.map(coord => [coord[1], coord[0]])),
+      matched: data.tracepoints.map(tracepoint => tracepoint !== null)
+    }
+  }
+}
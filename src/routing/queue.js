@@ -0,0 +1,52 @@
+// Request queue with bounded concurrency, a minimum interval between request starts
+// and retry with exponential backoff for retryable errors. Retries go back through the
+// queue, so they take a fresh start slot and stay under the rate limit too.
+
+const MAX_RETRIES = 3
+const BASE_BACKOFF_MS = 500
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+export function createRequestQueue({ concurrency = 4, minIntervalMs = 0 } = {}) {
+  const pending = []
+  let active = 0
+  let nextStartAt = 0
+
+  const runNext = () => {
+    if (active >= concurrency || pending.length === 0) return
+    const job = pending.shift()
+    active += 1
+
+    // Reserve the next start slot so concurrent workers stay under the rate limit
+    const wait = Math.max(0, nextStartAt - Date.now())
+    nextStartAt = Math.max(Date.now(), nextStartAt) + minIntervalMs
+
+    sleep(wait)
+      .then(() => job.task())
+      .then(job.resolve, (error) => {
+        if (!error.retryable || job.attempt >= MAX_RETRIES) {
+          job.reject(error)
+          return
+        }
+        // Back off without holding a worker, then queue again ahead of newer requests
+        sleep(BASE_BACKOFF_MS * 2 ** job.attempt).then(() => {
+          pending.unshift({ ...job, attempt: job.attempt + 1 })
+          runNext()
+        })
+      })
+      .finally(() => {
+        active -= 1
+        runNext()
+      })
+  }
+
+  return {
+    // Schedule an async task; resolves or rejects with its result
+    add(task) {
+      return new Promise((resolve, reject) => {
+        pending.push({ task, resolve, reject, attempt: 0 })
+        runNext()
+      })
+    }
+  }
+}
@@ -0,0 +1,115 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { createRequestQueue } from './queue'
+
+const retryableError = () => Object.assign(new Error('Too many requests'), { retryable: true })
+
+beforeEach(() => {
+  vi.useFakeTimers()
+  vi.setSystemTime(0)
+})
+
+afterEach(() => {
+  vi.useRealTimers()
+})
+
+describe('createRequestQueue', () => {
+  it('runs no more than `concurrency` tasks at once', async () => {
+    const queue = createRequestQueue({ concurrency: 2 })
+    let running = 0
+    let maxRunning = 0
+    const task = async () => {
+      running += 1
+      maxRunning = Math.max(maxRunning, running)
+      await new Promise(resolve => setTimeout(resolve, 100))
+      running -= 1
+      return 'done'
+    }
+
+    const results = Promise.all(Array.from({ length: 5 }, () => queue.add(task)))
+    await vi.runAllTimersAsync()
+
+    expect(await results).toEqual(['done', 'done', 'done', 'done', 'done'])
+    expect(maxRunning).toBe(2)
+  })
+
+  it('spaces request starts by at least `minIntervalMs`', async () => {
+    const queue = createRequestQueue({ concurrency: 4, minIntervalMs: 1000 })
+    const starts = []
+
+    const results = Promise.all(Array.from({ length: 3 }, () => queue.add(async () => starts.push(Date.now()))))
+    await vi.runAllTimersAsync()
+    await results
+
+    expect(starts).toEqual([0, 1000, 2000])
+  })
+
+  it('passes results and errors through', async () => {
+    const queue = createRequestQueue()
+    const failure = queue.add(async () => { throw new Error('Bad request') })
+    const success = queue.add(async () => 42)
+    failure.catch(() => {})
+    await vi.runAllTimersAsync()
+
+    await expect(failure).rejects.toThrow('Bad request')
+    await expect(success).resolves.toBe(42)
+  })
+
+  it('retries retryable errors until the task succeeds', async () => {
+    const queue = createRequestQueue()
+    const task = vi.fn()
+      .mockRejectedValueOnce(retryableError())
+      .mockRejectedValueOnce(retryableError())
+      .mockResolvedValue('route')
+
+    const result = queue.add(task)
+    await vi.runAllTimersAsync()
+
+    await expect(result).resolves.toBe('route')
+    expect(task).toHaveBeenCalledTimes(3)
+  })
+
+  it('does not retry other errors', async () => {
+    const queue = createRequestQueue()
+    const task = vi.fn().mockRejectedValue(new Error('Bad request'))
+
+    const result = queue.add(task)
+    result.catch(() => {})
+    await vi.runAllTimersAsync()
+
+    await expect(result).rejects.toThrow('Bad request')
+    expect(task).toHaveBeenCalledTimes(1)
+  })
+
+  it('gives up after three retries', async () => {
+    const queue = createRequestQueue()
+    const task = vi.fn().mockRejectedValue(retryableError())
+
+    const result = queue.add(task)
+    result.catch(() => {})
+    await vi.runAllTimersAsync()
+
+    await expect(result).rejects.toThrow('Too many requests')
+    expect(task).toHaveBeenCalledTimes(4)
+  })
+
+  it('gives retries their own start slot under the rate limit', async () => {
+    const queue = createRequestQueue({ concurrency: 2, minIntervalMs: 1000 })
+    const starts = []
+    const first = vi.fn(async () => {
+      starts.push(Date.now())
+      if (starts.length === 1) throw retryableError()
+      return 'first'
+    })
+    const second = async () => {
+      starts.push(Date.now())
+      return 'second'
+    }
+
+    const results = Promise.all([queue.add(first), queue.add(second)])
+    await vi.runAllTimersAsync()
+
+    expect(await results).toEqual(['first', 'second'])
+    // The retry backs off for 500 ms but then waits for the slot after the second request
+    expect(starts).toEqual([0, 1000, 2000])
+  })
+})
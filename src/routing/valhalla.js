@@ -0,0 +1,59 @@
+import { fetchJSON } from './http'
+import { decodePolyline } from '../polyline'
+
+// Valhalla provider
+
+export const valhalla = {
+  id: 'valhalla',
+  label: 'Valhalla',
+  defaultBaseUrl: 'https://valhalla1.openstreetmap.de',
+  profiles: { foot: 'pedestrian', bike: 'bicycle', car: 'auto' },
+  needsApiKey: false,
+  // FOSSGIS public server usage policy: at most one request per second
+  publicMinIntervalMs: 1000,
+
+  async route(waypoints, { baseUrl, profile }) {
+    const request = {
+      locations: waypoints.map(p => ({ lat: p[0], lon: p[1] })),
+      costing: profile
+    }
+
+    const data = await fetchJSON(`${baseUrl}/route?json=${encodeURIComponent(JSON.stringify(request))}`)
+
+    if (!data.trip || !data.trip.legs || data.trip.legs.length === 0) {
+      throw new Error(`Valhalla returned no route: ${data.error || 'unknown error'}`)
+    }
+    // Valhalla shapes are encoded polylines with 6 digits of precision
+    return data.trip.legs.flatMap((leg, i) => {
+      const shape = decodePolyline(leg.shape, 6)
+      return i === 0 ? shape : shape.slice(1)
+    })
+  },
+
+  maxMatchPoints: 500,
+
+  // Map-match a trace with the trace_route service
+  async match(trace, { baseUrl, profile, radiuses }) {
+    const request = {
+      shape: trace.map(p => ({ lat: p[0], lon: p[1] })),
+      costing: profile,
+      shape_match: 'map_snap',
+      trace_options: { search_radius: Math.max(...radiuses) }
+    }
+
+    const data = await fetchJSON(`${baseUrl}/trace_route`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(request)
+    })
+
+    if (!data.trip || !data.trip.legs || data.trip.legs.length === 0) {
+      throw new Error(`Valhalla returned no match: ${data.error || 'unknown error'}`)
+    }
+    // trace_route matches the whole shape or fails, so every point counts as matched
+    return {
+      geometries: data.trip.legs.map(leg => decodePolyline(leg.shape, 6)),
+      matched: trace.map(() => true)
+    }
+  }
+}
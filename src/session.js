@@ -0,0 +1,101 @@
+// Editor session persistence in localStorage
+
+import { alignSegmentKinds } from './routeSegments'
+
+const STORAGE_KEY = 'strava-art-creator:session'
+
+// Bump when the saved state shape changes and add a matching migration below
+export const SESSION_VERSION = 2
+
+// MIGRATIONS[n] upgrades the state of a version n save to version n + 1
+const MIGRATIONS = {
+  // Version 2 added per-segment kinds, the intended design shape and the overlay rotation
+  1: (state) => ({
+    ...state,
+    segmentKinds: alignSegmentKinds(state.segmentKinds, (state.points || []).length),
+    designShape: state.designShape || null,
+    referenceRotation: state.referenceRotation || 0
+  })
+}
+
+// Upgrade a saved state from `version` to SESSION_VERSION, or null if that isn't possible
+export function migrateState(version, state) {
+  // Saves from a newer version of the app cannot be read safely
+  if (typeof version !== 'number' || version > SESSION_VERSION) return null
+
+  let migrated = state
+  for (let v = version; v < SESSION_VERSION; v++) {
+    const migrate = MIGRATIONS[v]
+    if (!migrate) return null
+    migrated = migrate(migrated)
+  }
+  return migrated
+}
+
+const isQuotaError = (error) =>
+  error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED')
+
+// Save the editor state. Returns 'saved', 'partial' (saved without the reference image
+// because it did not fit in storage) or 'failed'.
+export function saveSession(state) {
+  const write = (sessionState) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      version: SESSION_VERSION,
+      savedAt: Date.now(),
+      state: sessionState
+    }))
+  }
+
+  try {
+    write(state)
+    return 'saved'
+  } catch (error) {
+    if (isQuotaError(error) && state.referenceOverlay) {
+      // Reference images are stored as data URLs and are by far the largest field
+      try {
+        write({ ...state, referenceOverlay: null, referenceBounds: null, referenceAspectRatio: null })
+        return 'partial'
+      } catch (retryError) {
+        console.warn('Session autosave failed:', retryError)
+        return 'failed'
+      }
+    }
+    console.warn('Session autosave failed:', error)
+    return 'failed'
+  }
+}
+
+// Load the saved session, migrating older versions. Returns { savedAt, state } or null.
+export function loadSession() {
+  let saved
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY)
+    if (!raw) return null
+    saved = JSON.parse(raw)
+  } catch (error) {
+    console.warn('Could not read saved session:', error)
+    return null
+  }
+
+  if (!saved || !saved.state) return null
+
+  const state = migrateState(saved.version, saved.state)
+  return state ? { savedAt: saved.savedAt, state } : null
+}
+
+export function clearSession() {
+  try {
+    localStorage.removeItem(STORAGE_KEY)
+  } catch (error) {
+    console.warn('Could not clear saved session:', error)
+  }
+}
+
+// Whether a saved state has anything worth offering to restore
+export function sessionHasContent(state) {
+  return Boolean(
+    (state.points && state.points.length > 0) ||
+    (state.drawnLines && state.drawnLines.length > 0) ||
+    state.referenceOverlay
+  )
+}
@@ -0,0 +1,55 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach } from 'vitest'
+import { SESSION_VERSION, migrateState, saveSession, loadSession } from './session'
+import { SEGMENT_MANUAL } from './routeSegments'
+
+const STORAGE_KEY = 'strava-art-creator:session'
+
+const versionOneState = {
+  points: [[37.77, -122.42], [37.78, -122.41], [37.79, -122.4]],
+  drawnLines: [],
+  referenceOverlay: null,
+  snapToRoads: true
+}
+
+describe('migrateState', () => {
+  it('fills the fields added in version 2 for version 1 saves', () => {
+    const migrated = migrateState(1, versionOneState)
+    expect(migrated.points).toEqual(versionOneState.points)
+    expect(migrated.snapToRoads).toBe(true)
+    expect(migrated.segmentKinds).toEqual([SEGMENT_MANUAL, SEGMENT_MANUAL])
+    expect(migrated.designShape).toBeNull()
+    expect(migrated.referenceRotation).toBe(0)
+  })
+
+  it('leaves current saves as they are', () => {
+    const state = { ...versionOneState, segmentKinds: ['snapped', 'fallback'], designShape: null, referenceRotation: 30 }
+    expect(migrateState(SESSION_VERSION, state)).toBe(state)
+  })
+
+  it('rejects saves from newer versions and saves without a version', () => {
+    expect(migrateState(SESSION_VERSION + 1, versionOneState)).toBeNull()
+    expect(migrateState(undefined, versionOneState)).toBeNull()
+  })
+
+  it('rejects versions that have no migration path', () => {
+    expect(migrateState(0, versionOneState)).toBeNull()
+  })
+})
+
+describe('loadSession', () => {
+  beforeEach(() => localStorage.clear())
+
+  it('migrates a stored version 1 session', () => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: 1, savedAt: 123, state: versionOneState }))
+    const loaded = loadSession()
+    expect(loaded.savedAt).toBe(123)
+    expect(loaded.state.segmentKinds).toEqual([SEGMENT_MANUAL, SEGMENT_MANUAL])
+  })
+
+  it('reads back what saveSession wrote', () => {
+    const state = migrateState(1, versionOneState)
+    expect(saveSession(state)).toBe('saved')
+    expect(loadSession().state).toEqual(state)
+  })
+})
@@ -0,0 +1,140 @@
+// Shape fidelity: how closely a road-snapped route follows the drawn or traced shape it
+// was made from. Both lines are projected to local planar meters and resampled evenly
+// along their length so long straight segments and dense freehand input weigh the same.
+
+import { EARTH_RADIUS_METERS } from './geo'
+
+const MAX_SAMPLES = 400
+
+export const DEFAULT_TOLERANCE_METERS = 50
+
+// Heatmap colours, from on-shape to far off it
+const HEATMAP_BANDS = [
+  { maxRatio: 0.5, color: '#22c55e' },
+  { maxRatio: 1, color: '#eab308' },
+  { maxRatio: 2, color: '#f97316' },
+  { maxRatio: Infinity, color: '#dc2626' }
+]
+
+// Equirectangular projection around a reference latitude; accurate enough at route scale
+const projector = (refLat) => {
+  const scale = Math.cos(refLat * Math.PI / 180)
+  return (point) => [
+    point[1] * Math.PI / 180 * EARTH_RADIUS_METERS * scale,
+    point[0] * Math.PI / 180 * EARTH_RADIUS_METERS
+  ]
+}
+
+const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1])
+
+const pointSegmentDistance = (p, a, b) => {
+  const dx = b[0] - a[0]
+  const dy = b[1] - a[1]
+  const lengthSquared = dx * dx + dy * dy
+  if (lengthSquared === 0) return distance(p, a)
+  const t = Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSquared))
+  return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy))
+}
+
+// Shortest distance from a point to any segment of a polyline
+const distanceToLine = (p, line) => {
+  if (line.length === 1) return distance(p, line[0])
+  let best = Infinity
+  for (let i = 0; i < line.length - 1; i++) {
+    best = Math.min(best, pointSegmentDistance(p, line[i], line[i + 1]))
+  }
+  return best
+}
+
+// Points spaced evenly along a polyline, including both ends
+const resample = (line, count) => {
+  const lengths = [0]
+  for (let i = 1; i < line.length; i++) {
+    lengths.push(lengths[i - 1] + distance(line[i - 1], line[i]))
+  }
+  const total = lengths[lengths.length - 1]
+  if (total === 0) return [line[0]]
+
+  const samples = []
+  let segment = 0
+  for (let k = 0; k < count; k++) {
+    const target = total * k / (count - 1)
+    while (segment < line.length - 2 && lengths[segment + 1] < target) segment++
+    const span = lengths[segment + 1] - lengths[segment]
+    const t = span > 0 ? (target - lengths[segment]) / span : 0
+    const a = line[segment]
+    const b = line[segment + 1]
+    samples.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t])
+  }
+  return samples
+}
+
+// Discrete Fréchet distance, keeping only two rows of the coupling table
+const discreteFrechet = (a, b) => {
+  let previous = new Float64Array(b.length)
+  let current = new Float64Array(b.length)
+  for (let i = 0; i < a.length; i++) {
+    for (let j = 0; j < b.length; j++) {
+      const d = distance(a[i], b[j])
+      if (i === 0 && j === 0) current[j] = d
+      else if (i === 0) current[j] = Math.max(current[j - 1], d)
+      else if (j === 0) current[j] = Math.max(previous[0], d)
+      else current[j] = Math.max(Math.min(previous[j], previous[j - 1], current[j - 1]), d)
+    }
+    [previous, current] = [current, previous]
+  }
+  return previous[b.length - 1]
+}
+
+// Compare a route with its intended shape (both [lat, lng] arrays). Returns null when
+// either line is too short, otherwise distances in meters:
+//   hausdorff         - worst deviation in either direction
+//   frechet           - discrete Fréchet distance, which also penalises visiting the shape out of order
+//   withinTolerance   - fraction (0-1) of the route's length within `tolerance` of the shape
+//   segmentDeviations - per route segment, how far it strays from the shape (for the heatmap)
+export function shapeFidelity(route, shape, tolerance = DEFAULT_TOLERANCE_METERS) {
+  if (route.length < 2 || shape.length < 2) return null
+
+  const project = projector(shape.reduce((sum, p) => sum + p[0], 0) / shape.length)
+  const projectedRoute = route.map(project)
+  const routeSamples = resample(projectedRoute, MAX_SAMPLES)
+  const shapeSamples = resample(shape.map(project), MAX_SAMPLES)
+
+  const routeToShape = routeSamples.map(p => distanceToLine(p, shapeSamples))
+  const shapeToRoute = shapeSamples.map(p => distanceToLine(p, routeSamples))
+
+  // Check both ends and the middle so long straight segments are judged fairly
+  const segmentDeviations = []
+  for (let i = 0; i < projectedRoute.length - 1; i++) {
+    const a = projectedRoute[i]
+    const b = projectedRoute[i + 1]
+    const middle = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2]
+    segmentDeviations.push(Math.max(
+      distanceToLine(a, shapeSamples),
+      distanceToLine(middle, shapeSamples),
+      distanceToLine(b, shapeSamples)
+    ))
+  }
+
+  return {
+    hausdorff: Math.max(...routeToShape, ...shapeToRoute),
+    frechet: discreteFrechet(routeSamples, shapeSamples),
+    withinTolerance: routeToShape.filter(d => d <= tolerance).length / routeToShape.length,
+    segmentDeviations
+  }
+}
+
+// Group route segments into polylines coloured by how far they stray from the shape
+export function fidelityHeatmapRuns(points, segmentDeviations, tolerance = DEFAULT_TOLERANCE_METERS) {
+  const runs = []
+  segmentDeviations.forEach((deviation, i) => {
+    const { color } = HEATMAP_BANDS.find(band => deviation <= tolerance * band.maxRatio)
+    const last = runs[runs.length - 1]
+    if (last && last.color === color) {
+      last.points.push(points[i + 1])
+    } else {
+      runs.push({ color, start: i, points: [points[i], points[i + 1]] })
+    }
+  })
+  return runs
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest'
+import { shapeFidelity, fidelityHeatmapRuns } from './shapeFidelity'
+import { EARTH_RADIUS_METERS } from './geo'
+
+const origin = [37.7749, -122.4194]
+const metersPerDegree = EARTH_RADIUS_METERS * Math.PI / 180
+const lngScale = Math.cos(origin[0] * Math.PI / 180)
+
+// [lat, lng] of a point `east` and `north` meters from the origin, in the same
+// equirectangular projection the fidelity score uses
+const at = (east, north) => [
+  origin[0] + north / metersPerDegree,
+  origin[1] + east / (metersPerDegree * lngScale)
+]
+
+// A 1 km line heading east
+const shape = [at(0, 0), at(400, 0), at(1000, 0)]
+
+describe('shapeFidelity', () => {
+  it('scores a route on top of its shape as a perfect match', () => {
+    const fidelity = shapeFidelity(shape, shape)
+    expect(fidelity.hausdorff).toBeCloseTo(0, 6)
+    expect(fidelity.frechet).toBeCloseTo(0, 6)
+    expect(fidelity.withinTolerance).toBe(1)
+    expect(fidelity.segmentDeviations).toHaveLength(2)
+    fidelity.segmentDeviations.forEach(deviation => expect(deviation).toBeCloseTo(0, 6))
+  })
+
+  it('measures a parallel offset as the offset distance', () => {
+    const route = [at(0, 30), at(700, 30), at(1000, 30)]
+    const fidelity = shapeFidelity(route, shape)
+    expect(fidelity.hausdorff).toBeCloseTo(30, 3)
+    expect(fidelity.frechet).toBeCloseTo(30, 3)
+    expect(fidelity.withinTolerance).toBe(1)
+    fidelity.segmentDeviations.forEach(deviation => expect(deviation).toBeCloseTo(30, 3))
+
+    expect(shapeFidelity(route, shape, 20).withinTolerance).toBe(0)
+  })
+
+  it('counts the fraction of the route length within tolerance', () => {
+    // 500 m on the shape, a 100 m jog north of which the first 50 m are within tolerance,
+    // then 500 m off it
+    const route = [at(0, 0), at(500, 0), at(500, 100), at(1000, 100)]
+    const fidelity = shapeFidelity(route, shape, 50)
+    expect(fidelity.withinTolerance).toBeCloseTo(550 / 1100, 1)
+    expect(fidelity.hausdorff).toBeCloseTo(100, 3)
+    expect(fidelity.segmentDeviations.map(d => Math.round(d))).toEqual([0, 100, 100])
+  })
+
+  it('penalises following the shape backwards only in the Fréchet distance', () => {
+    const fidelity = shapeFidelity([...shape].reverse(), shape)
+    expect(fidelity.hausdorff).toBeCloseTo(0, 6)
+    expect(fidelity.frechet).toBeGreaterThan(400)
+  })
+
+  it('needs at least two points on each line', () => {
+    expect(shapeFidelity([at(0, 0)], shape)).toBeNull()
+    expect(shapeFidelity(shape, [at(0, 0)])).toBeNull()
+  })
+})
+
+describe('fidelityHeatmapRuns', () => {
+  const points = Array.from({ length: 8 }, (_, i) => at(i * 100, 0))
+
+  it('splits runs where the deviation crosses a band boundary', () => {
+    const runs = fidelityHeatmapRuns(points, [10, 25, 26, 50, 51, 100, 101], 50)
+    expect(runs.map(run => [run.start, run.points.length])).toEqual([[0, 3], [2, 3], [4, 3], [6, 2]])
+    expect(runs.map(run => run.color)).toEqual(['#22c55e', '#eab308', '#f97316', '#dc2626'])
+    expect(runs[1].points).toEqual(points.slice(2, 5))
+  })
+
+  it('keeps a route within tolerance in one run', () => {
+    const runs = fidelityHeatmapRuns(points, [0, 5, 10, 15, 20, 25, 1], 50)
+    expect(runs).toHaveLength(1)
+    expect(runs[0].points).toEqual(points)
+  })
+})
@@ -0,0 +1,52 @@
+import { encodePolyline, decodePolyline } from './polyline'
+
+// Shareable design links: the route is stored in the URL hash as encoded polylines
+// e.g. #v=1&c=37.7749,-122.4194,13&r=<route polyline>&l=<line polyline>,<line polyline>
+
+const SHARE_VERSION = '1'
+
+// Hashes longer than this get truncated by many chat apps and browsers
+export const MAX_SHARE_HASH_LENGTH = 8000
+
+// Build the URL hash (without the leading '#') for a design
+export function buildShareHash({ points = [], drawnLines = [], center, zoom }) {
+  const params = new URLSearchParams()
+  params.set('v', SHARE_VERSION)
+  if (center) {
+    params.set('c', `${center[0].toFixed(5)},${center[1].toFixed(5)},${zoom || 13}`)
+  }
+  if (points.length > 0) params.set('r', encodePolyline(points))
+  if (drawnLines.length > 0) params.set('l', drawnLines.map(line => encodePolyline(line)).join(','))
+  return params.toString()
+}
+
+// Parse a URL hash into a design. Returns null when the hash holds no design and
+// throws when it does but cannot be decoded.
+export function parseShareHash(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''))
+  if (!params.has('r') && !params.has('l')) return null
+
+  if (params.get('v') !== SHARE_VERSION) {
+    throw new Error('Unsupported share link version')
+  }
+
+  const design = {
+    points: params.has('r') ? decodePolyline(params.get('r')) : [],
+    drawnLines: params.has('l')
+      ? params.get('l').split(',').map(line => decodePolyline(line)).filter(line => line.length > 1)
+      : [],
+    center: null,
+    zoom: null
+  }
+
+  if (params.has('c')) {
+    const [lat, lng, zoom] = params.get('c').split(',').map(parseFloat)
+    if ([lat, lng, zoom].some(isNaN) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw new Error('Invalid map position')
+    }
+    design.center = [lat, lng]
+    design.zoom = zoom
+  }
+
+  return design
+}
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest'
+import { buildShareHash, parseShareHash } from './shareLink'
+import { encodePolyline } from './polyline'
+
+const design = {
+  points: [[37.77493, -122.41942], [37.78, -122.41], [37.785, -122.405]],
+  drawnLines: [
+    [[37.7, -122.5], [37.71, -122.49]],
+    [[37.72, -122.48], [37.73, -122.47], [37.74, -122.46]]
+  ],
+  center: [37.7749, -122.4194],
+  zoom: 15
+}
+
+describe('share links', () => {
+  it('round trip a design through the URL hash', () => {
+    expect(parseShareHash(`#${buildShareHash(design)}`)).toEqual(design)
+  })
+
+  it('keep every drawn line at full precision', () => {
+    const parsed = parseShareHash(buildShareHash({ drawnLines: design.drawnLines }))
+    expect(parsed.drawnLines).toEqual(design.drawnLines)
+    expect(parsed.points).toEqual([])
+    expect(parsed.center).toBeNull()
+  })
+
+  it('treat hashes without a route or drawing as no design', () => {
+    expect(parseShareHash('')).toBeNull()
+    expect(parseShareHash('#section-2')).toBeNull()
+    expect(parseShareHash('#v=1&c=37.7,-122.4,13')).toBeNull()
+  })
+
+  it('reject unknown versions', () => {
+    const hash = buildShareHash(design).replace('v=1', 'v=9')
+    expect(() => parseShareHash(hash)).toThrow('Unsupported share link version')
+  })
+
+  it('reject corrupt route polylines', () => {
+    expect(() => parseShareHash('v=1&r=_p~iF')).toThrow('Truncated polyline')
+    expect(() => parseShareHash(`v=1&r=${encodeURIComponent(encodePolyline([[91, 0]]))}`)).toThrow('out of range')
+  })
+
+  it('reject map positions that are not numbers or off the globe', () => {
+    const route = encodeURIComponent(encodePolyline(design.points))
+    expect(() => parseShareHash(`v=1&r=${route}&c=abc,1,13`)).toThrow('Invalid map position')
+    expect(() => parseShareHash(`v=1&r=${route}&c=37.7,200,13`)).toThrow('Invalid map position')
+  })
+})
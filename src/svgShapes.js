@@ -0,0 +1,111 @@
+// SVG artwork support: vector shapes are read straight from <path>, <polyline>, <polygon>
+// and <line> elements instead of being traced from pixels. Points are normalized to the
+// SVG's viewBox (0-1, y down), the same space raster tracing produces.
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+const SHAPE_SELECTOR = 'path, polyline, polygon, line'
+// Shapes inside these are never drawn directly
+const HIDDEN_CONTAINERS = 'defs, clipPath, mask, marker, pattern, symbol'
+// Sample spacing as a fraction of the viewBox diagonal, and a per-shape cap
+const SAMPLE_SPACING = 1 / 300
+const MAX_SAMPLES_PER_SHAPE = 500
+
+export const isSVGFile = (file) => file.type === 'image/svg+xml' || file.name.toLowerCase().endsWith('.svg')
+
+// Parse SVG text into its root element. Throws if it isn't a valid SVG document.
+const parseSVGRoot = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'image/svg+xml')
+  const root = doc.documentElement
+  if (doc.getElementsByTagName('parsererror').length > 0 || root.namespaceURI !== SVG_NS || root.localName !== 'svg') {
+    throw new Error('Not a valid SVG file')
+  }
+  return root
+}
+
+// Plain numbers or pixel lengths only; percentages and other units can't size an image
+const parseLength = (value) => (value && /^\s*[\d.]+(px)?\s*$/.test(value) ? parseFloat(value) : null)
+
+const readViewBox = (root) => {
+  const values = (root.getAttribute('viewBox') || '').split(/[\s,]+/).map(parseFloat)
+  if (values.length === 4 && values.every(v => !isNaN(v)) && values[2] > 0 && values[3] > 0) {
+    return { x: values[0], y: values[1], width: values[2], height: values[3] }
+  }
+  const width = parseLength(root.getAttribute('width'))
+  const height = parseLength(root.getAttribute('height'))
+  if (width > 0 && height > 0) return { x: 0, y: 0, width, height }
+  return null
+}
+
+// Give the SVG an explicit viewBox and matching width/height so it displays as an image
+// at its own aspect ratio. Returns a data URL and that aspect ratio (width / height).
+export function prepareSVG(text) {
+  const root = parseSVGRoot(text)
+  const viewBox = readViewBox(root)
+  if (!viewBox) {
+    throw new Error('The SVG needs a viewBox or a width and height')
+  }
+  root.setAttribute('viewBox', `${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`)
+  root.setAttribute('width', viewBox.width)
+  root.setAttribute('height', viewBox.height)
+
+  const serialized = new XMLSerializer().serializeToString(root)
+  return {
+    dataUrl: `data:image/svg+xml;charset=utf-8,${encodeURIComponent(serialized)}`,
+    aspectRatio: viewBox.width / viewBox.height
+  }
+}
+
+// The SVG source behind an image data URL, or null if it isn't an SVG
+export function svgTextFromDataUrl(dataUrl) {
+  const match = /^data:image\/svg\+xml(;[^,]*)?,/.exec(dataUrl || '')
+  if (!match) return null
+
+  const payload = dataUrl.slice(match[0].length)
+  if ((match[1] || '').includes(';base64')) {
+    const bytes = Uint8Array.from(atob(payload), c => c.charCodeAt(0))
+    return new TextDecoder().decode(bytes)
+  }
+  return decodeURIComponent(payload)
+}
+
+// Sample every visible shape into normalized points, in document order. Transforms on the
+// shapes and their groups are applied. The SVG is briefly attached (hidden) to the page
+// because the browser only measures geometry of rendered elements.
+export function svgShapes(text) {
+  const parsed = parseSVGRoot(text)
+  const viewBox = readViewBox(parsed)
+  if (!viewBox) return []
+
+  const container = document.createElement('div')
+  container.style.cssText = 'position:absolute;left:-10000px;top:0;visibility:hidden;pointer-events:none'
+  const svg = document.importNode(parsed, true)
+  svg.setAttribute('width', viewBox.width)
+  svg.setAttribute('height', viewBox.height)
+  container.appendChild(svg)
+  document.body.appendChild(container)
+
+  try {
+    const toViewBox = svg.getScreenCTM().inverse()
+    const spacing = Math.hypot(viewBox.width, viewBox.height) * SAMPLE_SPACING
+    const shapes = []
+
+    svg.querySelectorAll(SHAPE_SELECTOR).forEach(element => {
+      if (element.closest(HIDDEN_CONTAINERS)) return
+      const length = element.getTotalLength()
+      if (!length) return
+
+      const matrix = toViewBox.multiply(element.getScreenCTM())
+      const count = Math.min(MAX_SAMPLES_PER_SHAPE, Math.max(2, Math.ceil(length / spacing) + 1))
+      const points = []
+      for (let i = 0; i < count; i++) {
+        const point = element.getPointAtLength(length * i / (count - 1)).matrixTransform(matrix)
+        points.push([(point.x - viewBox.x) / viewBox.width, (point.y - viewBox.y) / viewBox.height])
+      }
+      shapes.push(points)
+    })
+
+    return shapes
+  } finally {
+    document.body.removeChild(container)
+  }
+}
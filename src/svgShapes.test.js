@@ -0,0 +1,74 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest'
+import { isSVGFile, prepareSVG, svgTextFromDataUrl } from './svgShapes'
+
+const svg = (attributes, body = '<path d="M0 0 L10 10"/>') =>
+  `<svg xmlns="http://www.w3.org/2000/svg" ${attributes}>${body}</svg>`
+
+// Root attributes of a prepared SVG
+const preparedRoot = (text) => {
+  const { dataUrl } = prepareSVG(text)
+  return new DOMParser().parseFromString(svgTextFromDataUrl(dataUrl), 'image/svg+xml').documentElement
+}
+
+describe('isSVGFile', () => {
+  it('goes by MIME type or extension', () => {
+    expect(isSVGFile({ type: 'image/svg+xml', name: 'art' })).toBe(true)
+    expect(isSVGFile({ type: '', name: 'Heart.SVG' })).toBe(true)
+    expect(isSVGFile({ type: 'image/png', name: 'heart.png' })).toBe(false)
+  })
+})
+
+describe('prepareSVG', () => {
+  it('sizes the image from its viewBox', () => {
+    const root = preparedRoot(svg('viewBox="10, 20 200 100"'))
+    expect(root.getAttribute('viewBox')).toBe('10 20 200 100')
+    expect(root.getAttribute('width')).toBe('200')
+    expect(root.getAttribute('height')).toBe('100')
+    expect(prepareSVG(svg('viewBox="10, 20 200 100"')).aspectRatio).toBe(2)
+  })
+
+  it('falls back to plain or pixel width and height', () => {
+    expect(prepareSVG(svg('width="300" height="150px"')).aspectRatio).toBe(2)
+    expect(preparedRoot(svg('width="300" height="150px"')).getAttribute('viewBox')).toBe('0 0 300 150')
+  })
+
+  it('ignores viewBoxes without a positive size', () => {
+    expect(prepareSVG(svg('viewBox="0 0 0 100" width="50" height="100"')).aspectRatio).toBe(0.5)
+  })
+
+  it('needs a viewBox or an absolute size', () => {
+    expect(() => prepareSVG(svg(''))).toThrow('viewBox')
+    expect(() => prepareSVG(svg('width="100%" height="100%"'))).toThrow('viewBox')
+    expect(() => prepareSVG(svg('width="10cm" height="5cm"'))).toThrow('viewBox')
+  })
+
+  it('rejects documents that are not SVG', () => {
+    expect(() => prepareSVG('<svg')).toThrow('Not a valid SVG file')
+    expect(() => prepareSVG('<html xmlns="http://www.w3.org/1999/xhtml"></html>')).toThrow('Not a valid SVG file')
+  })
+})
+
+describe('svgTextFromDataUrl', () => {
+  const text = svg('viewBox="0 0 10 10"', '<text>Café &amp; ☕</text>')
+
+  it('decodes URL-encoded SVG data URLs', () => {
+    expect(svgTextFromDataUrl(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(text)}`)).toBe(text)
+    expect(svgTextFromDataUrl(`data:image/svg+xml,${encodeURIComponent(text)}`)).toBe(text)
+  })
+
+  it('decodes base64 SVG data URLs as UTF-8', () => {
+    const base64 = btoa(String.fromCharCode(...new TextEncoder().encode(text)))
+    expect(svgTextFromDataUrl(`data:image/svg+xml;base64,${base64}`)).toBe(text)
+  })
+
+  it('returns null for other images', () => {
+    expect(svgTextFromDataUrl('data:image/png;base64,iVBORw0KGgo=')).toBeNull()
+    expect(svgTextFromDataUrl(null)).toBeNull()
+  })
+
+  it('round trips what prepareSVG produces', () => {
+    const prepared = svgTextFromDataUrl(prepareSVG(text).dataUrl)
+    expect(prepared).toContain('Café &amp; ☕')
+  })
+})
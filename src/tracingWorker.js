@@ -0,0 +1,20 @@
+// Web Worker running the image processing jobs off the main thread. Messages in:
+// { job, pixels, width, height, options }. Messages out: { type: 'progress', fraction },
+// then { type: 'result', result } or { type: 'error', message }.
+
+import { traceImage } from './imageTracing'
+
+const JOBS = {
+  trace: ({ pixels, width, height, options }, onProgress) => traceImage(pixels, width, height, options, onProgress)
+}
+
+self.onmessage = ({ data }) => {
+  try {
+    const run = JOBS[data.job]
+    if (!run) throw new Error(`Unknown image job: ${data.job}`)
+    const result = run(data, (fraction) => self.postMessage({ type: 'progress', fraction }))
+    self.postMessage({ type: 'result', result })
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message })
+  }
+}
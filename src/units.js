@@ -0,0 +1,27 @@
+// Distance units. Distances are kept in miles and short lengths in meters throughout the
+// app; these helpers convert them for display and input in the preferred unit system.
+
+import { METERS_PER_MILE } from './geo'
+
+const METERS_PER_FOOT = 0.3048
+
+export const UNIT_SYSTEMS = [
+  { value: 'imperial', label: 'Miles', distance: 'mi', distanceName: 'miles', metersPerDistance: METERS_PER_MILE, length: 'ft', metersPerLength: METERS_PER_FOOT },
+  { value: 'metric', label: 'Kilometers', distance: 'km', distanceName: 'kilometers', metersPerDistance: 1000, length: 'm', metersPerLength: 1 }
+]
+
+export const DEFAULT_UNITS = 'imperial'
+
+export const findUnitSystem = (value) => UNIT_SYSTEMS.find(system => system.value === value) || UNIT_SYSTEMS[0]
+
+// Miles to the preferred distance unit (mi or km), and back
+export const toDisplayDistance = (miles, units) => miles * METERS_PER_MILE / findUnitSystem(units).metersPerDistance
+export const fromDisplayDistance = (value, units) => value * findUnitSystem(units).metersPerDistance / METERS_PER_MILE
+
+export const formatDistance = (miles, units, digits = 2) => `${toDisplayDistance(miles, units).toFixed(digits)} ${findUnitSystem(units).distance}`
+
+// Meters to the preferred short length unit (ft or m), and back
+export const toDisplayLength = (meters, units) => meters / findUnitSystem(units).metersPerLength
+export const fromDisplayLength = (value, units) => value * findUnitSystem(units).metersPerLength
+
+export const formatLength = (meters, units) => `${Math.round(toDisplayLength(meters, units))} ${findUnitSystem(units).length}`
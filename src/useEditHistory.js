@@ -0,0 +1,87 @@
+import { useState, useCallback, useRef } from 'react'
+
+const MAX_HISTORY = 100
+
+// Snapshot-based undo/redo history for the editor.
+// Call `record(label)` right before applying an edit: it stores the current snapshot
+// (from `getSnapshot`) so undo can bring it back through `applySnapshot`.
+export function useEditHistory(getSnapshot, applySnapshot) {
+  const [history, setHistory] = useState({ past: [], future: [] })
+  const historyRef = useRef(history)
+  const getSnapshotRef = useRef(getSnapshot)
+  const applySnapshotRef = useRef(applySnapshot)
+
+  // Always use the latest state accessors so the returned callbacks can stay stable
+  getSnapshotRef.current = getSnapshot
+  applySnapshotRef.current = applySnapshot
+
+  const update = useCallback((next) => {
+    historyRef.current = next
+    setHistory(next)
+  }, [])
+
+  const record = useCallback((label) => {
+    const { past } = historyRef.current
+    const entry = { label, snapshot: getSnapshotRef.current(), time: Date.now() }
+    update({ past: [...past, entry].slice(-MAX_HISTORY), future: [] })
+  }, [update])
+
+  const undo = useCallback(() => {
+    const { past, future } = historyRef.current
+    if (past.length === 0) return
+    const entry = past[past.length - 1]
+    update({
+      past: past.slice(0, -1),
+      future: [...future, { ...entry, snapshot: getSnapshotRef.current() }]
+    })
+    applySnapshotRef.current(entry.snapshot)
+  }, [update])
+
+  const redo = useCallback(() => {
+    const { past, future } = historyRef.current
+    if (future.length === 0) return
+    const entry = future[future.length - 1]
+    update({
+      past: [...past, { ...entry, snapshot: getSnapshotRef.current() }],
+      future: future.slice(0, -1)
+    })
+    applySnapshotRef.current(entry.snapshot)
+  }, [update])
+
+  // Move to the state right after the action at `index` in `entries` (-1 for the initial state)
+  const jumpTo = useCallback((index) => {
+    let { past, future } = historyRef.current
+    let current = getSnapshotRef.current()
+    while (past.length - 1 > index && past.length > 0) {
+      const entry = past[past.length - 1]
+      future = [...future, { ...entry, snapshot: current }]
+      past = past.slice(0, -1)
+      current = entry.snapshot
+    }
+    while (past.length - 1 < index && future.length > 0) {
+      const entry = future[future.length - 1]
+      past = [...past, { ...entry, snapshot: current }]
+      future = future.slice(0, -1)
+      current = entry.snapshot
+    }
+    update({ past, future })
+    applySnapshotRef.current(current)
+  }, [update])
+
+  const clear = useCallback(() => {
+    update({ past: [], future: [] })
+  }, [update])
+
+  return {
+    record,
+    undo,
+    redo,
+    jumpTo,
+    clear,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    // Every action in order; the first `position` of them are applied
+    entries: [...history.past, ...[...history.future].reverse()],
+    position: history.past.length
+  }
+}